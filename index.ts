@@ -1,13 +1,32 @@
-import { execFile, spawn, ChildProcess } from 'child_process';
-import { promisify } from 'util';
+import { spawn, ChildProcess } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { withEnv } from './dist/scripts/lib/config.js';
+import { appendToJsonl, withFileLock, writeFileAtomic, loadRequestLedger } from './dist/scripts/lib/utils/storage.js';
+import { cmdSetup, cmdIdentity, cmdAddress } from './dist/scripts/lib/wallet/setup.js';
+import { cmdBalance, cmdImport, cmdRefund } from './dist/scripts/lib/wallet/balance.js';
+import { runAutoImport } from './dist/scripts/lib/wallet/auto-import.js';
+import { cmdRegister, cmdUnregister } from './dist/scripts/lib/overlay/registration.js';
+import { cmdServices, cmdAdvertise, cmdRemove, cmdReadvertise } from './dist/scripts/lib/overlay/services.js';
+import { cmdDiscover } from './dist/scripts/lib/overlay/discover.js';
+import { validateJsonSchema } from './dist/scripts/lib/utils/schema.js';
+import { recordPricing, basePrice, describePricing } from './dist/scripts/lib/utils/pricing.js';
+import { cmdPay } from './dist/scripts/lib/payment/commands.js';
+import { cmdReport } from './dist/scripts/lib/payment/report.js';
+import { cmdSend } from './dist/scripts/lib/messaging/send.js';
+import { cmdInbox } from './dist/scripts/lib/messaging/inbox.js';
+import { cmdRequestService } from './dist/scripts/lib/services/request.js';
+import { cmdRespondService } from './dist/scripts/lib/services/respond.js';
+import { cmdServiceQueue } from './dist/scripts/lib/services/queue.js';
+import { cmdRefundRequest } from './dist/scripts/lib/services/refund.js';
+import { cmdRequestQuote } from './dist/scripts/lib/services/quotes.js';
+import { cmdMyRequests } from './dist/scripts/lib/services/ledger.js';
+import { cmdReputation } from './dist/scripts/lib/services/reputation.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const execFileAsync = promisify(execFile);
-
 // Track background process for proper lifecycle management
 let backgroundProcess: ChildProcess | null = null;
 let serviceRunning = false;
@@ -15,119 +34,458 @@ let serviceRunning = false;
 // Confirmation tokens for destructive actions — maps token → { action, details, expiresAt }
 const pendingConfirmations: Map<string, { action: string; details: any; expiresAt: number }> = new Map();
 
+// Refund timers for paid service requests awaiting a response — maps requestId → timer
+const pendingRefundTimers: Map<string, ReturnType<typeof setTimeout>> = new Map();
+
+// Liveness pings awaiting a pong — maps ping message id → resolver
+const pongWaiters: Map<string, () => void> = new Map();
+// Pongs that arrived before anyone waited on them — maps ping message id → receivedAt
+const earlyPongs: Map<string, number> = new Map();
+
+// Quote requests awaiting a service-quote — maps quote request message id → resolver
+const quoteWaiters: Map<string, (event: any) => void> = new Map();
+// Quotes that arrived before anyone waited on them — maps quote request message id → event
+const earlyQuotes: Map<string, { event: any; receivedAt: number }> = new Map();
+
+// Round-robin provider selection — maps service id → number of requests routed
+const roundRobinCounters: Map<string, number> = new Map();
+
 // Auto-import tracking
 let autoImportInterval: any = null;
-let knownTxids: Set<string> = new Set();
+let autoImportRunning = false;
 
-// Budget tracking
+// Budget tracking — every outgoing payment is appended to a spending log so
+// budgets can be enforced over any window, not just the current day
+const SPEND_LOG_FILE = 'spending-log.jsonl';
+// Legacy single-day tracker, migrated into the spending log on first use
 const BUDGET_FILE = 'daily-spending.json';
 
-interface DailySpending {
-  date: string; // YYYY-MM-DD
-  totalSats: number;
-  transactions: Array<{ ts: number; sats: number; service: string; provider: string }>;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A reservation not settled or released within this long (the process died
+// mid-payment) no longer counts against the budgets
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+interface SpendRecord {
+  ts: number;
+  sats: number;
+  service: string;
+  provider: string; // provider display name, or identity key for direct payments
+  providerKey?: string;
+  requestId?: string;
+  reservationId?: string;
+  reserved?: boolean; // budget held for a payment in progress, not spent yet
 }
 
-function getBudgetPath(walletDir: string): string {
-  return path.join(walletDir, BUDGET_FILE);
+interface BudgetWindow {
+  window: string; // e.g. "daily", "weekly", "service:web-research"
+  limit: number;
+  spent: number;
+  remaining: number;
 }
 
-function loadDailySpending(walletDir: string): DailySpending {
-  const today = new Date().toISOString().slice(0, 10);
-  const budgetPath = getBudgetPath(walletDir);
+interface BudgetCheck {
+  allowed: boolean;
+  requested: number;
+  windows: BudgetWindow[];
+  exceeded: BudgetWindow[];
+  reservationId?: string;
+}
+
+function getSpendLogPath(walletDir: string): string {
+  return path.join(walletDir, SPEND_LOG_FILE);
+}
+
+function readSpendLog(logPath: string): SpendRecord[] {
   try {
-    const data = JSON.parse(fs.readFileSync(budgetPath, 'utf-8'));
-    if (data.date === today) return data;
+    return fs.readFileSync(logPath, 'utf-8').split('\n').filter(Boolean).flatMap(line => {
+      try { return [JSON.parse(line)]; } catch { return []; }
+    });
   } catch {
-    // Ignore parse errors - return fresh daily spending for corrupted/missing file
+    return [];
   }
-  return { date: today, totalSats: 0, transactions: [] };
 }
 
-function writeActivityEvent(event) {
+// Seed the spending log with today's transactions from the old daily tracker
+async function migrateDailySpending(walletDir: string) {
+  const logPath = getSpendLogPath(walletDir);
+  try {
+    await withFileLock(logPath, () => {
+      if (fs.existsSync(logPath)) return; // another process migrated first
+      const legacy = JSON.parse(fs.readFileSync(path.join(walletDir, BUDGET_FILE), 'utf-8'));
+      const transactions = Array.isArray(legacy.transactions) ? legacy.transactions : [];
+      writeFileAtomic(logPath, transactions.map(tx => JSON.stringify(tx) + '\n').join(''));
+    });
+  } catch {
+    // No legacy file (or unreadable) — start with an empty log
+  }
+}
+
+async function writeActivityEvent(event) {
   const alertDir = path.join(process.env.HOME || '', '.clawdbot', 'bsv-overlay');
   try {
-    fs.mkdirSync(alertDir, { recursive: true });
-    fs.appendFileSync(path.join(alertDir, 'activity-feed.jsonl'), JSON.stringify({ ...event, ts: Date.now() }) + '\n');
+    await appendToJsonl(path.join(alertDir, 'activity-feed.jsonl'), { ...event, ts: Date.now() });
   } catch {}
 }
 
-function recordSpend(walletDir: string, sats: number, service: string, provider: string) {
-  const spending = loadDailySpending(walletDir);
-  spending.totalSats += sats;
-  spending.transactions.push({ ts: Date.now(), sats, service, provider });
-  fs.writeFileSync(getBudgetPath(walletDir), JSON.stringify(spending, null, 2));
+function writeSpendLog(logPath: string, log: SpendRecord[]) {
+  writeFileAtomic(logPath, log.map(r => JSON.stringify(r) + '\n').join(''));
 }
 
-function checkBudget(walletDir: string, requestedSats: number, dailyLimit: number): { allowed: boolean; remaining: number; spent: number } {
-  const spending = loadDailySpending(walletDir);
-  const remaining = dailyLimit - spending.totalSats;
-  return {
-    allowed: remaining >= requestedSats,
-    remaining,
-    spent: spending.totalSats
+// Check a payment against the budgets and, if it fits, reserve it in the
+// spending log under the same lock, so concurrent payments can't both pass
+// the check. The reservation must be settled or released after paying.
+async function reserveBudget(walletDir: string, sats: number, config, target: { service: string; providerKey: string }): Promise<BudgetCheck> {
+  const logPath = getSpendLogPath(walletDir);
+  if (!fs.existsSync(logPath)) await migrateDailySpending(walletDir);
+  return withFileLock(logPath, () => {
+    const now = Date.now();
+    const log = readSpendLog(logPath).filter(r => !r.reserved || now - r.ts < RESERVATION_TTL_MS);
+    const check = checkBudget(log, sats, config, target);
+    if (!check.allowed) return check;
+    const reservationId = randomUUID();
+    log.push({ ts: now, sats, service: target.service, provider: target.providerKey, providerKey: target.providerKey, reservationId, reserved: true });
+    writeSpendLog(logPath, log);
+    return { ...check, reservationId };
+  });
+}
+
+// Turn a reservation into a spend record once the payment went out
+async function settleSpend(walletDir: string, reservationId: string, details: { provider: string; requestId?: string }) {
+  const logPath = getSpendLogPath(walletDir);
+  await withFileLock(logPath, () => {
+    const log = readSpendLog(logPath).map(r => {
+      if (r.reservationId !== reservationId) return r;
+      const { reservationId: _id, reserved: _reserved, ...record } = r;
+      return { ...record, ts: Date.now(), provider: details.provider, ...(details.requestId ? { requestId: details.requestId } : {}) };
+    });
+    writeSpendLog(logPath, log);
+  });
+}
+
+// Give back a reservation whose payment was never made
+async function releaseBudget(walletDir: string, reservationId: string) {
+  const logPath = getSpendLogPath(walletDir);
+  await withFileLock(logPath, () => {
+    writeSpendLog(logPath, readSpendLog(logPath).filter(r => r.reservationId !== reservationId));
+  });
+}
+
+// Price of a discovered service record: its cost for the input discover was given, or its lowest
+// price. Null when its pricing model is unknown or malformed — only a quote can price it.
+function providerPrice(provider): number | null {
+  if (typeof provider?.costSats === 'number') return provider.costSats;
+  const pricing = recordPricing(provider);
+  return pricing ? basePrice(pricing) : null;
+}
+
+// Reputation score attached by discover, or null when we have no history with the provider
+function providerScore(provider): number | null {
+  return provider.reputation?.rated ? provider.reputation.score : null;
+}
+
+// Provider selection strategies for the request action
+const SELECTION_STRATEGIES = ['cheapest', 'most-reliable', 'lowest-latency', 'round-robin', 'pinned'];
+
+// Strategy for this call: tool parameter, then plugin config, then the legacy preferCheapest flag
+function resolveSelectionStrategy(requested, config): string {
+  const strategy = requested || config.selectionStrategy || (config.preferCheapest === false ? 'most-reliable' : 'cheapest');
+  if (!SELECTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown selection strategy: ${strategy}. Use one of: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+// Order providers by the chosen strategy. The first provider is tried first;
+// the rest are failover candidates in order.
+function orderProviders(providers: any[], strategy: string, service: string, config): any[] {
+  const byPrice = (a, b) => (providerPrice(a) ?? Infinity) - (providerPrice(b) ?? Infinity);
+  const ordered = [...providers];
+
+  switch (strategy) {
+    case 'most-reliable':
+      // Unrated providers sit at the neutral 0.5 score, so one bad provider ranks below a new one
+      return ordered.sort((a, b) => ((b.reputation?.score ?? 0.5) - (a.reputation?.score ?? 0.5)) || byPrice(a, b));
+
+    case 'lowest-latency':
+      // Providers without latency samples go last
+      return ordered.sort((a, b) => {
+        const la = a.reputation?.avgLatencyMs ?? Infinity;
+        const lb = b.reputation?.avgLatencyMs ?? Infinity;
+        return (la === lb ? 0 : la < lb ? -1 : 1) || byPrice(a, b);
+      });
+
+    case 'round-robin': {
+      // Rotate a stable ordering so each call starts with the next provider
+      ordered.sort((a, b) => String(a.identityKey).localeCompare(String(b.identityKey)));
+      const turn = roundRobinCounters.get(service) || 0;
+      roundRobinCounters.set(service, turn + 1);
+      const start = turn % ordered.length;
+      return [...ordered.slice(start), ...ordered.slice(0, start)];
+    }
+
+    case 'pinned': {
+      const pinned = config.pinnedProviders?.[service];
+      const pinnedKeys: string[] = Array.isArray(pinned) ? pinned : pinned ? [pinned] : [];
+      if (pinnedKeys.length === 0) {
+        throw new Error(`No pinned provider configured for ${service}. Add it to pinnedProviders in the plugin config.`);
+      }
+      return pinnedKeys
+        .map(key => ordered.find(p => p.identityKey === key))
+        .filter(Boolean);
+    }
+
+    default:
+      return ordered.sort(byPrice);
+  }
+}
+
+// Ping a provider through the relay and wait for its pong.
+// Our own background `connect` process reports the pong on stdout.
+async function checkProviderLiveness(providerKey: string, env, timeoutMs: number): Promise<boolean> {
+  try {
+    const output = await runCommand(env, () => cmdSend(providerKey, 'ping', JSON.stringify({ text: 'liveness-check' })));
+    if (!output.success || !output.data?.messageId) return false;
+    return await waitForPong(output.data.messageId, timeoutMs);
+  } catch {
+    return false;
+  }
+}
+
+function waitForPong(pingId: string, timeoutMs: number): Promise<boolean> {
+  if (earlyPongs.delete(pingId)) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      pongWaiters.delete(pingId);
+      resolve(false);
+    }, timeoutMs);
+    pongWaiters.set(pingId, () => {
+      clearTimeout(timer);
+      pongWaiters.delete(pingId);
+      resolve(true);
+    });
+  });
+}
+
+function notePong(pingId: string | undefined) {
+  if (!pingId) return;
+  const waiter = pongWaiters.get(pingId);
+  if (waiter) {
+    waiter();
+    return;
+  }
+  // The pong can beat the send command's response back to us
+  const now = Date.now();
+  for (const [id, ts] of earlyPongs) {
+    if (now - ts > 5 * 60 * 1000) earlyPongs.delete(id);
+  }
+  earlyPongs.set(pingId, now);
+}
+
+// Ask a provider to price this input and wait for its service-quote. Our own
+// background `connect` process verifies and stores the quote, then reports it.
+async function requestProviderQuote(providerKey: string, serviceId: string, input, env, timeoutMs: number): Promise<{ quoteId?: string; amountSats?: number; declined?: boolean; reason?: string }> {
+  if (!backgroundProcess) {
+    return { reason: 'Quotes need the background relay connection' };
+  }
+  const output = await runCommand(env, () => cmdRequestQuote(providerKey, serviceId, input ? JSON.stringify(input) : undefined));
+  if (!output.success || !output.data?.quoteRequestId) {
+    return { reason: output.error || 'Quote request failed' };
+  }
+  const event = await waitForQuote(output.data.quoteRequestId, timeoutMs);
+  if (!event) return { reason: `No quote within ${timeoutMs / 1000}s` };
+  if (event.action !== 'received') return { declined: event.action === 'declined', reason: event.reason };
+  return { quoteId: event.quoteId, amountSats: event.amountSats };
+}
+
+function waitForQuote(quoteRequestId: string, timeoutMs: number): Promise<any | null> {
+  const early = earlyQuotes.get(quoteRequestId);
+  if (early) {
+    earlyQuotes.delete(quoteRequestId);
+    return Promise.resolve(early.event);
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      quoteWaiters.delete(quoteRequestId);
+      resolve(null);
+    }, timeoutMs);
+    quoteWaiters.set(quoteRequestId, (event) => {
+      clearTimeout(timer);
+      quoteWaiters.delete(quoteRequestId);
+      resolve(event);
+    });
+  });
+}
+
+function noteQuote(event) {
+  if (!event.inReplyTo) return;
+  const waiter = quoteWaiters.get(event.inReplyTo);
+  if (waiter) {
+    waiter(event);
+    return;
+  }
+  // The quote can beat the request command's response back to us
+  const now = Date.now();
+  for (const [id, early] of earlyQuotes) {
+    if (now - early.receivedAt > 5 * 60 * 1000) earlyQuotes.delete(id);
+  }
+  earlyQuotes.set(event.inReplyTo, { event, receivedAt: now });
+}
+
+// Ask the provider for our sats back if a paid request gets no response in time.
+// The timer is cleared when the matching service-response arrives. sentAt
+// (default now) is the signed requestedAt of the request, which the provider
+// counts its refund deadline from too, so the deadline survives restarts.
+// dueAt overrides the deadline, e.g. when the provider answered "not due".
+function scheduleRefundRequest(request: { requestId: string; providerKey: string; serviceId: string; sats: number; sentAt?: number; dueAt?: number }, env, config, logger?) {
+  const timeoutMinutes = config?.refundTimeoutMinutes ?? 30;
+  if (!request.requestId || !request.sats || timeoutMinutes <= 0 || pendingRefundTimers.has(request.requestId)) return;
+  const dueAt = request.dueAt ?? (request.sentAt ?? Date.now()) + timeoutMinutes * 60 * 1000;
+
+  const timer = setTimeout(async () => {
+    pendingRefundTimers.delete(request.requestId);
+    const reason = `No response within ${timeoutMinutes} minutes`;
+    try {
+      // A response may have been recorded by another process since the timer was set
+      const ledger = await runCommand(env, async () => loadRequestLedger());
+      const entry = ledger.data?.find(e => e.requestId === request.requestId);
+      if (entry && (entry.responseAt || entry.refundStatus)) return;
+      const output = await runCommand(env, () => cmdRefundRequest(request.providerKey, request.requestId, request.serviceId, reason));
+      if (!output.success) throw new Error(output.error);
+      logger?.info?.(`[bsv-overlay] Requested refund of ${request.sats} sats for ${request.serviceId} (${request.requestId})`);
+      await writeActivityEvent({ type: 'refund_requested', emoji: '↩️', serviceId: request.serviceId, requestId: request.requestId, sats: request.sats, provider: request.providerKey.slice(0, 16), message: `Requested refund of ${request.sats} sats for ${request.serviceId}: ${reason}` });
+    } catch (err: any) {
+      logger?.warn?.(`[bsv-overlay] Refund request for ${request.requestId} failed:`, err.message);
+    }
+  }, Math.max(0, dueAt - Date.now()));
+  timer.unref?.();
+  pendingRefundTimers.set(request.requestId, timer);
+}
+
+// Reschedule refunds for paid requests still unanswered in the ledger, e.g.
+// after a restart. Requests already past their deadline are refunded right away.
+async function resumeRefundRequests(env, config, logger?) {
+  const output = await runCommand(env, async () => loadRequestLedger());
+  if (!output.success) {
+    logger?.warn?.(`[bsv-overlay] Could not read the request ledger to resume refunds: ${output.error}`);
+    return;
+  }
+  for (const entry of output.data) {
+    if (entry.satsPaid > 0 && entry.status === 'sent' && !entry.responseAt && !entry.refundStatus) {
+      scheduleRefundRequest({
+        requestId: entry.requestId,
+        providerKey: entry.provider,
+        serviceId: entry.serviceId,
+        sats: entry.satsPaid,
+        sentAt: Date.parse(entry.sentAt) || Date.now(),
+      }, env, config, logger);
+    }
+  }
+}
+
+function clearRefundTimer(requestId: string | undefined) {
+  if (!requestId) return;
+  const timer = pendingRefundTimers.get(requestId);
+  if (timer) {
+    clearTimeout(timer);
+    pendingRefundTimers.delete(requestId);
+  }
+}
+
+// Start of the current calendar window (UTC); weeks start on Monday
+function windowStart(window: 'daily' | 'weekly' | 'monthly', now: Date): number {
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), window === 'monthly' ? 1 : now.getUTCDate());
+  if (window === 'weekly') return start - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+  return start;
+}
+
+// Check a payment against every configured budget. Daily, weekly, monthly and
+// rolling-24h limits cover all spending; service and provider caps are daily
+// limits for one service ID or provider identity key.
+function checkBudget(log: SpendRecord[], requestedSats: number, config, target: { service?: string; providerKey?: string } = {}): BudgetCheck {
+  const now = new Date();
+  const dayStart = windowStart('daily', now);
+  const sumSince = (since: number, match: (r: SpendRecord) => boolean = () => true) =>
+    log.filter(r => r.ts >= since && match(r)).reduce((sum, r) => sum + (r.sats || 0), 0);
+
+  const windows: BudgetWindow[] = [];
+  const addWindow = (window: string, limit, spent: number) => {
+    if (typeof limit !== 'number') return;
+    windows.push({ window, limit, spent, remaining: limit - spent });
   };
+
+  addWindow('daily', config?.dailyBudgetSats || 1000, sumSince(dayStart));
+  addWindow('rolling-24h', config?.rolling24hBudgetSats, sumSince(now.getTime() - DAY_MS));
+  addWindow('weekly', config?.weeklyBudgetSats, sumSince(windowStart('weekly', now)));
+  addWindow('monthly', config?.monthlyBudgetSats, sumSince(windowStart('monthly', now)));
+  if (target.service) {
+    addWindow(`service:${target.service}`, config?.serviceBudgetSats?.[target.service], sumSince(dayStart, r => r.service === target.service));
+  }
+  if (target.providerKey) {
+    const key = target.providerKey;
+    addWindow(`provider:${key.slice(0, 16)}...`, config?.providerBudgetSats?.[key], sumSince(dayStart, r => (r.providerKey || r.provider) === key));
+  }
+
+  const exceeded = windows.filter(w => w.remaining < requestedSats);
+  return { allowed: exceeded.length === 0, requested: requestedSats, windows, exceeded };
+}
+
+// Human-readable rejection naming the limits hit and the headroom left in every window
+function describeBudgetRejection(check: BudgetCheck): string {
+  const hit = check.exceeded.map(w => `${w.window} limit of ${w.limit} sats`).join(', ');
+  const headroom = check.windows
+    .map(w => `${w.window}: ${w.spent}/${w.limit} sats spent, ${Math.max(0, w.remaining)} left`)
+    .join('; ');
+  return `Requested ${check.requested} sats would exceed the ${hit}. Headroom — ${headroom}`;
 }
 
-async function startAutoImport(env, cliPath, logger) {
-  // Get our address
+async function startAutoImport(env, logger) {
+  // Make sure the wallet exists before polling for funds
   try {
-    const addrResult = await execFileAsync('node', [cliPath, 'address'], { env });
-    const addrOutput = parseCliOutput(addrResult.stdout);
-    if (!addrOutput.success) return;
-    const address = addrOutput.data?.address;
-    if (!address) return;
-    
-    // Load known txids from wallet state
-    const balResult = await execFileAsync('node', [cliPath, 'balance'], { env });
-    const balOutput = parseCliOutput(balResult.stdout);
-    // Track what we already have
+    const addrOutput = await runCommand(env, () => cmdAddress());
+    if (!addrOutput.success || !addrOutput.data?.address) return;
     
+    // Seen/imported/failed outputs are persisted by the lib, so a restart
+    // picks up where the last cycle left off and transient failures are
+    // retried with backoff
     autoImportInterval = setInterval(async () => {
+      if (autoImportRunning) return;
+      autoImportRunning = true;
       try {
-        const network = env.BSV_NETWORK === 'testnet' ? 'test' : 'main';
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 15000);
-        const resp = await fetch(`https://api.whatsonchain.com/v1/bsv/${network}/address/${address}/unspent`, { signal: controller.signal });
-        clearTimeout(timeout);
-        if (!resp.ok) return;
-        const utxos = await resp.json();
+        const cycleOutput = await runCommand(env, () => runAutoImport());
+        if (!cycleOutput.success) {
+          // Chain-data error — just skip this cycle
+          logger?.debug?.('[bsv-overlay] Auto-import cycle skipped:', cycleOutput.error);
+          return;
+        }
+        const cycle = cycleOutput.data;
+        for (const utxo of cycle.retrying) {
+          logger?.info?.(`[bsv-overlay] Auto-import of ${utxo.txid}:${utxo.vout} failed (attempt ${utxo.attempts}), retrying after ${utxo.nextAttemptAt}: ${utxo.reason}`);
+        }
+        for (const utxo of cycle.failed) {
+          logger?.warn?.(`[bsv-overlay] Auto-import of ${utxo.txid}:${utxo.vout} (${utxo.satoshis} sats) failed: ${utxo.reason}`);
+        }
+        if (cycle.imported.length === 0) return;
         
-        for (const utxo of utxos) {
-          const key = `${utxo.tx_hash}:${utxo.tx_pos}`;
-          if (knownTxids.has(key)) continue;
-          if (utxo.value < 200) continue; // skip dust
-          
-          logger?.info?.(`[bsv-overlay] Auto-importing UTXO: ${utxo.tx_hash}:${utxo.tx_pos} (${utxo.value} sats)`);
-          try {
-            const importResult = await execFileAsync('node', [cliPath, 'import', utxo.tx_hash, String(utxo.tx_pos)], { env });
-            const importOutput = parseCliOutput(importResult.stdout);
-            if (importOutput.success) {
-              knownTxids.add(key);
-              logger?.info?.(`[bsv-overlay] Auto-imported ${utxo.value} sats from ${utxo.tx_hash}`);
-              
-              // Check if registered, auto-register if not
-              try {
-                const regPath = path.join(process.env.HOME || '', '.clawdbot', 'bsv-overlay', 'registration.json');
-                if (!fs.existsSync(regPath)) {
-                  logger?.info?.('[bsv-overlay] Not yet registered — auto-registering...');
-                  const regResult = await execFileAsync('node', [cliPath, 'register'], { env, timeout: 60000 });
-                  const regOutput = parseCliOutput(regResult.stdout);
-                  if (regOutput.success) {
-                    logger?.info?.('[bsv-overlay] Auto-registered on overlay network!');
-                  }
-                }
-              } catch (err) {
-                logger?.warn?.('[bsv-overlay] Auto-registration failed:', err.message);
-              }
-            }
-          } catch (err) {
-            // Already imported or error — track it so we don't retry
-            knownTxids.add(key);
+        for (const utxo of cycle.imported) {
+          logger?.info?.(`[bsv-overlay] Auto-imported ${utxo.satoshis} sats from ${utxo.txid}`);
+        }
+        
+        // Check if registered, auto-register if not
+        const regPath = path.join(process.env.HOME || '', '.clawdbot', 'bsv-overlay', 'registration.json');
+        if (!fs.existsSync(regPath)) {
+          logger?.info?.('[bsv-overlay] Not yet registered — auto-registering...');
+          const regOutput = await runCommand(env, () => cmdRegister());
+          if (regOutput.success) {
+            logger?.info?.('[bsv-overlay] Auto-registered on overlay network!');
+          } else {
+            logger?.warn?.('[bsv-overlay] Auto-registration failed:', regOutput.error);
           }
         }
       } catch (err) {
-        // WoC API error — just skip this cycle
+        logger?.warn?.('[bsv-overlay] Auto-import cycle failed:', err.message);
+      } finally {
+        autoImportRunning = false;
       }
     }, 60000); // Check every 60 seconds
   } catch (err) {
@@ -175,7 +533,7 @@ function autoEnableHooks(api: any): boolean {
         token: config.hooks?.token || token,
       };
 
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      writeFileAtomic(configPath, JSON.stringify(config, null, 2));
       api?.log?.info?.(`[bsv-overlay] Auto-enabled hooks in config (${configPath}). Gateway restart needed to activate.`);
       return true;
     }
@@ -274,6 +632,20 @@ function categorizeEvent(event) {
     return { ...base, type: 'incoming_payment', emoji: '💰', serviceId: event.serviceId, sats: event.satoshisReceived, message: `Received ${event.satoshisReceived} sats for ${event.serviceId} (auto-fulfilled)` };
   }
   
+  // ↩️ Refunds — issued by us as provider, or returned to us as requester
+  if (event.type === 'refund-request' && event.action === 'refunded') {
+    return { ...base, type: 'refund_issued', emoji: '↩️', serviceId: event.serviceId, sats: event.satoshisRefunded, requestId: event.requestId, message: `Refunded ${event.satoshisRefunded} sats for unfulfilled ${event.serviceId} request` };
+  }
+  if (event.type === 'refund-request' && event.action === 'refund-denied') {
+    return { ...base, type: 'refund_request_denied', emoji: '❌', serviceId: event.serviceId, requestId: event.requestId, reason: event.reason, message: `Denied refund request for ${event.serviceId}: ${event.reason}` };
+  }
+  if (event.type === 'refund' && event.action === 'refund-received') {
+    return { ...base, type: 'refund_received', emoji: '↩️', serviceId: event.serviceId, sats: event.satoshisRefunded, requestId: event.requestId, message: `Refund of ${event.satoshisRefunded} sats received for ${event.serviceId}` };
+  }
+  if (event.type === 'refund' && (event.action === 'refund-denied' || event.action === 'refund-failed')) {
+    return { ...base, type: 'refund_denied', emoji: '❌', serviceId: event.serviceId, requestId: event.requestId, reason: event.reason, message: `Refund for ${event.serviceId} not received: ${event.reason}` };
+  }
+
   // 📬 Response received — a service we requested came back
   // Fields come directly from the CLI event, not nested under .payload
   if (event.type === 'service-response' && event.action === 'received') {
@@ -295,7 +667,7 @@ function categorizeEvent(event) {
   return null;
 }
 
-function startBackgroundService(env, cliPath, logger) {
+function startBackgroundService(env, cliPath, logger, config) {
   if (backgroundProcess) return;
   serviceRunning = true;
   
@@ -327,9 +699,33 @@ function startBackgroundService(env, cliPath, logger) {
             wakeAgent(wakeText, logger, { sessionKey: `hook:bsv-overlay:${event.id || Date.now()}` });
           }
           
+          // Pongs answer provider liveness checks made before paying
+          if (event.type === 'pong') {
+            notePong(event.inReplyTo);
+          }
+
+          // Quotes answer price requests made before paying
+          if (event.type === 'service-quote') {
+            noteQuote(event);
+          }
+
+          // The provider's refund deadline hasn't passed yet — ask again when it has
+          if (event.type === 'refund' && event.action === 'refund-not-due') {
+            const dueAt = Date.parse(event.dueAt ?? '');
+            scheduleRefundRequest({
+              requestId: event.requestId,
+              providerKey: event.provider,
+              serviceId: event.serviceId,
+              sats: event.satsPaid,
+              dueAt: Number.isFinite(dueAt) ? dueAt : undefined,
+            }, env, config, logger);
+          }
+
           // Detect service-response events — invoke agent to notify user
-          // This is the REQUESTER side: we requested a service, response came back
+          // This is the REQUESTER side: we requested a service, response came back.
+          // Unverified responses arrive as action 'ignored' and keep the refund timer running.
           if (event.type === 'service-response' && event.action === 'received') {
+            if (event.ledgerUpdated) clearRefundTimer(event.requestId);
             const svcId = event.serviceId || 'unknown';
             const status = event.status || 'unknown';
             const from = event.from || 'unknown';
@@ -344,9 +740,7 @@ function startBackgroundService(env, cliPath, logger) {
           // Write payment/activity notifications for ALL significant events
           const notifEvent = categorizeEvent(event);
           if (notifEvent) {
-            try {
-              fs.appendFileSync(path.join(alertDir, 'activity-feed.jsonl'), JSON.stringify(notifEvent) + '\n');
-            } catch {}
+            appendToJsonl(path.join(alertDir, 'activity-feed.jsonl'), notifEvent).catch(() => {});
           }
         } catch {}
       }
@@ -387,6 +781,8 @@ function stopBackgroundService() {
     backgroundProcess = null;
   }
   stopAutoImport();
+  for (const timer of pendingRefundTimers.values()) clearTimeout(timer);
+  pendingRefundTimers.clear();
 }
 
 export default function register(api) {
@@ -407,7 +803,7 @@ export default function register(api) {
             "setup", "address", "import", "register", "advertise", 
             "readvertise", "remove", "send", "inbox", "services", "refund",
             "onboard", "pending-requests", "fulfill",
-            "unregister", "remove-service"
+            "unregister", "remove-service", "my-requests", "reputation", "report"
           ],
           description: "Action to perform"
         },
@@ -417,15 +813,15 @@ export default function register(api) {
         },
         input: {
           type: "object",
-          description: "Service-specific input data"
+          description: "Service-specific input data (discover: price services for this input)"
         },
         maxPrice: {
           type: "number",
-          description: "Max sats willing to pay"
+          description: "Max sats willing to pay (request), or max advertised price to list (discover)"
         },
         identityKey: {
           type: "string",
-          description: "Target agent key for direct pay/send"
+          description: "Target agent key for direct pay/send, or agent to look up for discover"
         },
         sats: {
           type: "number",
@@ -438,6 +834,35 @@ export default function register(api) {
           type: "string",
           description: "Agent name filter for discover"
         },
+        history: {
+          type: "boolean",
+          description: "Include superseded service records in discover (default: newest per provider and service)"
+        },
+        update: {
+          type: "boolean",
+          description: "For register: republish the identity record with the current name, description, capabilities and channels"
+        },
+        refresh: {
+          type: "boolean",
+          description: "Query the overlay for discover even if cached results are still fresh"
+        },
+        capability: {
+          type: "string",
+          description: "Agent capability filter for discover"
+        },
+        provider: {
+          type: "string",
+          description: "Provider identity key filter for discover services"
+        },
+        sort: {
+          type: "string",
+          enum: ["price", "name", "newest"],
+          description: "Sort order for discover results"
+        },
+        offset: {
+          type: "number",
+          description: "Number of discover results to skip (for paging with limit)"
+        },
         // Import parameters
         txid: {
           type: "string",
@@ -460,6 +885,31 @@ export default function register(api) {
           type: "number",
           description: "Price in satoshis for advertise"
         },
+        inputSchema: {
+          type: "object",
+          description: "JSON Schema for the request input, for advertise/readvertise (readvertise: null removes it)"
+        },
+        outputSchema: {
+          type: "object",
+          description: "JSON Schema for the delivered result, for advertise/readvertise (readvertise: null removes it)"
+        },
+        search: {
+          type: "string",
+          description: "For discover: rank services by how well their name, tags and description match this text"
+        },
+        category: {
+          type: "string",
+          description: "Service category for advertise/readvertise (readvertise: null removes it), or category filter for discover"
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Service tags for advertise/readvertise (readvertise: null removes them), or tags a service must all have for discover"
+        },
+        pricing: {
+          type: "object",
+          description: "Pricing model for advertise/readvertise: { model: 'per-unit', unit: 'kb'|'1k-tokens'|'item', minimumSats?, itemsField? } charges priceSats/newPrice per unit; { model: 'tiered', unit, tiers: [{ upTo, amountSats }] } charges by tier, priceSats/newPrice above the last one (readvertise: null reverts to per-task)"
+        },
         newPrice: {
           type: "number",
           description: "New price for readvertise"
@@ -503,6 +953,43 @@ export default function register(api) {
         result: {
           type: "object",
           description: "Service result for fulfill"
+        },
+        quote: {
+          type: "boolean",
+          description: "For request: ask each provider for a price quote for this input and pay exactly the quoted amount (defaults to the requestQuotes config)"
+        },
+        strategy: {
+          type: "string",
+          enum: ["cheapest", "most-reliable", "lowest-latency", "round-robin", "pinned"],
+          description: "Provider selection strategy for request (defaults to the selectionStrategy config)"
+        },
+        // my-requests parameters
+        status: {
+          type: "string",
+          description: "Filter my-requests by status (sent, fulfilled, rejected, refunded)"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of entries to return for my-requests (default 20) or discover (default all)"
+        },
+        // report parameters
+        from: {
+          type: "string",
+          description: "Report start date (YYYY-MM-DD or ISO timestamp, inclusive)"
+        },
+        to: {
+          type: "string",
+          description: "Report end date (YYYY-MM-DD or ISO timestamp, inclusive)"
+        },
+        groupBy: {
+          type: "string",
+          enum: ["service", "provider", "requester"],
+          description: "Group report totals by service, provider or requester"
+        },
+        format: {
+          type: "string",
+          enum: ["json", "csv"],
+          description: "Report output format (csv is returned in the csv field)"
         }
       },
       required: ["action"]
@@ -540,10 +1027,13 @@ export default function register(api) {
         const cliPath = path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js');
         
         // Use the improved background service
-        startBackgroundService(env, cliPath, api.logger);
+        startBackgroundService(env, cliPath, api.logger, config);
         
         // Start auto-import
-        startAutoImport(env, cliPath, api.logger);
+        startAutoImport(env, api.logger);
+
+        // Pick up refund deadlines of requests sent before the last restart
+        await resumeRefundRequests(env, config, api.logger);
 
         api.logger.info("BSV overlay WebSocket relay started");
       } catch (error) {
@@ -566,7 +1056,7 @@ export default function register(api) {
       .action(async () => {
         try {
           const config = pluginConfig;
-          const result = await handleStatus(buildEnvironment(config), path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js'));
+          const result = await handleStatus(buildEnvironment(config));
           console.log("BSV Overlay Status:");
           console.log("Identity:", result.identity);
           console.log("Balance:", result.balance);
@@ -581,7 +1071,7 @@ export default function register(api) {
       .action(async () => {
         try {
           const config = pluginConfig;
-          const result = await handleBalance(buildEnvironment(config), path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js'));
+          const result = await handleBalance(buildEnvironment(config));
           console.log("Balance:", result);
         } catch (error) {
           console.error("Error:", error.message);
@@ -593,7 +1083,7 @@ export default function register(api) {
       .action(async () => {
         try {
           const config = pluginConfig;
-          const result = await handleAddress(buildEnvironment(config), path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js'));
+          const result = await handleAddress(buildEnvironment(config));
           console.log("Address:", result);
         } catch (error) {
           console.error("Error:", error.message);
@@ -604,13 +1094,25 @@ export default function register(api) {
       .description("List agents and services on the network")
       .option("--service <type>", "Filter by service type")
       .option("--agent <name>", "Filter by agent name")
+      .option("--capability <name>", "Filter agents by capability")
+      .option("--identity-key <key>", "Look up a specific agent")
+      .option("--provider <key>", "Filter services by provider identity key")
+      .option("--max-price <sats>", "Filter services by maximum price")
+      .option("--sort <order>", "Sort by price, name or newest")
+      .option("--limit <n>", "Maximum number of agents and of services to return")
+      .option("--offset <n>", "Number of agents and of services to skip")
+      .option("--history", "Include superseded service records")
+      .option("--refresh", "Bypass the local discovery cache")
+      .option("--search <text>", "Rank services by name, tag and description match")
+      .option("--category <name>", "Filter services by category")
+      .option("--tags <list>", "Filter services by tags (comma-separated, all required)")
       .action(async (options) => {
         try {
           const config = pluginConfig;
-          const result = await handleDiscover(options, buildEnvironment(config), path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js'));
+          const result = await handleDiscover(options, buildEnvironment(config));
           console.log("Discovery results:");
           console.log(`Overlay URL: ${result.overlayUrl}`);
-          console.log(`Agents: ${result.agentCount}, Services: ${result.serviceCount}`);
+          console.log(`Agents: ${result.agentCount} of ${result.totalAgents}, Services: ${result.serviceCount} of ${result.totalServices}`);
           if (result.agents?.length > 0) {
             console.log("\nAgents:");
             result.agents.forEach(agent => {
@@ -620,7 +1122,8 @@ export default function register(api) {
           if (result.services?.length > 0) {
             console.log("\nServices:");
             result.services.forEach(service => {
-              console.log(`  ${service.serviceId} - ${service.name} (${service.pricing?.amountSats || 0} sats) by ${service.agentName}`);
+              const price = service.pricing ? describePricing(service.pricing) : 'price on quote';
+              console.log(`  ${service.serviceId} - ${service.name} (${price}) by ${service.agentName}`);
             });
           }
         } catch (error) {
@@ -628,12 +1131,55 @@ export default function register(api) {
         }
       });
 
+    overlay.command("my-requests")
+      .description("List service requests we have sent and their outcomes")
+      .option("--status <status>", "Filter by status")
+      .option("--service <id>", "Filter by service ID")
+      .action(async (options) => {
+        try {
+          const config = pluginConfig;
+          const result = await handleMyRequests(options, buildEnvironment(config));
+          console.log(`Requests: ${result.total} (showing ${result.count})`);
+          result.requests.forEach(r => {
+            console.log(`  ${r.sentAt} ${r.serviceId} → ${r.provider.slice(0, 16)}... ${r.satsPaid} sats [${r.status}]`);
+          });
+        } catch (error) {
+          console.error("Error:", error.message);
+        }
+      });
+
+    overlay.command("report")
+      .description("Spending and earnings report")
+      .option("--from <date>", "Start date (YYYY-MM-DD)")
+      .option("--to <date>", "End date (YYYY-MM-DD)")
+      .option("--group-by <field>", "Group by service, provider or requester")
+      .option("--format <format>", "json or csv", "json")
+      .action(async (options) => {
+        try {
+          const config = pluginConfig;
+          const result = await handleReport(options, buildEnvironment(config));
+          if (result.format === 'csv') {
+            process.stdout.write(result.csv);
+            return;
+          }
+          const { totals } = result;
+          console.log(`Spent: ${totals.spentSats} sats (${totals.outgoingCount} payments)`);
+          console.log(`Earned: ${totals.earnedSats} sats (${totals.incomingCount} payments)`);
+          console.log(`Net: ${totals.netSats} sats`);
+          (result.groups || []).forEach(g => {
+            console.log(`  ${g.key}: spent ${g.spentSats}, earned ${g.earnedSats}, net ${g.netSats}`);
+          });
+        } catch (error) {
+          console.error("Error:", error.message);
+        }
+      });
+
     overlay.command("services")
       .description("List our advertised services")
       .action(async () => {
         try {
           const config = pluginConfig;
-          const result = await handleServices(buildEnvironment(config), path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js'));
+          const result = await handleServices(buildEnvironment(config));
           console.log("Our services:", result);
         } catch (error) {
           console.error("Error:", error.message);
@@ -646,10 +1192,8 @@ export default function register(api) {
         try {
           const config = pluginConfig;
           const env = buildEnvironment(config);
-          const cliPath = path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js');
           
-          const result = await execFileAsync('node', [cliPath, 'setup'], { env });
-          const output = parseCliOutput(result.stdout);
+          const output = await runCommand(env, () => cmdSetup());
           console.log("Setup result:", output);
         } catch (error) {
           console.error("Error:", error.message);
@@ -658,14 +1202,13 @@ export default function register(api) {
     
     overlay.command("register")
       .description("Register with the overlay network")
-      .action(async () => {
+      .option("--update", "Republish the identity record after changing name, description, capabilities or channels")
+      .action(async (options) => {
         try {
           const config = pluginConfig;
           const env = buildEnvironment(config);
-          const cliPath = path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js');
           
-          const result = await execFileAsync('node', [cliPath, 'register'], { env });
-          const output = parseCliOutput(result.stdout);
+          const output = await runCommand(env, () => cmdRegister(options.update ? ['--update'] : []));
           console.log("Registration result:", output);
         } catch (error) {
           console.error("Error:", error.message);
@@ -682,7 +1225,6 @@ export default function register(api) {
       const walletDir = config?.walletDir || path.join(process.env.HOME || '', '.clawdbot', 'bsv-wallet');
       const identityFile = path.join(walletDir, 'wallet-identity.json');
       const env = buildEnvironment(config || {});
-      const cliPath = path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js');
 
       // Step 0: Auto-enable hooks if not configured
       // The plugin needs hooks.enabled + hooks.token for async wake-ups via /hooks/agent
@@ -692,37 +1234,31 @@ export default function register(api) {
       let walletJustCreated = false;
       if (!fs.existsSync(identityFile)) {
         api.log?.info?.('[bsv-overlay] No wallet found — running auto-setup...');
-        await execFileAsync('node', [cliPath, 'setup'], { env });
+        const setupOutput = await runCommand(env, () => cmdSetup());
+        if (!setupOutput.success) throw new Error(setupOutput.error);
         api.log?.info?.('[bsv-overlay] Wallet initialized.');
         walletJustCreated = true;
       }
 
       // Step 2: Get wallet address for onboarding message
       let walletAddress = '';
-      try {
-        const addrResult = await execFileAsync('node', [cliPath, 'address'], { env });
-        const addrOutput = parseCliOutput(addrResult.stdout);
-        walletAddress = addrOutput?.data?.address || '';
-      } catch {}
+      const addrOutput = await runCommand(env, () => cmdAddress());
+      walletAddress = addrOutput.data?.address || '';
 
       // Step 3: Check registration and balance state
       const regPath = path.join(process.env.HOME || '', '.clawdbot', 'bsv-overlay', 'registration.json');
       const isRegistered = fs.existsSync(regPath);
       let balance = 0;
-      try {
-        const balResult = await execFileAsync('node', [cliPath, 'balance'], { env });
-        const balOutput = parseCliOutput(balResult.stdout);
-        balance = balOutput?.data?.walletBalance || 0;
-      } catch {}
+      const balOutput = await runCommand(env, () => cmdBalance());
+      balance = balOutput.data?.walletBalance || 0;
 
       // Step 4: If funded and not registered → auto-register
       if (!isRegistered && balance >= 1000) {
         api.log?.info?.('[bsv-overlay] Wallet funded but not registered — auto-registering...');
-        const regResult = await execFileAsync('node', [cliPath, 'register'], { env, timeout: 60000 });
-        const regOutput = parseCliOutput(regResult.stdout);
+        const regOutput = await runCommand(env, () => cmdRegister());
         if (regOutput.success) {
           api.log?.info?.('[bsv-overlay] Auto-registered on overlay network!');
-          const wakeText = `🎉 **BSV Overlay: Registered on the network!**\n\nNotify the user that their agent is now live on the OpenClaw Overlay Network.\n\nNext steps to present to the user:\n1. **Choose an agent name**: Current name is "${env.AGENT_NAME}". To change it, set \`agentName\` in the plugin config and re-register.\n2. **Advertise services**: Ask the user which services they want to offer. Use overlay({ action: "services" }) to see current services, and overlay({ action: "advertise", ... }) to add new ones.\n\nAvailable service types include: code-review, web-research, translate, tell-joke, roulette, and custom services.`;
+          const wakeText = `🎉 **BSV Overlay: Registered on the network!**\n\nNotify the user that their agent is now live on the OpenClaw Overlay Network.\n\nNext steps to present to the user:\n1. **Choose an agent name**: Current name is "${env.AGENT_NAME}". To change it, set \`agentName\` in the plugin config and run overlay({ action: "register", update: true }).\n2. **Advertise services**: Ask the user which services they want to offer. Use overlay({ action: "services" }) to see current services, and overlay({ action: "advertise", ... }) to add new ones.\n\nAvailable service types include: code-review, web-research, translate, tell-joke, roulette, and custom services.`;
           wakeAgent(wakeText, api.log);
           return; // Registered — done with onboarding
         }
@@ -759,81 +1295,89 @@ export default function register(api) {
 async function executeOverlayAction(params, config, api) {
   const { action } = params;
   const env = buildEnvironment(config);
-  const cliPath = path.join(__dirname, 'dist', 'scripts', 'overlay-cli.js');
 
   switch (action) {
     case "request":
-      return await handleServiceRequest(params, env, cliPath, config, api);
+      return await handleServiceRequest(params, env, config, api);
     
     case "discover":
-      return await handleDiscover(params, env, cliPath);
+      return await handleDiscover(params, env);
     
     case "balance":
-      return await handleBalance(env, cliPath);
+      return await handleBalance(env);
     
     case "status":
-      return await handleStatus(env, cliPath);
+      return await handleStatus(env);
     
     case "pay":
-      return await handleDirectPay(params, env, cliPath, config);
+      return await handleDirectPay(params, env, config);
 
     case "setup":
-      return await handleSetup(env, cliPath);
+      return await handleSetup(env);
 
     case "address":
-      return await handleAddress(env, cliPath);
+      return await handleAddress(env);
 
     case "import":
-      return await handleImport(params, env, cliPath);
+      return await handleImport(params, env);
 
     case "register":
-      return await handleRegister(env, cliPath);
+      return await handleRegister(params, env);
 
     case "advertise":
-      return await handleAdvertise(params, env, cliPath);
+      return await handleAdvertise(params, env);
 
     case "readvertise":
-      return await handleReadvertise(params, env, cliPath);
+      return await handleReadvertise(params, env);
 
     case "remove":
-      return await handleRemove(params, env, cliPath);
+      return await handleRemove(params, env);
 
     case "send":
-      return await handleSend(params, env, cliPath);
+      return await handleSend(params, env);
 
     case "inbox":
-      return await handleInbox(env, cliPath);
+      return await handleInbox(env);
 
     case "services":
-      return await handleServices(env, cliPath);
+      return await handleServices(env);
 
     case "refund":
-      return await handleRefund(params, env, cliPath);
+      return await handleRefund(params, env);
 
     case "onboard":
-      return await handleOnboard(env, cliPath);
+      return await handleOnboard(env);
     
     case "pending-requests":
-      return await handlePendingRequests(env, cliPath);
+      return await handlePendingRequests(env);
     
     case "activity":
-      return handleActivity();
+      return await handleActivity();
     
     case "fulfill":
-      return await handleFulfill(params, env, cliPath);
+      return await handleFulfill(params, env);
     
     case "unregister":
-      return await handleUnregister(params, env, cliPath);
+      return await handleUnregister(params, env);
 
     case "remove-service":
-      return await handleRemoveService(params, env, cliPath);
+      return await handleRemoveService(params, env);
+
+    case "my-requests":
+      return await handleMyRequests(params, env);
+
+    case "reputation":
+      return await handleReputation(params, env);
+
+    case "report":
+      return await handleReport(params, env);
     
     default:
       throw new Error(`Unknown action: ${action}`);
   }
 }
 
-async function handleServiceRequest(params, env, cliPath, config, api) {
+async function handleServiceRequest(params, env, config, api) {
   const { service, identityKey: targetKey, input, maxPrice } = params;
   const walletDir = config?.walletDir || path.join(process.env.HOME || '', '.clawdbot', 'bsv-wallet');
   
@@ -841,9 +1385,10 @@ async function handleServiceRequest(params, env, cliPath, config, api) {
     throw new Error("Service is required for request action");
   }
 
-  // 1. Discover providers for the service
-  const discoverResult = await execFileAsync('node', [cliPath, 'discover', '--service', service], { env });
-  const discoverOutput = parseCliOutput(discoverResult.stdout);
+  const strategy = resolveSelectionStrategy(params.strategy, config);
+
+  // 1. Discover providers for the service, priced for this input
+  const discoverOutput = await runCommand(env, () => cmdDiscover(['--service', service, '--input', JSON.stringify(input ?? {})]));
   
   if (!discoverOutput.success) {
     throw new Error(`Discovery failed: ${discoverOutput.error}`);
@@ -856,8 +1401,7 @@ async function handleServiceRequest(params, env, cliPath, config, api) {
   }
 
   // 2. Filter out our own identity key
-  const identityResult = await execFileAsync('node', [cliPath, 'identity'], { env });
-  const identityOutput = parseCliOutput(identityResult.stdout);
+  const identityOutput = await runCommand(env, () => cmdIdentity());
   const ourKey = identityOutput.data?.identityKey;
   
   let externalProviders = providers.filter(p => p.identityKey !== ourKey);
@@ -865,6 +1409,13 @@ async function handleServiceRequest(params, env, cliPath, config, api) {
     throw new Error("No external providers available (only found our own services)");
   }
 
+  // 2a. Only pay providers whose record is signed by the identity key being paid
+  const unsignedCount = externalProviders.filter(p => !p.verified).length;
+  externalProviders = externalProviders.filter(p => p.verified);
+  if (externalProviders.length === 0) {
+    throw new Error(`No verified providers for service: ${service} (${unsignedCount} unsigned record(s) skipped — they must readvertise to be used)`);
+  }
+
   // 2b. If caller specified a target identityKey, route to that provider specifically
   if (targetKey) {
     const targeted = externalProviders.filter(p => p.identityKey === targetKey);
@@ -874,56 +1425,167 @@ async function handleServiceRequest(params, env, cliPath, config, api) {
     externalProviders = targeted;
   }
 
-  // 3. Sort by price - FIX: Use pricing.amountSats instead of pricingSats
-  externalProviders.sort((a, b) => (a.pricing?.amountSats || 0) - (b.pricing?.amountSats || 0));
-  
-  const bestProvider = externalProviders[0];
-  const price = bestProvider.pricing?.amountSats || 0;
-
-  // 4. Check price limits
+  // 3. Check price limits against each provider's price for this input —
+  // providers above the limit are never tried. Providers whose pricing can't
+  // be read are only tried with quotes, which price the input for them.
   const maxAutoPaySats = config.maxAutoPaySats || 200;
   const userMaxPrice = maxPrice || maxAutoPaySats;
-  
-  if (price > userMaxPrice) {
-    throw new Error(`Service price (${price} sats) exceeds limit (${userMaxPrice} sats)`);
-  }
+  const useQuotes = params.quote ?? config.requestQuotes ?? false;
+  const affordable = externalProviders.filter(p => {
+    const listed = providerPrice(p);
+    return listed === null ? useQuotes : listed <= userMaxPrice;
+  });
 
-  // 5. Check daily budget
-  const dailyLimit = config.dailyBudgetSats || 1000;
-  const budgetCheck = checkBudget(walletDir, price, dailyLimit);
-  if (!budgetCheck.allowed) {
-    throw new Error(`Service request would exceed daily budget. Spent: ${budgetCheck.spent} sats, Remaining: ${budgetCheck.remaining} sats, Requested: ${price} sats. Please confirm with user.`);
-  }
+  if (affordable.length === 0) {
+    const prices = externalProviders.map(providerPrice).filter((p): p is number => p !== null);
+    if (prices.length === 0) {
+      throw new Error(`No provider of ${service} advertises pricing this plugin can read. Request with quote: true to have them price the input.`);
+    }
+    throw new Error(`Service price for this input (${Math.min(...prices)} sats) exceeds limit (${userMaxPrice} sats)`);
+  }
+
+  // 4. Order candidates by the selection strategy
+  const candidates = orderProviders(affordable, strategy, service, config);
+  if (candidates.length === 0) {
+    throw new Error(`None of the pinned providers for ${service} are available within the price limit`);
+  }
+
+  // 5. Try providers in order, falling back to the next one when a provider
+  // doesn't answer a liveness ping or the request can't be delivered.
+  // Payment only happens inside request-service, after the liveness check,
+  // so a provider that is skipped is never paid.
+  const ackTimeoutSeconds = config.providerAckTimeoutSeconds ?? 10;
+  const quoteTimeoutSeconds = config.quoteTimeoutSeconds ?? 15;
+  const attempts: Array<{ provider: string; providerKey: string; price: number | null; reputation: number | null; outcome: string; error?: string }> = [];
+  let bestProvider: any = null;
+  let price = 0;
+  let requestOutput: any = null;
+
+  for (const candidate of candidates) {
+    let candidatePrice = providerPrice(candidate);
+    const attempt = { provider: candidate.name, providerKey: candidate.identityKey, price: candidatePrice, reputation: providerScore(candidate), outcome: 'pending' } as (typeof attempts)[number];
+    attempts.push(attempt);
+
+    // Input the provider's schema rejects would be refused after payment — check it before paying
+    const inputErrors = validateJsonSchema(candidate.inputSchema, input ?? {});
+    if (inputErrors.length > 0) {
+      attempt.outcome = 'invalid-input';
+      attempt.error = inputErrors.join('; ');
+      continue;
+    }
+
+    // A quote prices this exact input; its reply also proves the provider is live
+    let quoteId: string | undefined;
+    if (useQuotes) {
+      const quoted = await requestProviderQuote(candidate.identityKey, service, input, env, quoteTimeoutSeconds * 1000);
+      if (!quoted.quoteId) {
+        attempt.outcome = quoted.declined ? 'quote-declined' : 'no-quote';
+        attempt.error = quoted.reason;
+        continue;
+      }
+      const amountSats = quoted.amountSats as number;
+      if (!Number.isSafeInteger(amountSats) || amountSats <= 0) {
+        attempt.outcome = 'invalid-quote';
+        attempt.error = `Quoted amount ${JSON.stringify(quoted.amountSats)} is not a positive whole number of sats`;
+        continue;
+      }
+      if (amountSats > userMaxPrice) {
+        attempt.outcome = 'quote-too-high';
+        attempt.error = `Quoted ${amountSats} sats, limit ${userMaxPrice} sats`;
+        continue;
+      }
+      candidatePrice = attempt.price = amountSats;
+      quoteId = quoted.quoteId;
+    }
+    if (candidatePrice === null) {
+      attempt.outcome = 'unpriced';
+      attempt.error = 'Pricing model can\'t be read and no quote was obtained';
+      continue;
+    }
 
-  api.logger.info(`Requesting service ${service} from ${bestProvider.name} for ${price} sats`);
+    const budgetCheck = await reserveBudget(walletDir, candidatePrice, config, { service, providerKey: candidate.identityKey });
+    if (!budgetCheck.allowed) {
+      attempt.outcome = 'over-budget';
+      attempt.error = describeBudgetRejection(budgetCheck);
+      continue;
+    }
+    const reservationId = budgetCheck.reservationId!;
+
+    try {
+      // Liveness needs the background relay connection to observe the pong
+      if (backgroundProcess && ackTimeoutSeconds > 0 && !quoteId) {
+        const alive = await checkProviderLiveness(candidate.identityKey, env, ackTimeoutSeconds * 1000);
+        if (!alive) {
+          attempt.outcome = 'no-ack';
+          attempt.error = `No pong within ${ackTimeoutSeconds}s`;
+          api.logger.warn?.(`[bsv-overlay] Provider ${candidate.identityKey.slice(0, 16)}... did not answer ping — trying next provider`);
+          continue;
+        }
+      }
 
-  // 6. Request the service
-  const requestArgs = [cliPath, 'request-service', bestProvider.identityKey, service, price.toString()];
-  if (input) {
-    requestArgs.push(JSON.stringify(input));
+      api.logger.info(`Requesting service ${service} from ${candidate.name} for ${candidatePrice} sats`);
+
+      // 6. Request the service
+      const output = await runCommand(env, () =>
+        cmdRequestService(candidate.identityKey, service, candidatePrice.toString(), input ? JSON.stringify(input) : undefined, quoteId));
+      if (output.success) {
+        attempt.outcome = 'sent';
+        bestProvider = candidate;
+        price = candidatePrice;
+        requestOutput = output;
+        // Only a request that actually carried the payment spends the reserved budget
+        if (output.data?.paymentIncluded) {
+          await settleSpend(walletDir, reservationId, { provider: candidate.name, requestId: output.data?.requestId });
+        } else {
+          await releaseBudget(walletDir, reservationId);
+        }
+        break;
+      } else {
+        attempt.outcome = 'send-failed';
+        attempt.error = output.error;
+        api.logger.warn?.(`[bsv-overlay] Request to ${candidate.identityKey.slice(0, 16)}... failed: ${attempt.error} — trying next provider`);
+      }
+    } finally {
+      if (attempt.outcome !== 'sent') await releaseBudget(walletDir, reservationId);
+    }
   }
-  
-  const requestResult = await execFileAsync('node', requestArgs, { env });
-  const requestOutput = parseCliOutput(requestResult.stdout);
-  
-  if (!requestOutput.success) {
-    throw new Error(`Service request failed: ${requestOutput.error}`);
+
+  if (!bestProvider) {
+    const summary = attempts.map(a => `${a.providerKey.slice(0, 16)}... (${a.price ?? '?'} sats${a.reputation !== null ? `, score ${a.reputation}` : ''}): ${a.outcome}${a.error ? ` — ${a.error}` : ''}`).join('; ');
+    if (attempts.every(a => a.outcome === 'over-budget')) {
+      throw new Error(`Service request would exceed budget. ${attempts[0].error}. Please confirm with user.`);
+    }
+    if (attempts.every(a => a.outcome === 'invalid-input')) {
+      throw new Error(`Input doesn't match the ${service} input schema (nothing was paid): ${attempts[0].error}. Check the inputSchema returned by discover.`);
+    }
+    throw new Error(`Service request failed with every provider. Attempts: ${summary}`);
   }
 
   // 7. Return immediately — no polling.
   // The WebSocket background service handles incoming responses
   // asynchronously and wakes the agent via /hooks/agent when a
   // response arrives. This avoids blocking for up to 120s.
-  recordSpend(walletDir, price, service, bestProvider.name);
-  writeActivityEvent({ type: 'outgoing_payment', emoji: '💸', sats: price, service, provider: bestProvider.name, message: `Paid ${price} sats to ${bestProvider.name} for ${service}` });
+  const requestId = requestOutput.data?.requestId;
+  const paid = !!requestOutput.data?.paymentIncluded;
+  if (paid) {
+    await writeActivityEvent({ type: 'outgoing_payment', emoji: '💸', sats: price, service, provider: bestProvider.name, message: `Paid ${price} sats to ${bestProvider.name} for ${service}` });
+    scheduleRefundRequest({ requestId, providerKey: bestProvider.identityKey, serviceId: service, sats: price }, env, config, api.logger);
+  }
   
   return {
     provider: bestProvider.name,
     providerKey: bestProvider.identityKey,
-    cost: price,
+    cost: paid ? price : 0,
     status: "sent",
-    requestId: requestOutput.data?.messageId,
-    message: `Request sent and paid (${price} sats) to ${bestProvider.name}. The response will be delivered asynchronously when the provider fulfills it.`,
+    paymentIncluded: paid,
+    requestId,
+    quoteId: requestOutput.data?.quoteId ?? null,
+    strategy,
+    providerReputation: bestProvider.reputation ?? null,
+    attempts,
+    message: paid
+      ? `Request sent and paid (${price} sats) to ${bestProvider.name}. The response will be delivered asynchronously when the provider fulfills it.`
+      : `Request sent to ${bestProvider.name} without payment (${requestOutput.data?.paymentError || 'payment could not be built'}); nothing was spent and the provider will likely reject it.`,
   };
 }
 
@@ -951,7 +1613,7 @@ function validateConfirmToken(token: string, expectedAction: string): { valid: b
   return { valid: true, details: entry.details };
 }
 
-async function handleUnregister(params, env, cliPath) {
+async function handleUnregister(params, env) {
   const { confirmToken } = params;
 
   // Load current registration to show what will be deleted
@@ -968,8 +1630,7 @@ async function handleUnregister(params, env, cliPath) {
   }
 
   // Load services that will also become orphaned
-  const servicesResult = await execFileAsync('node', [cliPath, 'services'], { env });
-  const servicesOutput = parseCliOutput(servicesResult.stdout);
+  const servicesOutput = await runCommand(env, () => cmdServices());
   const services = servicesOutput?.data?.services || [];
 
   // Step 1: No token → preview + generate confirmation token
@@ -1011,15 +1672,14 @@ async function handleUnregister(params, env, cliPath) {
     throw new Error(validation.error!);
   }
 
-  // Execute the unregister via CLI
-  const result = await execFileAsync('node', [cliPath, 'unregister'], { env, timeout: 60000 });
-  const output = parseCliOutput(result.stdout);
+  // Execute the unregister
+  const output = await runCommand(env, () => cmdUnregister());
 
   if (!output.success) {
     throw new Error(`Unregister failed: ${output.error}`);
   }
 
-  writeActivityEvent({
+  await writeActivityEvent({
     type: 'agent_unregistered', emoji: '🗑️',
     message: `Agent unregistered from overlay network. Identity and ${services.length} services removed.`,
   });
@@ -1031,7 +1691,7 @@ async function handleUnregister(params, env, cliPath) {
   };
 }
 
-async function handleRemoveService(params, env, cliPath) {
+async function handleRemoveService(params, env) {
   const { serviceId, confirmToken } = params;
 
   if (!serviceId) {
@@ -1039,8 +1699,7 @@ async function handleRemoveService(params, env, cliPath) {
   }
 
   // Load the service details
-  const servicesResult = await execFileAsync('node', [cliPath, 'services'], { env });
-  const servicesOutput = parseCliOutput(servicesResult.stdout);
+  const servicesOutput = await runCommand(env, () => cmdServices());
   const services = servicesOutput?.data?.services || [];
   const target = services.find((s: any) => s.serviceId === serviceId);
 
@@ -1080,15 +1739,14 @@ async function handleRemoveService(params, env, cliPath) {
     throw new Error(validation.error!);
   }
 
-  // Execute the remove via CLI (which now does on-chain deletion)
-  const result = await execFileAsync('node', [cliPath, 'remove', serviceId], { env, timeout: 60000 });
-  const output = parseCliOutput(result.stdout);
+  // Execute the remove (which now does on-chain deletion)
+  const output = await runCommand(env, () => cmdRemove(serviceId));
 
   if (!output.success) {
     throw new Error(`Remove service failed: ${output.error}`);
   }
 
-  writeActivityEvent({
+  await writeActivityEvent({
     type: 'service_removed', emoji: '🗑️',
     serviceId, message: `Service '${serviceId}' removed from overlay network.`,
   });
@@ -1100,9 +1758,9 @@ async function handleRemoveService(params, env, cliPath) {
   };
 }
 
-async function handleDiscover(params, env, cliPath) {
-  const { service, agent } = params;
-  const args = [cliPath, 'discover'];
+async function handleDiscover(params, env) {
+  const { service, agent, capability, identityKey, provider, maxPrice, sort, limit, offset, history, refresh, input, search, category, tags } = params;
+  const args: string[] = [];
   
   if (service) {
     args.push('--service', service);
@@ -1110,9 +1768,47 @@ async function handleDiscover(params, env, cliPath) {
   if (agent) {
     args.push('--agent', agent);
   }
+  if (capability) {
+    args.push('--capability', capability);
+  }
+  if (identityKey) {
+    args.push('--identity-key', identityKey);
+  }
+  if (provider) {
+    args.push('--provider', provider);
+  }
+  if (maxPrice !== undefined) {
+    args.push('--max-price', String(maxPrice));
+  }
+  if (sort) {
+    args.push('--sort', sort);
+  }
+  if (limit) {
+    args.push('--limit', String(limit));
+  }
+  if (offset) {
+    args.push('--offset', String(offset));
+  }
+  if (history) {
+    args.push('--history');
+  }
+  if (refresh) {
+    args.push('--refresh');
+  }
+  if (input !== undefined) {
+    args.push('--input', JSON.stringify(input));
+  }
+  if (search) {
+    args.push('--search', search);
+  }
+  if (category) {
+    args.push('--category', category);
+  }
+  if (tags && tags.length > 0) {
+    args.push('--tags', Array.isArray(tags) ? tags.join(',') : String(tags));
+  }
   
-  const result = await execFileAsync('node', args, { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdDiscover(args));
   
   if (!output.success) {
     throw new Error(`Discovery failed: ${output.error}`);
@@ -1121,9 +1817,8 @@ async function handleDiscover(params, env, cliPath) {
   return output.data;
 }
 
-async function handleBalance(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'balance'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleBalance(env) {
+  const output = await runCommand(env, () => cmdBalance());
   
   if (!output.success) {
     throw new Error(`Balance check failed: ${output.error}`);
@@ -1132,19 +1827,16 @@ async function handleBalance(env, cliPath) {
   return output.data;
 }
 
-async function handleStatus(env, cliPath) {
+async function handleStatus(env) {
   try {
     // Get identity
-    const identityResult = await execFileAsync('node', [cliPath, 'identity'], { env });
-    const identity = parseCliOutput(identityResult.stdout);
+    const identity = await runCommand(env, () => cmdIdentity());
     
     // Get balance
-    const balanceResult = await execFileAsync('node', [cliPath, 'balance'], { env });
-    const balance = parseCliOutput(balanceResult.stdout);
+    const balance = await runCommand(env, () => cmdBalance());
     
     // Get services
-    const servicesResult = await execFileAsync('node', [cliPath, 'services'], { env });
-    const services = parseCliOutput(servicesResult.stdout);
+    const services = await runCommand(env, () => cmdServices());
     
     return {
       identity: identity.data,
@@ -1156,7 +1848,7 @@ async function handleStatus(env, cliPath) {
   }
 }
 
-async function handleDirectPay(params, env, cliPath, config) {
+async function handleDirectPay(params, env, config) {
   const { identityKey, sats, description } = params;
   const walletDir = config?.walletDir || path.join(process.env.HOME || '', '.clawdbot', 'bsv-wallet');
   
@@ -1164,35 +1856,28 @@ async function handleDirectPay(params, env, cliPath, config) {
     throw new Error("identityKey and sats are required for pay action");
   }
 
-  // Check daily budget
-  const dailyLimit = config?.dailyBudgetSats || 1000;
-  const budgetCheck = checkBudget(walletDir, sats, dailyLimit);
+  // Check spending budgets, holding the amount until the payment is made
+  const budgetCheck = await reserveBudget(walletDir, sats, config, { service: 'direct-payment', providerKey: identityKey });
   if (!budgetCheck.allowed) {
-    throw new Error(`Payment would exceed daily budget. Spent: ${budgetCheck.spent} sats, Remaining: ${budgetCheck.remaining} sats, Requested: ${sats} sats. Please confirm with user.`);
+    throw new Error(`Payment would exceed budget. ${describeBudgetRejection(budgetCheck)}. Please confirm with user.`);
   }
   
-  const args = [cliPath, 'pay', identityKey, sats.toString()];
-  if (description) {
-    args.push(description);
-  }
-  
-  const result = await execFileAsync('node', args, { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdPay(identityKey, sats.toString(), description));
   
   if (!output.success) {
+    await releaseBudget(walletDir, budgetCheck.reservationId!);
     throw new Error(`Payment failed: ${output.error}`);
   }
 
   // Record the spending
-  recordSpend(walletDir, sats, 'direct-payment', identityKey);
-  writeActivityEvent({ type: 'outgoing_payment', emoji: '💸', sats, service: 'direct-payment', provider: identityKey?.slice(0, 16), message: `Direct payment: ${sats} sats sent` });
+  await settleSpend(walletDir, budgetCheck.reservationId!, { provider: identityKey });
+  await writeActivityEvent({ type: 'outgoing_payment', emoji: '💸', sats, service: 'direct-payment', provider: identityKey?.slice(0, 16), message: `Direct payment: ${sats} sats sent` });
   
   return output.data;
 }
 
-async function handleSetup(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'setup'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleSetup(env) {
+  const output = await runCommand(env, () => cmdSetup());
   
   if (!output.success) {
     throw new Error(`Setup failed: ${output.error}`);
@@ -1201,9 +1886,8 @@ async function handleSetup(env, cliPath) {
   return output.data;
 }
 
-async function handleAddress(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'address'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleAddress(env) {
+  const output = await runCommand(env, () => cmdAddress());
   
   if (!output.success) {
     throw new Error(`Address failed: ${output.error}`);
@@ -1212,20 +1896,14 @@ async function handleAddress(env, cliPath) {
   return output.data;
 }
 
-async function handleImport(params, env, cliPath) {
+async function handleImport(params, env) {
   const { txid, vout } = params;
   
   if (!txid) {
     throw new Error("txid is required for import action");
   }
   
-  const args = [cliPath, 'import', txid];
-  if (vout !== undefined) {
-    args.push(vout.toString());
-  }
-  
-  const result = await execFileAsync('node', args, { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdImport(txid, vout !== undefined ? vout.toString() : undefined));
   
   if (!output.success) {
     throw new Error(`Import failed: ${output.error}`);
@@ -1234,9 +1912,8 @@ async function handleImport(params, env, cliPath) {
   return output.data;
 }
 
-async function handleRegister(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'register'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleRegister(params, env) {
+  const output = await runCommand(env, () => cmdRegister(params.update ? ['--update'] : []));
   
   if (!output.success) {
     throw new Error(`Registration failed: ${output.error}`);
@@ -1259,15 +1936,30 @@ async function handleRegister(env, cliPath) {
   };
 }
 
-async function handleAdvertise(params, env, cliPath) {
+// Tags and category given to advertise/readvertise; null removes one on readvertise
+function labelParams(params) {
+  const labels: { tags?: any; category?: any } = {};
+  if (params.tags !== undefined) labels.tags = params.tags;
+  if (params.category !== undefined) labels.category = params.category;
+  return labels;
+}
+
+// Input/output schemas given to advertise/readvertise (null removes one on readvertise)
+function schemaParams(params) {
+  const schemas: { inputSchema?: any; outputSchema?: any } = {};
+  if (params.inputSchema !== undefined) schemas.inputSchema = params.inputSchema;
+  if (params.outputSchema !== undefined) schemas.outputSchema = params.outputSchema;
+  return schemas;
+}
+
+async function handleAdvertise(params, env) {
   const { serviceId, name, description, priceSats } = params;
   
   if (!serviceId || !name || !description || priceSats === undefined) {
     throw new Error("serviceId, name, description, and priceSats are required for advertise action");
   }
   
-  const result = await execFileAsync('node', [cliPath, 'advertise', serviceId, name, description, priceSats.toString()], { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdAdvertise(serviceId, name, priceSats.toString(), description, schemaParams(params), params.pricing, labelParams(params)));
   
   if (!output.success) {
     throw new Error(`Advertise failed: ${output.error}`);
@@ -1276,23 +1968,14 @@ async function handleAdvertise(params, env, cliPath) {
   return output.data;
 }
 
-async function handleReadvertise(params, env, cliPath) {
+async function handleReadvertise(params, env) {
   const { serviceId, newPrice, newName, newDesc } = params;
   
   if (!serviceId || newPrice === undefined) {
     throw new Error("serviceId and newPrice are required for readvertise action");
   }
   
-  const args = [cliPath, 'readvertise', serviceId, newPrice.toString()];
-  if (newName) {
-    args.push(newName);
-  }
-  if (newDesc) {
-    args.push(newDesc);
-  }
-  
-  const result = await execFileAsync('node', args, { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdReadvertise(serviceId, newName, newPrice.toString(), newDesc, schemaParams(params), params.pricing, labelParams(params)));
   
   if (!output.success) {
     throw new Error(`Readvertise failed: ${output.error}`);
@@ -1301,15 +1984,14 @@ async function handleReadvertise(params, env, cliPath) {
   return output.data;
 }
 
-async function handleRemove(params, env, cliPath) {
+async function handleRemove(params, env) {
   const { serviceId } = params;
   
   if (!serviceId) {
     throw new Error("serviceId is required for remove action");
   }
   
-  const result = await execFileAsync('node', [cliPath, 'remove', serviceId], { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdRemove(serviceId));
   
   if (!output.success) {
     throw new Error(`Remove failed: ${output.error}`);
@@ -1318,15 +2000,14 @@ async function handleRemove(params, env, cliPath) {
   return output.data;
 }
 
-async function handleSend(params, env, cliPath) {
+async function handleSend(params, env) {
   const { identityKey, messageType, payload } = params;
   
   if (!identityKey || !messageType || !payload) {
     throw new Error("identityKey, messageType, and payload are required for send action");
   }
   
-  const result = await execFileAsync('node', [cliPath, 'send', identityKey, messageType, JSON.stringify(payload)], { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdSend(identityKey, messageType, JSON.stringify(payload)));
   
   if (!output.success) {
     throw new Error(`Send failed: ${output.error}`);
@@ -1335,9 +2016,8 @@ async function handleSend(params, env, cliPath) {
   return output.data;
 }
 
-async function handleInbox(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'inbox'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleInbox(env) {
+  const output = await runCommand(env, () => cmdInbox([]));
   
   if (!output.success) {
     throw new Error(`Inbox failed: ${output.error}`);
@@ -1346,9 +2026,8 @@ async function handleInbox(env, cliPath) {
   return output.data;
 }
 
-async function handleServices(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'services'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handleServices(env) {
+  const output = await runCommand(env, () => cmdServices());
   
   if (!output.success) {
     throw new Error(`Services failed: ${output.error}`);
@@ -1357,15 +2036,14 @@ async function handleServices(env, cliPath) {
   return output.data;
 }
 
-async function handleRefund(params, env, cliPath) {
+async function handleRefund(params, env) {
   const { address } = params;
   
   if (!address) {
     throw new Error("address is required for refund action");
   }
   
-  const result = await execFileAsync('node', [cliPath, 'refund', address], { env });
-  const output = parseCliOutput(result.stdout);
+  const output = await runCommand(env, () => cmdRefund(address));
   
   if (!output.success) {
     throw new Error(`Refund failed: ${output.error}`);
@@ -1374,13 +2052,13 @@ async function handleRefund(params, env, cliPath) {
   return output.data;
 }
 
-async function handleOnboard(env, cliPath) {
+async function handleOnboard(env) {
   const steps = [];
   
   // Step 1: Setup wallet
   try {
-    const setup = await execFileAsync('node', [cliPath, 'setup'], { env });
-    const setupOutput = parseCliOutput(setup.stdout);
+    const setupOutput = await runCommand(env, () => cmdSetup());
+    if (!setupOutput.success) throw new Error(setupOutput.error);
     steps.push({ step: 'setup', success: true, identityKey: setupOutput.data?.identityKey });
   } catch (err) {
     steps.push({ step: 'setup', success: false, error: err.message });
@@ -1389,8 +2067,8 @@ async function handleOnboard(env, cliPath) {
   
   // Step 2: Get address
   try {
-    const addr = await execFileAsync('node', [cliPath, 'address'], { env });
-    const addrOutput = parseCliOutput(addr.stdout);
+    const addrOutput = await runCommand(env, () => cmdAddress());
+    if (!addrOutput.success) throw new Error(addrOutput.error);
     steps.push({ step: 'address', success: true, address: addrOutput.data?.address });
   } catch (err) {
     steps.push({ step: 'address', success: false, error: err.message });
@@ -1398,8 +2076,8 @@ async function handleOnboard(env, cliPath) {
   
   // Step 3: Check balance
   try {
-    const bal = await execFileAsync('node', [cliPath, 'balance'], { env });
-    const balOutput = parseCliOutput(bal.stdout);
+    const balOutput = await runCommand(env, () => cmdBalance());
+    if (!balOutput.success) throw new Error(balOutput.error);
     const balance = balOutput.data?.walletBalance || balOutput.data?.onChain?.confirmed || 0;
     steps.push({ step: 'balance', success: true, balance });
     
@@ -1416,9 +2094,8 @@ async function handleOnboard(env, cliPath) {
   
   // Step 4: Register
   try {
-    const reg = await execFileAsync('node', [cliPath, 'register'], { env, timeout: 60000 });
-    const regOutput = parseCliOutput(reg.stdout);
-    steps.push({ step: 'register', success: regOutput.success, data: regOutput.data });
+    const regOutput = await runCommand(env, () => cmdRegister());
+    steps.push({ step: 'register', success: regOutput.success, data: regOutput.data, error: regOutput.error });
   } catch (err) {
     steps.push({ step: 'register', success: false, error: err.message });
   }
@@ -1442,9 +2119,8 @@ async function handleOnboard(env, cliPath) {
   };
 }
 
-async function handlePendingRequests(env, cliPath) {
-  const result = await execFileAsync('node', [cliPath, 'service-queue'], { env });
-  const output = parseCliOutput(result.stdout);
+async function handlePendingRequests(env) {
+  const output = await runCommand(env, () => cmdServiceQueue());
   if (!output.success) throw new Error(`Queue check failed: ${output.error}`);
   
   // Clear the alert file since we're checking now
@@ -1454,32 +2130,94 @@ async function handlePendingRequests(env, cliPath) {
   return output.data;
 }
 
-function handleActivity() {
+async function handleMyRequests(params, env) {
+  const { status, service, identityKey, limit } = params;
+  const args: string[] = [];
+
+  if (status) {
+    args.push('--status', status);
+  }
+  if (service) {
+    args.push('--service', service);
+  }
+  if (identityKey) {
+    args.push('--provider', identityKey);
+  }
+  if (limit) {
+    args.push('--limit', String(limit));
+  }
+
+  const output = await runCommand(env, () => cmdMyRequests(args));
+
+  if (!output.success) {
+    throw new Error(`My-requests failed: ${output.error}`);
+  }
+
+  return output.data;
+}
+
+async function handleReputation(params, env) {
+  const { identityKey } = params;
+
+  const output = await runCommand(env, () => cmdReputation(identityKey));
+
+  if (!output.success) {
+    throw new Error(`Reputation lookup failed: ${output.error}`);
+  }
+
+  return output.data;
+}
+
+async function handleReport(params, env) {
+  const { from, to, groupBy, format } = params;
+  const args: string[] = [];
+
+  if (from) {
+    args.push('--from', from);
+  }
+  if (to) {
+    args.push('--to', to);
+  }
+  if (groupBy) {
+    args.push('--group-by', groupBy);
+  }
+  if (format) {
+    args.push('--format', format);
+  }
+
+  const output = await runCommand(env, () => cmdReport(args));
+
+  if (!output.success) {
+    throw new Error(`Report failed: ${output.error}`);
+  }
+
+  return output.data;
+}
+
+async function handleActivity() {
   const feedPath = path.join(process.env.HOME || '', '.clawdbot', 'bsv-overlay', 'activity-feed.jsonl');
   if (!fs.existsSync(feedPath)) return { events: [], count: 0 };
   
-  const lines = fs.readFileSync(feedPath, 'utf-8').trim().split('\n').filter(Boolean);
-  const events = lines.map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-  
-  // Clear the feed after reading
-  fs.writeFileSync(feedPath, '');
+  // Read and clear under the lock so events appended meanwhile aren't lost
+  const events = await withFileLock(feedPath, () => {
+    const lines = fs.readFileSync(feedPath, 'utf-8').trim().split('\n').filter(Boolean);
+    writeFileAtomic(feedPath, '');
+    return lines.map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  });
   
   return { events, count: events.length };
 }
 
-async function handleFulfill(params, env, cliPath) {
+async function handleFulfill(params, env) {
   const { requestId, recipientKey, serviceId, result } = params;
   if (!requestId || !recipientKey || !serviceId || !result) {
     throw new Error("requestId, recipientKey, serviceId, and result are required");
   }
   
-  const cliResult = await execFileAsync('node', [
-    cliPath, 'respond-service', requestId, recipientKey, serviceId, JSON.stringify(result)
-  ], { env });
-  const output = parseCliOutput(cliResult.stdout);
+  const output = await runCommand(env, () => cmdRespondService(requestId, recipientKey, serviceId, JSON.stringify(result)));
   if (!output.success) throw new Error(`Fulfill failed: ${output.error}`);
   
-  writeActivityEvent({ type: 'service_fulfilled', emoji: '✅', serviceId, recipientKey: recipientKey?.slice(0, 16), message: `Fulfilled ${serviceId} request — response sent` });
+  await writeActivityEvent({ type: 'service_fulfilled', emoji: '✅', serviceId, recipientKey: recipientKey?.slice(0, 16), message: `Fulfilled ${serviceId} request — response sent` });
   
   return output.data;
 }
@@ -1506,17 +2244,60 @@ function buildEnvironment(config) {
   if (config.agentDescription) {
     env.AGENT_DESCRIPTION = config.agentDescription;
   }
+  if (Array.isArray(config.agentCapabilities)) {
+    env.AGENT_CAPABILITIES = config.agentCapabilities.join(',');
+  }
+  if (config.agentChannels) {
+    env.AGENT_CHANNELS = JSON.stringify(config.agentChannels);
+  }
+  if (config.chainProvider) {
+    env.CHAIN_PROVIDER = config.chainProvider;
+  }
+  if (config.arcUrl) {
+    env.ARC_URL = config.arcUrl;
+  }
+  if (config.arcApiKey) {
+    env.ARC_API_KEY = config.arcApiKey;
+  }
+  if (config.chainDataFile) {
+    env.CHAIN_DATA_FILE = config.chainDataFile;
+  }
+  if (config.feeRateSatsPerKb !== undefined) {
+    env.FEE_RATE_SATS_PER_KB = String(config.feeRateSatsPerKb);
+  }
+  if (config.feeQuoteUrl) {
+    env.FEE_QUOTE_URL = config.feeQuoteUrl;
+  }
+  if (config.discoveryCacheTtlSeconds !== undefined) {
+    env.DISCOVERY_CACHE_TTL_SECONDS = String(config.discoveryCacheTtlSeconds);
+  }
+  if (config.quoteTtlSeconds !== undefined) {
+    env.QUOTE_TTL_SECONDS = String(config.quoteTtlSeconds);
+  }
+  if (config.refundTimeoutMinutes !== undefined) {
+    env.REFUND_TIMEOUT_MINUTES = String(config.refundTimeoutMinutes);
+  }
+  if (config.discoveryStaleWhileRevalidate) {
+    env.DISCOVERY_STALE_WHILE_REVALIDATE = 'true';
+  }
   env.AGENT_ROUTED = 'true'; // Route service requests through the agent
   
   return env;
 }
 
-function parseCliOutput(stdout) {
-  try {
-    return JSON.parse(stdout.trim());
-  } catch (error) {
-    throw new Error(`Failed to parse CLI output: ${error.message}`);
-  }
+// Run an overlay lib command in-process with the plugin environment as its
+// settings. withEnv scopes them to this command (and the async work it
+// starts), so overlapping commands never see each other's settings and
+// process.env is left alone.
+// Resolves to the same { success, data/error } shape the CLI prints.
+async function runCommand(env, command: () => Promise<any>): Promise<{ success: boolean; data?: any; error?: string }> {
+  return withEnv(env, async () => {
+    try {
+      return { success: true, data: await command() };
+    } catch (err: any) {
+      return { success: false, error: err?.message || String(err) };
+    }
+  });
 }
 
 // sleep() removed — no longer needed since polling loop was removed
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * ARC broadcast provider.
+ *
+ * ARC only accepts and tracks transactions, it doesn't index addresses or
+ * serve raw transactions, so chain reads are delegated to WhatsOnChain.
+ */
+
+import { CONFIG } from '../config.js';
+import { fetchWithTimeout } from '../utils/woc.js';
+import { createWocProvider } from './woc.js';
+import type { ChainProvider } from './types.js';
+
+export function createArcProvider(): ChainProvider {
+  const reads = createWocProvider();
+
+  return {
+    ...reads,
+    name: 'arc',
+
+    async broadcast(rawTxHex: string): Promise<string> {
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (CONFIG.ARC_API_KEY) {
+        headers['Authorization'] = `Bearer ${CONFIG.ARC_API_KEY}`;
+      }
+
+      const resp = await fetchWithTimeout(`${CONFIG.ARC_URL.replace(/\/$/, '')}/v1/tx`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ rawTx: rawTxHex }),
+      }, 30000);
+
+      const body = await resp.json().catch(() => ({} as any));
+      if (!resp.ok || body.txStatus === 'REJECTED') {
+        const detail = body.extraInfo || body.detail || body.title || JSON.stringify(body);
+        throw new Error(`Broadcast failed: ${resp.status} — ${detail}`);
+      }
+      return body.txid;
+    },
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Local file chain-data provider.
+ *
+ * Serves chain data from a JSON fixture instead of the network, so the CLI
+ * can run against a local stand-in in tests or while every API is down:
+ *
+ *   {
+ *     "utxos": { "<address>": [{ "txid": "…", "vout": 0, "satoshis": 1000, "height": 800000 }] },
+ *     "txs": { "<txid>": { "hex": "…", "confirmations": 1, "blockHeight": 800000,
+ *                          "outputs": [1000], "beef": "<hex>", "proof": { "index": 0, "nodes": [] } } },
+ *     "broadcasts": [{ "txid": "…", "hex": "…", "broadcastAt": "…" }]
+ *   }
+ *
+ * Broadcasts are appended to the fixture and the transaction is added to
+ * `txs` as unconfirmed.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { CONFIG } from '../config.js';
+import { updateJsonFile } from '../utils/storage.js';
+import type { ChainProvider, ChainUtxo, ChainTxInfo, ChainMerkleProof } from './types.js';
+
+interface ChainDataTx {
+  hex?: string;
+  confirmations?: number;
+  blockHeight?: number | null;
+  outputs?: number[];
+  beef?: string;
+  proof?: ChainMerkleProof;
+}
+
+interface ChainData {
+  utxos?: Record<string, ChainUtxo[]>;
+  txs?: Record<string, ChainDataTx>;
+  broadcasts?: Array<{ txid: string; hex: string; broadcastAt: string }>;
+}
+
+function loadChainData(): ChainData {
+  try {
+    if (fs.existsSync(CONFIG.CHAIN_DATA_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG.CHAIN_DATA_FILE, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
+  }
+  return {};
+}
+
+function findTx(txid: string): ChainDataTx {
+  const tx = loadChainData().txs?.[txid];
+  if (!tx) {
+    throw new Error(`Transaction ${txid} not found in ${CONFIG.CHAIN_DATA_FILE}`);
+  }
+  return tx;
+}
+
+/** txid of a raw transaction: double SHA-256, byte-reversed */
+function txidFromHex(rawTxHex: string): string {
+  const once = crypto.createHash('sha256').update(Buffer.from(rawTxHex, 'hex')).digest();
+  return Buffer.from(crypto.createHash('sha256').update(once).digest()).reverse().toString('hex');
+}
+
+export function createFileProvider(): ChainProvider {
+  return {
+    name: 'file',
+
+    async getUtxos(address: string): Promise<ChainUtxo[]> {
+      return loadChainData().utxos?.[address] || [];
+    },
+
+    async getBalance(address: string) {
+      const utxos = loadChainData().utxos?.[address] || [];
+      let confirmed = 0;
+      let unconfirmed = 0;
+      for (const utxo of utxos) {
+        if (utxo.height > 0) confirmed += utxo.satoshis;
+        else unconfirmed += utxo.satoshis;
+      }
+      return { confirmed, unconfirmed };
+    },
+
+    async getTxInfo(txid: string): Promise<ChainTxInfo> {
+      const tx = findTx(txid);
+      return {
+        txid,
+        confirmations: tx.confirmations || 0,
+        blockHeight: tx.blockHeight || null,
+        outputs: tx.outputs || [],
+      };
+    },
+
+    async getRawTx(txid: string): Promise<string> {
+      const tx = findTx(txid);
+      if (!tx.hex) {
+        throw new Error(`No raw hex for ${txid} in ${CONFIG.CHAIN_DATA_FILE}`);
+      }
+      return tx.hex;
+    },
+
+    async getBeef(txid: string): Promise<Uint8Array | null> {
+      const beef = loadChainData().txs?.[txid]?.beef;
+      return beef ? new Uint8Array(Buffer.from(beef, 'hex')) : null;
+    },
+
+    async getMerkleProof(txid: string): Promise<ChainMerkleProof | null> {
+      return loadChainData().txs?.[txid]?.proof || null;
+    },
+
+    async broadcast(rawTxHex: string): Promise<string> {
+      const txid = txidFromHex(rawTxHex);
+      await updateJsonFile<ChainData>(CONFIG.CHAIN_DATA_FILE, {}, data => {
+        data.txs = data.txs || {};
+        data.txs[txid] = { ...data.txs[txid], hex: rawTxHex, confirmations: 0, blockHeight: null };
+        data.broadcasts = data.broadcasts || [];
+        data.broadcasts.push({ txid, hex: rawTxHex, broadcastAt: new Date().toISOString() });
+        return data;
+      });
+      return txid;
+    },
+  };
+}
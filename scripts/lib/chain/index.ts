@@ -0,0 +1,30 @@
+/**
+ * Chain module exports and provider selection.
+ */
+
+import { CONFIG } from '../config.js';
+import { createWocProvider } from './woc.js';
+import { createArcProvider } from './arc.js';
+import { createFileProvider } from './file.js';
+import type { ChainProvider } from './types.js';
+
+export * from './types.js';
+export * from './woc.js';
+export * from './arc.js';
+export * from './file.js';
+
+/**
+ * The chain-data/broadcast provider selected by CHAIN_PROVIDER.
+ */
+export function getChainProvider(): ChainProvider {
+  switch (CONFIG.CHAIN_PROVIDER) {
+    case 'woc':
+      return createWocProvider();
+    case 'arc':
+      return createArcProvider();
+    case 'file':
+      return createFileProvider();
+    default:
+      throw new Error(`Unknown chain provider: ${CONFIG.CHAIN_PROVIDER}. Use woc, arc or file.`);
+  }
+}
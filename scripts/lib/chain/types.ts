@@ -0,0 +1,40 @@
+/**
+ * Chain-data and broadcast provider interface.
+ */
+
+export interface ChainUtxo {
+  txid: string;
+  vout: number;
+  satoshis: number;
+  /** Block height, or 0 while unconfirmed */
+  height: number;
+}
+
+export interface ChainTxInfo {
+  txid: string;
+  confirmations: number;
+  blockHeight: number | null;
+  /** Output values in satoshis, by output index */
+  outputs: number[];
+}
+
+/** TSC (Transaction Status Check) merkle proof */
+export interface ChainMerkleProof {
+  index: number;
+  nodes: string[];
+  blockHeight?: number;
+}
+
+export interface ChainProvider {
+  readonly name: string;
+  /** Unspent outputs paying to an address (confirmed and mempool) */
+  getUtxos(address: string): Promise<ChainUtxo[]>;
+  getBalance(address: string): Promise<{ confirmed: number; unconfirmed: number }>;
+  getTxInfo(txid: string): Promise<ChainTxInfo>;
+  getRawTx(txid: string): Promise<string>;
+  /** BEEF for a transaction, or null if the provider can't build one */
+  getBeef(txid: string): Promise<Uint8Array | null>;
+  getMerkleProof(txid: string): Promise<ChainMerkleProof | null>;
+  /** Broadcast a signed transaction; resolves to its txid */
+  broadcast(rawTxHex: string): Promise<string>;
+}
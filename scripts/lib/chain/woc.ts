@@ -0,0 +1,82 @@
+/**
+ * WhatsOnChain chain-data and broadcast provider.
+ */
+
+import { wocFetch, fetchBeefFromWoC } from '../utils/woc.js';
+import type { ChainProvider, ChainUtxo, ChainTxInfo, ChainMerkleProof } from './types.js';
+
+export function createWocProvider(): ChainProvider {
+  return {
+    name: 'woc',
+
+    async getUtxos(address: string): Promise<ChainUtxo[]> {
+      const resp = await wocFetch(`/address/${address}/unspent`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch UTXOs: ${resp.status}`);
+      }
+      const utxos = await resp.json();
+      return (Array.isArray(utxos) ? utxos : []).map((u: any) => ({
+        txid: u.tx_hash,
+        vout: u.tx_pos,
+        satoshis: u.value,
+        height: u.height || 0,
+      }));
+    },
+
+    async getBalance(address: string) {
+      const resp = await wocFetch(`/address/${address}/balance`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch balance: ${resp.status}`);
+      }
+      const bal = await resp.json();
+      return { confirmed: bal.confirmed, unconfirmed: bal.unconfirmed };
+    },
+
+    async getTxInfo(txid: string): Promise<ChainTxInfo> {
+      const resp = await wocFetch(`/tx/${txid}`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch tx info: ${resp.status}`);
+      }
+      const info = await resp.json();
+      return {
+        txid,
+        confirmations: info.confirmations || 0,
+        blockHeight: info.blockheight || null,
+        outputs: (info.vout || []).map((v: any) => Math.round(v.value * 1e8)),
+      };
+    },
+
+    async getRawTx(txid: string): Promise<string> {
+      const resp = await wocFetch(`/tx/${txid}/hex`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch raw tx: ${resp.status}`);
+      }
+      return (await resp.text()).trim();
+    },
+
+    getBeef: fetchBeefFromWoC,
+
+    async getMerkleProof(txid: string): Promise<ChainMerkleProof | null> {
+      const resp = await wocFetch(`/tx/${txid}/proof/tsc`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch merkle proof: ${resp.status}`);
+      }
+      const proofData = await resp.json();
+      if (!Array.isArray(proofData) || proofData.length === 0) return null;
+      return proofData[0];
+    },
+
+    async broadcast(rawTxHex: string): Promise<string> {
+      const resp = await wocFetch(`/tx/raw`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ txhex: rawTxHex }),
+      });
+      if (!resp.ok) {
+        const errText = await resp.text();
+        throw new Error(`Broadcast failed: ${resp.status} — ${errText}`);
+      }
+      return (await resp.text()).replace(/"/g, '').trim();
+    },
+  };
+}
@@ -1,10 +1,16 @@
 /**
  * Configuration constants and environment variables for the overlay CLI.
+ *
+ * Settings are read from process.env, or — for commands the plugin runs
+ * in-process — from the environment passed to withEnv(), which applies to
+ * that command alone, including its async continuations. Read them through
+ * CONFIG and PATHS at call time, never cache them at import.
  */
 
 import path from 'node:path';
 import os from 'node:os';
 import fs from 'node:fs';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
 // Auto-load .env from overlay state dir if it exists
 const overlayEnvPath = path.join(os.homedir(), '.clawdbot', 'bsv-overlay', '.env');
@@ -21,19 +27,38 @@ try {
   // Ignore errors loading .env
 }
 
-/** Wallet storage directory */
-export const WALLET_DIR = process.env.BSV_WALLET_DIR
-  || path.join(os.homedir(), '.clawdbot', 'bsv-wallet');
-
-/** Network to use (mainnet or testnet) */
-export const NETWORK: 'mainnet' | 'testnet' =
-  (process.env.BSV_NETWORK as 'mainnet' | 'testnet') || 'mainnet';
-
-/** Overlay server URL */
-export const OVERLAY_URL = process.env.OVERLAY_URL || 'http://162.243.168.235:8080';
-
-/** WhatsOnChain API key (optional, for rate limit bypass) */
-export const WOC_API_KEY = process.env.WOC_API_KEY || '';
+/** Settings read from an environment */
+export interface OverlayConfig {
+  /** Wallet storage directory */
+  WALLET_DIR: string;
+  /** Network to use (mainnet or testnet) */
+  NETWORK: 'mainnet' | 'testnet';
+  /** Overlay server URL */
+  OVERLAY_URL: string;
+  /** WhatsOnChain API key (optional, for rate limit bypass) */
+  WOC_API_KEY: string;
+  /** Chain-data and broadcast provider: woc (WhatsOnChain), arc or file */
+  CHAIN_PROVIDER: 'woc' | 'arc' | 'file';
+  /** ARC broadcast endpoint and API key (used when CHAIN_PROVIDER is arc) */
+  ARC_URL: string;
+  ARC_API_KEY: string;
+  /** Local chain-data fixture file (used when CHAIN_PROVIDER is file) */
+  CHAIN_DATA_FILE: string;
+  /** Fee rate in satoshis per kilobyte for transactions the CLI builds */
+  FEE_RATE_SATS_PER_KB: number;
+  /** Optional ARC-style policy endpoint (GET, returns policy.miningFee) to quote the fee rate from */
+  FEE_QUOTE_URL: string;
+  /** How long cached discovery lookups count as fresh, in seconds (0 always queries the overlay) */
+  DISCOVERY_CACHE_TTL_SECONDS: number;
+  /** Serve stale cached lookups immediately and refresh them in the background */
+  DISCOVERY_STALE_WHILE_REVALIDATE: boolean;
+  /** How long price quotes we issue as a provider stay valid, in seconds */
+  QUOTE_TTL_SECONDS: number;
+  /** Minutes after payment before a requester may ask for a refund of an unanswered request */
+  REFUND_TIMEOUT_MINUTES: number;
+  /** The environment the settings were read from, for settings read on demand (AGENT_NAME, ...) */
+  env: NodeJS.ProcessEnv;
+}
 
 /** Overlay state directory for registration, services, etc. */
 export const OVERLAY_STATE_DIR = path.join(os.homedir(), '.clawdbot', 'bsv-overlay');
@@ -55,18 +80,139 @@ export const LOOKUP_SERVICES = {
   X_VERIFICATIONS: 'ls_clawdbot_x_verifications',
 } as const;
 
+/** State file paths, derived from WALLET_DIR and OVERLAY_STATE_DIR */
+export interface OverlayPaths {
+  walletIdentity: string;
+  registration: string;
+  services: string;
+  latestChange: string;
+  utxoPool: string;
+  discoveryCache: string;
+  recordSequences: string;
+  issuedQuotes: string;
+  receivedQuotes: string;
+  receivedPayments: string;
+  sentPayments: string;
+  researchQueue: string;
+  serviceQueue: string;
+  requestLedger: string;
+  providerReputation: string;
+  notifications: string;
+  xVerifications: string;
+  pendingXVerification: string;
+  xEngagementQueue: string;
+  memoryStore: string;
+  spendingLog: string;
+  autoImportState: string;
+}
+
+interface ResolvedConfig {
+  config: OverlayConfig;
+  paths: OverlayPaths;
+}
+
+/**
+ * Read the settings and derived paths from an environment.
+ */
+function readConfig(env: NodeJS.ProcessEnv): ResolvedConfig {
+  const WALLET_DIR = env.BSV_WALLET_DIR
+    || path.join(os.homedir(), '.clawdbot', 'bsv-wallet');
+  const NETWORK = (env.BSV_NETWORK as 'mainnet' | 'testnet') || 'mainnet';
+  const OVERLAY_URL = env.OVERLAY_URL || 'http://162.243.168.235:8080';
+  const WOC_API_KEY = env.WOC_API_KEY || '';
+  const CHAIN_PROVIDER = (env.CHAIN_PROVIDER as 'woc' | 'arc' | 'file') || 'woc';
+  const ARC_URL = env.ARC_URL || 'https://arc.taal.com';
+  const ARC_API_KEY = env.ARC_API_KEY || '';
+  const CHAIN_DATA_FILE = env.CHAIN_DATA_FILE
+    || path.join(OVERLAY_STATE_DIR, 'chain-data.json');
+  const feeRate = Number(env.FEE_RATE_SATS_PER_KB);
+  const FEE_RATE_SATS_PER_KB = Number.isFinite(feeRate) && feeRate > 0 ? feeRate : 100;
+  const FEE_QUOTE_URL = env.FEE_QUOTE_URL || '';
+  const cacheTtl = Number(env.DISCOVERY_CACHE_TTL_SECONDS);
+  const DISCOVERY_CACHE_TTL_SECONDS = env.DISCOVERY_CACHE_TTL_SECONDS && Number.isFinite(cacheTtl) && cacheTtl >= 0 ? cacheTtl : 300;
+  const DISCOVERY_STALE_WHILE_REVALIDATE = env.DISCOVERY_STALE_WHILE_REVALIDATE === 'true';
+  const quoteTtl = Number(env.QUOTE_TTL_SECONDS);
+  const QUOTE_TTL_SECONDS = env.QUOTE_TTL_SECONDS && Number.isFinite(quoteTtl) && quoteTtl > 0 ? quoteTtl : 300;
+  // 0 stops us requesting refunds, but as a provider we still wait the default before granting one
+  const refundTimeout = Number(env.REFUND_TIMEOUT_MINUTES);
+  const REFUND_TIMEOUT_MINUTES = Number.isFinite(refundTimeout) && refundTimeout > 0 ? refundTimeout : 30;
+
+  const paths: OverlayPaths = {
+    walletIdentity: path.join(WALLET_DIR, 'wallet-identity.json'),
+    registration: path.join(OVERLAY_STATE_DIR, 'registration.json'),
+    services: path.join(OVERLAY_STATE_DIR, 'services.json'),
+    latestChange: path.join(OVERLAY_STATE_DIR, 'latest-change.json'),
+    utxoPool: path.join(OVERLAY_STATE_DIR, 'utxo-pool.json'),
+    discoveryCache: path.join(OVERLAY_STATE_DIR, 'discovery-cache.json'),
+    recordSequences: path.join(OVERLAY_STATE_DIR, 'record-sequences.json'),
+    issuedQuotes: path.join(OVERLAY_STATE_DIR, 'issued-quotes.json'),
+    receivedQuotes: path.join(OVERLAY_STATE_DIR, 'received-quotes.json'),
+    receivedPayments: path.join(OVERLAY_STATE_DIR, 'received-payments.jsonl'),
+    sentPayments: path.join(OVERLAY_STATE_DIR, 'sent-payments.jsonl'),
+    researchQueue: path.join(OVERLAY_STATE_DIR, 'research-queue.jsonl'),
+    serviceQueue: path.join(OVERLAY_STATE_DIR, 'service-queue.jsonl'),
+    requestLedger: path.join(OVERLAY_STATE_DIR, 'request-ledger.jsonl'),
+    providerReputation: path.join(OVERLAY_STATE_DIR, 'provider-reputation.json'),
+    notifications: path.join(OVERLAY_STATE_DIR, 'notifications.jsonl'),
+    xVerifications: path.join(OVERLAY_STATE_DIR, 'x-verifications.json'),
+    pendingXVerification: path.join(OVERLAY_STATE_DIR, 'pending-x-verification.json'),
+    xEngagementQueue: path.join(OVERLAY_STATE_DIR, 'x-engagement-queue.jsonl'),
+    memoryStore: path.join(WALLET_DIR, 'memory-store.json'),
+    spendingLog: path.join(WALLET_DIR, 'spending-log.jsonl'),
+    autoImportState: path.join(WALLET_DIR, 'auto-import-state.json'),
+  };
+
+  return {
+    config: {
+      WALLET_DIR,
+      NETWORK,
+      OVERLAY_URL,
+      WOC_API_KEY,
+      CHAIN_PROVIDER,
+      ARC_URL,
+      ARC_API_KEY,
+      CHAIN_DATA_FILE,
+      FEE_RATE_SATS_PER_KB,
+      FEE_QUOTE_URL,
+      DISCOVERY_CACHE_TTL_SECONDS,
+      DISCOVERY_STALE_WHILE_REVALIDATE,
+      QUOTE_TTL_SECONDS,
+      REFUND_TIMEOUT_MINUTES,
+      env,
+    },
+    paths,
+  };
+}
+
+let processConfig = readConfig(process.env);
+const commandConfig = new AsyncLocalStorage<ResolvedConfig>();
+
+function current(): ResolvedConfig {
+  return commandConfig.getStore() ?? processConfig;
+}
+
+/** Settings of the running command: those of the enclosing withEnv(), else process.env's */
+export const CONFIG = new Proxy({} as Readonly<OverlayConfig>, {
+  get: (_target, key) => current().config[key as keyof OverlayConfig],
+});
+
 /** Paths derived from config */
-export const PATHS = {
-  walletIdentity: path.join(WALLET_DIR, 'wallet-identity.json'),
-  registration: path.join(OVERLAY_STATE_DIR, 'registration.json'),
-  services: path.join(OVERLAY_STATE_DIR, 'services.json'),
-  latestChange: path.join(OVERLAY_STATE_DIR, 'latest-change.json'),
-  receivedPayments: path.join(OVERLAY_STATE_DIR, 'received-payments.jsonl'),
-  researchQueue: path.join(OVERLAY_STATE_DIR, 'research-queue.jsonl'),
-  serviceQueue: path.join(OVERLAY_STATE_DIR, 'service-queue.jsonl'),
-  notifications: path.join(OVERLAY_STATE_DIR, 'notifications.jsonl'),
-  xVerifications: path.join(OVERLAY_STATE_DIR, 'x-verifications.json'),
-  pendingXVerification: path.join(OVERLAY_STATE_DIR, 'pending-x-verification.json'),
-  xEngagementQueue: path.join(OVERLAY_STATE_DIR, 'x-engagement-queue.jsonl'),
-  memoryStore: path.join(WALLET_DIR, 'memory-store.json'),
-} as const;
+export const PATHS = new Proxy({} as Readonly<OverlayPaths>, {
+  get: (_target, key) => current().paths[key as keyof OverlayPaths],
+});
+
+/**
+ * Run a command with settings read from env instead of process.env. Other
+ * commands running at the same time keep their own settings, and
+ * process.env is left untouched.
+ */
+export function withEnv<T>(env: NodeJS.ProcessEnv, command: () => T): T {
+  return commandConfig.run(readConfig(env), command);
+}
+
+/**
+ * Re-read the process-wide settings after process.env changed.
+ */
+export function reloadConfig(): void {
+  processConfig = readConfig(process.env);
+}
@@ -2,12 +2,11 @@
  * Connect command: WebSocket real-time message processing.
  */
 
-import fs from 'node:fs';
-import { OVERLAY_URL, OVERLAY_STATE_DIR, PATHS } from '../config.js';
+import { CONFIG, OVERLAY_STATE_DIR, PATHS } from '../config.js';
 import { fail } from '../output.js';
 import { loadIdentity } from '../wallet/identity.js';
 import { processMessage } from './handlers.js';
-import { ensureStateDir } from '../utils/storage.js';
+import { appendToJsonl } from '../utils/storage.js';
 
 /**
  * Connect command: establish WebSocket connection for real-time messaging.
@@ -23,7 +22,7 @@ export async function cmdConnect(): Promise<void> {
   }
 
   const { identityKey, privKey } = await loadIdentity();
-  const wsUrl = OVERLAY_URL.replace(/^http/, 'ws') + '/relay/subscribe?identity=' + identityKey;
+  const wsUrl = CONFIG.OVERLAY_URL.replace(/^http/, 'ws') + '/relay/subscribe?identity=' + identityKey;
 
   let reconnectDelay = 1000;
   let shouldReconnect = true;
@@ -46,7 +45,7 @@ export async function cmdConnect(): Promise<void> {
 
     ws.on('open', () => {
       reconnectDelay = 1000; // reset on successful connect
-      console.error(JSON.stringify({ event: 'connected', identity: identityKey, overlay: OVERLAY_URL }));
+      console.error(JSON.stringify({ event: 'connected', identity: identityKey, overlay: CONFIG.OVERLAY_URL }));
     });
 
     ws.on('message', async (data: any) => {
@@ -58,15 +57,14 @@ export async function cmdConnect(): Promise<void> {
           console.log(JSON.stringify(result));
 
           // Also append to notification log
-          ensureStateDir();
           try {
-            fs.appendFileSync(PATHS.notifications, JSON.stringify({ ...result, _ts: Date.now() }) + '\n');
+            await appendToJsonl(PATHS.notifications, { ...result, _ts: Date.now() });
           } catch {}
 
           // Ack the message
           if (result.ack) {
             try {
-              await fetch(OVERLAY_URL + '/relay/ack', {
+              await fetch(CONFIG.OVERLAY_URL + '/relay/ack', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ identity: identityKey, messageIds: [result.id] }),
@@ -91,9 +89,8 @@ export async function cmdConnect(): Promise<void> {
             _ts: Date.now(),
           };
           console.log(JSON.stringify(announcement));
-          ensureStateDir();
           try {
-            fs.appendFileSync(PATHS.notifications, JSON.stringify(announcement) + '\n');
+            await appendToJsonl(PATHS.notifications, announcement);
           } catch {}
         }
       } catch (err: any) {
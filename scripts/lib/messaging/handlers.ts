@@ -3,11 +3,16 @@
  */
 
 import fs from 'node:fs';
-import { OVERLAY_URL, WALLET_DIR, OVERLAY_STATE_DIR, PATHS } from '../config.js';
+import { CONFIG, OVERLAY_STATE_DIR, PATHS } from '../config.js';
 import { loadIdentity, signRelayMessage, verifyRelaySignature, loadWalletIdentity } from '../wallet/identity.js';
-import { loadServices, appendToJsonl, ensureStateDir } from '../utils/storage.js';
+import { loadServices, appendToJsonl, ensureStateDir, readJsonl, updateJsonl, loadRequestLedger, updateRequestLedger } from '../utils/storage.js';
+import { recordRequestOutcome } from '../services/reputation.js';
 import { fetchWithTimeout } from '../utils/woc.js';
 import { buildDirectPayment } from '../payment/build.js';
+import { validateJsonSchema } from '../utils/schema.js';
+import { servicePricing, recordPricing, priceForInput } from '../utils/pricing.js';
+import { issueQuote, claimIssuedQuote, redeemIssuedQuote, releaseIssuedQuote, acceptReceivedQuote } from '../services/quotes.js';
+import { DELIVERY_TIMEOUT_MS } from '../services/respond.js';
 import type { RelayMessage, ProcessMessageResult } from '../types.js';
 
 // Dynamic import for @bsv/sdk (needed for hash160 computation)
@@ -80,8 +85,8 @@ async function getBSVAgentWallet(): Promise<any> {
 
 // Import NETWORK lazily to avoid circular dependencies
 async function getNetwork(): Promise<'mainnet' | 'testnet'> {
-  const config = await import('../config.js');
-  return config.NETWORK;
+  const { CONFIG } = await import('../config.js');
+  return CONFIG.NETWORK;
 }
 
 /**
@@ -121,7 +126,7 @@ export async function verifyAndAcceptPayment(
   // Accept the payment using a2a-bsv wallet
   const BSVAgentWallet = await getBSVAgentWallet();
   const network = await getNetwork();
-  const wallet = await BSVAgentWallet.load({ network, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network, storageDir: CONFIG.WALLET_DIR });
 
   try {
     // First verify the payment structure
@@ -161,8 +166,25 @@ export async function verifyAndAcceptPayment(
 }
 
 /**
- * Queue a service request for agent processing.
+ * Queue a service request for agent processing. Input that doesn't match the
+ * service's advertised input schema, or a quote that can't be honoured, is
+ * rejected before the payment is accepted. A quoted request must pay the
+ * quoted amount instead of the advertised price.
  */
+/**
+ * Sign and send a reply over the relay. Throws if the relay refuses it, so the
+ * caller can leave the incoming message un-acked and answer it on redelivery.
+ */
+async function sendReply(identityKey: string, privKey: any, to: string, type: string, payload: Record<string, unknown>): Promise<void> {
+  const sig = await signRelayMessage(privKey, to, type, payload);
+  const resp = await fetchWithTimeout(`${CONFIG.OVERLAY_URL}/relay/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ from: identityKey, to, type, payload, signature: sig }),
+  });
+  if (!resp.ok) throw new Error(`Relay send failed: ${resp.status}`);
+}
+
 async function queueForAgent(
   msg: RelayMessage,
   identityKey: string,
@@ -177,23 +199,52 @@ async function queueForAgent(
   const walletIdentity = loadWalletIdentity();
   const ourHash160 = sdk.Hash.hash160(sdk.PrivateKey.fromHex(walletIdentity.rootKeyHex).toPublicKey().encode(true));
 
-  // Find the service price
   const services = loadServices();
   const svc = services.find(s => s.serviceId === serviceId);
-  const minPrice = svc?.priceSats || 5;
+  // The local pricing is validated like a discovered record's, so a hand-edited model is never guessed at
+  const pricing = svc ? recordPricing({ pricing: servicePricing(svc) }) : null;
+
+  const reject = async (reason: string): Promise<ProcessMessageResult> => {
+    try {
+      await sendReply(identityKey, privKey, msg.from, 'service-response', { requestId: msg.id, serviceId, status: 'rejected', reason });
+    } catch (err: any) {
+      return { id: msg.id, type: 'service-request', serviceId, action: 'reply-failed', reason: err.message, from: msg.from, ack: false };
+    }
+    return { id: msg.id, type: 'service-request', serviceId, action: 'rejected', reason, from: msg.from, ack: true };
+  };
 
-  const payResult = await verifyAndAcceptPayment(payment, minPrice, msg.from, serviceId, ourHash160);
+  // Unknown services, unpriceable ones and malformed input are rejected while
+  // the payment is still unaccepted, so nothing needs refunding
+  if (!svc) return await reject(`Unknown service: ${serviceId}`);
+  if (!pricing) return await reject(`Pricing of ${serviceId} can't be read`);
+  let minPrice = priceForInput(pricing, msg.payload?.input);
+
+  const inputErrors = validateJsonSchema(svc.inputSchema, msg.payload?.input ?? {});
+  if (inputErrors.length > 0) {
+    return await reject(`Invalid input: ${inputErrors.join('; ')}`);
+  }
+
+  const quoteId = msg.payload?.quoteId as string | undefined;
+  if (quoteId) {
+    const quoteCheck = await claimIssuedQuote(quoteId, identityKey, msg.from, serviceId, msg.payload?.input, msg.id);
+    if ('error' in quoteCheck) {
+      return await reject(`Quote rejected: ${quoteCheck.error}`);
+    }
+    minPrice = quoteCheck.quote.amountSats;
+  }
+
+  let payResult;
+  try {
+    payResult = await verifyAndAcceptPayment(payment, minPrice, msg.from, serviceId, ourHash160);
+  } catch (err) {
+    if (quoteId) await releaseIssuedQuote(quoteId, msg.id);
+    throw err;
+  }
   if (!payResult.accepted) {
-    // Send rejection
-    const rejectPayload = { requestId: msg.id, serviceId, status: 'rejected', reason: `Payment rejected: ${payResult.error}` };
-    const sig = await signRelayMessage(privKey, msg.from, 'service-response', rejectPayload);
-    await fetchWithTimeout(`${OVERLAY_URL}/relay/send`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ from: identityKey, to: msg.from, type: 'service-response', payload: rejectPayload, signature: sig }),
-    });
-    return { id: msg.id, type: 'service-request', serviceId, action: 'rejected', reason: payResult.error || 'payment rejected', from: msg.from, ack: true };
+    if (quoteId) await releaseIssuedQuote(quoteId, msg.id);
+    return await reject(`Payment rejected: ${payResult.error || 'payment rejected'}`);
   }
+  if (quoteId) await redeemIssuedQuote(quoteId, msg.id);
 
   // Queue for agent processing
   const queueEntry = {
@@ -203,13 +254,16 @@ async function queueForAgent(
     from: msg.from,
     identityKey,
     input: input,
+    ...(quoteId && { quoteId }),
+    ...(svc.outputSchema !== undefined && { outputSchema: svc.outputSchema }),
     paymentTxid: payResult.txid,
     satoshisReceived: payResult.satoshis,
     walletAccepted: payResult.walletAccepted,
+    ...(typeof msg.payload?.requestedAt === 'string' && { requestedAt: msg.payload.requestedAt }),
     _ts: Date.now(),
   };
 
-  appendToJsonl(PATHS.serviceQueue, queueEntry);
+  await appendToJsonl(PATHS.serviceQueue, queueEntry);
 
   return {
     id: msg.id,
@@ -224,9 +278,280 @@ async function queueForAgent(
   };
 }
 
+/**
+ * Answer a quote request with a signed price for the given input, or decline
+ * it for unknown services and input that doesn't match the input schema.
+ */
+async function processQuoteRequest(
+  msg: RelayMessage,
+  identityKey: string,
+  privKey: any
+): Promise<ProcessMessageResult> {
+  const serviceId = msg.payload?.serviceId as string | undefined;
+  const input = msg.payload?.input;
+  const svc = loadServices().find(s => s.serviceId === serviceId);
+
+  let declineReason: string | null = null;
+  if (!svc) {
+    declineReason = `unknown service: ${serviceId}`;
+  } else if (!recordPricing({ pricing: servicePricing(svc) })) {
+    declineReason = `pricing of ${serviceId} can't be read`;
+  } else {
+    const inputErrors = validateJsonSchema(svc.inputSchema, input ?? {});
+    if (inputErrors.length > 0) declineReason = `Invalid input: ${inputErrors.join('; ')}`;
+  }
+
+  const quote = svc && !declineReason ? await issueQuote(privKey, identityKey, msg.from, svc, input, msg.id) : null;
+  const quotePayload = quote
+    ? { inReplyTo: msg.id, serviceId, status: 'quoted', quote }
+    : { inReplyTo: msg.id, serviceId, status: 'declined', reason: declineReason };
+  try {
+    await sendReply(identityKey, privKey, msg.from, 'service-quote', quotePayload);
+  } catch (err: any) {
+    return { id: msg.id, type: 'service-quote-request', action: 'reply-failed', serviceId, reason: err.message, from: msg.from, ack: false };
+  }
+
+  return quote
+    ? { id: msg.id, type: 'service-quote-request', action: 'quoted', serviceId, quoteId: quote.quoteId, amountSats: quote.amountSats, expiresAt: quote.expiresAt, from: msg.from, ack: true }
+    : { id: msg.id, type: 'service-quote-request', action: 'declined', serviceId, reason: declineReason, from: msg.from, ack: true };
+}
+
+/**
+ * Handle a provider's answer to our quote request: verify and store the quote.
+ */
+async function processQuote(msg: RelayMessage, identityKey: string): Promise<ProcessMessageResult> {
+  const payload = msg.payload as any;
+  const base = { id: msg.id, type: 'service-quote', from: msg.from, inReplyTo: payload?.inReplyTo, serviceId: payload?.serviceId, ack: true };
+
+  if (payload?.status !== 'quoted') {
+    return { ...base, action: 'declined', reason: payload?.reason || 'quote declined' };
+  }
+
+  const refused = await acceptReceivedQuote(payload.quote, msg.from, identityKey, payload.inReplyTo);
+  if (refused) {
+    return { ...base, action: 'invalid', reason: refused };
+  }
+  return { ...base, action: 'received', quoteId: payload.quote.quoteId, amountSats: payload.quote.amountSats, expiresAt: payload.quote.expiresAt };
+}
+
+/**
+ * When the refund clock of a queued request started: the signed `requestedAt`
+ * the requester counts its own deadline from, but never later than when we
+ * queued the request (a requester clock running ahead can't delay refunds).
+ */
+function refundClockStart(entry: any): number {
+  const queuedAt = entry._ts || 0;
+  const requestedAt = Date.parse(entry.requestedAt ?? '');
+  return Number.isFinite(requestedAt) ? Math.min(requestedAt, queuedAt) : queuedAt;
+}
+
+/**
+ * Handle a refund request from a requester whose paid service request was
+ * never fulfilled. Returns the received sats as a fresh BRC-29 payment.
+ *
+ * The queue entry is claimed (pending → refunding) under the file lock before
+ * the refund is built, so a redelivered or repeated request can't be refunded
+ * twice, and a request can't be fulfilled while its refund is in flight.
+ * Refunds are only granted REFUND_TIMEOUT_MINUTES after the signed
+ * `requestedAt` of the request, the time the requester's own deadline counts
+ * from; an early refund request is answered `not-due` with the due time.
+ */
+async function processRefundRequest(
+  msg: RelayMessage,
+  identityKey: string,
+  privKey: any
+): Promise<ProcessMessageResult> {
+  const requestId = msg.payload?.requestId as string | undefined;
+  const isEntry = (e: any) => !!requestId && e.requestId === requestId && e.from === msg.from;
+  let serviceId = msg.payload?.serviceId as string | undefined;
+
+  const sendRefundMessage = (payload: Record<string, unknown>) => sendReply(identityKey, privKey, msg.from, 'refund', payload);
+  const replyFailed = (err: any): ProcessMessageResult =>
+    ({ id: msg.id, type: 'refund-request', action: 'reply-failed', requestId, serviceId, reason: err.message, from: msg.from, ack: false });
+  const setStatus = (from: string, patch: Record<string, unknown>) =>
+    updateJsonl<any>(PATHS.serviceQueue, e => (isEntry(e) && e.status === from ? { ...e, ...patch } : e));
+
+  // Claim the entry, deciding under the lock whether it can be refunded
+  let entry: any = null;
+  let denyReason: string | null = 'unknown request';
+  let notDueUntil: number | null = null;
+  await updateJsonl<any>(PATHS.serviceQueue, e => {
+    if (!isEntry(e)) return e;
+    serviceId = e.serviceId || serviceId;
+    const dueAt = refundClockStart(e) + CONFIG.REFUND_TIMEOUT_MINUTES * 60 * 1000;
+    if (e.status === 'fulfilled') denyReason = 'request already fulfilled';
+    else if (e.status === 'refunded') denyReason = 'request already refunded';
+    else if (e.status === 'refunding') denyReason = 'refund already in progress';
+    else if (e.status === 'delivering' && Date.now() - (e.deliveringAt || 0) < DELIVERY_TIMEOUT_MS) {
+      // A response is on its way; if it never arrives, the refund is due once the claim is stale
+      denyReason = 'a response is being delivered';
+      notDueUntil = (e.deliveringAt || 0) + DELIVERY_TIMEOUT_MS;
+    } else if (e.status !== 'pending' && e.status !== 'delivering') denyReason = `request is ${e.status}`;
+    else if (!e.satoshisReceived) denyReason = 'no payment was received for this request';
+    else if (Date.now() < dueAt) {
+      denyReason = `refund not due until ${new Date(dueAt).toISOString()}`;
+      notDueUntil = dueAt;
+    } else {
+      denyReason = null;
+      entry = { ...e, status: 'refunding' };
+      return entry;
+    }
+    return e;
+  });
+
+  if (notDueUntil !== null) {
+    const dueAt = new Date(notDueUntil).toISOString();
+    try {
+      await sendRefundMessage({ requestId, serviceId, status: 'not-due', dueAt, reason: denyReason });
+    } catch (err) {
+      return replyFailed(err);
+    }
+    return { id: msg.id, type: 'refund-request', action: 'refund-not-due', requestId, serviceId, dueAt, reason: denyReason, from: msg.from, ack: true };
+  }
+  if (denyReason || !entry) {
+    try {
+      await sendRefundMessage({ requestId, serviceId, status: 'denied', reason: denyReason });
+    } catch (err) {
+      return replyFailed(err);
+    }
+    return { id: msg.id, type: 'refund-request', action: 'refund-denied', requestId, serviceId, reason: denyReason, from: msg.from, ack: true };
+  }
+
+  let refund;
+  try {
+    refund = await buildDirectPayment(msg.from, entry.satoshisReceived, `refund: ${serviceId}`);
+    await sendRefundMessage({
+      requestId,
+      serviceId,
+      status: 'refunded',
+      payment: {
+        beef: refund.beef,
+        txid: refund.txid,
+        satoshis: refund.satoshis,
+        derivationPrefix: refund.derivationPrefix,
+        derivationSuffix: refund.derivationSuffix,
+        senderIdentityKey: refund.senderIdentityKey,
+      },
+    });
+  } catch (err: any) {
+    // The refund was never delivered (the requester broadcasts it), so release
+    // the claim and leave the message un-acked to retry on the next delivery
+    await setStatus('refunding', { status: 'pending' });
+    return { id: msg.id, type: 'refund-request', action: 'refund-failed', requestId, serviceId, reason: err.message, from: msg.from, ack: false };
+  }
+
+  await setStatus('refunding', { status: 'refunded', refundTxid: refund.txid, refundedAt: Date.now() });
+
+  return {
+    id: msg.id,
+    type: 'refund-request',
+    action: 'refunded',
+    requestId,
+    serviceId,
+    satoshisRefunded: refund.satoshis,
+    refundTxid: refund.txid,
+    from: msg.from,
+    ack: true,
+  };
+}
+
+/**
+ * What a payment's transaction pays in the output the recipient accepts
+ * (output 0), read from its BEEF rather than from the sender's claims.
+ * Null if the BEEF can't be parsed.
+ */
+async function paidOutput(payment: any): Promise<{ txid: string; satoshis: number } | null> {
+  try {
+    const sdk = await getSdk();
+    const beef = payment?.beef;
+    const bytes = typeof beef === 'string' ? sdk.Utils.toArray(beef, 'base64') : Array.from(beef);
+    const tx = sdk.Transaction.fromAtomicBEEF(bytes);
+    const satoshis = tx.outputs[0]?.satoshis;
+    return typeof satoshis === 'number' ? { txid: tx.id('hex'), satoshis } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handle a provider's reply to one of our refund requests, accepting the
+ * returned payment into the wallet when the refund was granted. Only a signed
+ * reply from the provider we paid changes the ledger, and a refund must pay
+ * back at least what we paid.
+ */
+async function processRefund(
+  msg: RelayMessage,
+  sigCheck: { valid: boolean | null; reason?: string }
+): Promise<ProcessMessageResult> {
+  const requestId = msg.payload?.requestId as string | undefined;
+  const serviceId = msg.payload?.serviceId as string | undefined;
+
+  const sent = requestId ? loadRequestLedger().find(e => e.requestId === requestId) : undefined;
+  const ignoreReason = !sent
+    ? 'unknown request'
+    : sent.provider !== msg.from
+      ? 'not sent by the provider of this request'
+      : sigCheck.valid !== true
+        ? 'invalid-signature'
+        : sent.refundStatus === 'refunded'
+          ? 'request already refunded'
+          : null;
+  if (!sent || ignoreReason) {
+    console.error(JSON.stringify({ event: 'refund-ignored', from: msg.from, requestId, reason: ignoreReason }));
+    return { id: msg.id, type: 'refund', action: 'ignored', requestId, serviceId, reason: ignoreReason, from: msg.from, signatureValid: sigCheck.valid, ack: true };
+  }
+
+  // Asked too early: the request stays refundable and is asked for again at dueAt
+  if (msg.payload?.status === 'not-due') {
+    const dueAt = typeof msg.payload?.dueAt === 'string' ? msg.payload.dueAt : null;
+    await updateRequestLedger(sent.requestId, { refundStatus: undefined });
+    return { id: msg.id, type: 'refund', action: 'refund-not-due', requestId, serviceId, dueAt, provider: sent.provider, satsPaid: sent.satsPaid, reason: msg.payload?.reason, from: msg.from, ack: true };
+  }
+
+  if (msg.payload?.status !== 'refunded') {
+    await updateRequestLedger(sent.requestId, { refundStatus: 'denied' });
+    return { id: msg.id, type: 'refund', action: 'refund-denied', requestId, serviceId, reason: msg.payload?.reason || 'refund denied', from: msg.from, ack: true };
+  }
+
+  const payment = msg.payload?.payment as any;
+  const output = await paidOutput(payment);
+  let refundError: string | null = null;
+  if (!output) refundError = 'refund transaction could not be parsed';
+  else if (payment.txid && payment.txid !== output.txid) refundError = 'refund txid does not match its transaction';
+  else if (output.satoshis < sent.satsPaid || payment.satoshis !== output.satoshis) {
+    refundError = `refund pays ${output.satoshis} sats, ${sent.satsPaid} sats were paid`;
+  }
+  if (refundError) {
+    return { id: msg.id, type: 'refund', action: 'refund-failed', requestId, serviceId, reason: refundError, from: msg.from, ack: true };
+  }
+
+  const sdk = await getSdk();
+  const walletIdentity = loadWalletIdentity();
+  const ourHash160 = sdk.Hash.hash160(sdk.PrivateKey.fromHex(walletIdentity.rootKeyHex).toPublicKey().encode(true));
+
+  const payResult = await verifyAndAcceptPayment(payment, sent.satsPaid, msg.from, `refund: ${serviceId}`, ourHash160);
+  if (!payResult.accepted) {
+    return { id: msg.id, type: 'refund', action: 'refund-failed', requestId, serviceId, reason: payResult.error || 'refund payment rejected', from: msg.from, ack: true };
+  }
+
+  await updateRequestLedger(sent.requestId, { status: 'refunded', refundStatus: 'refunded', refundTxid: payResult.txid });
+
+  return {
+    id: msg.id,
+    type: 'refund',
+    action: 'refund-received',
+    requestId,
+    serviceId,
+    satoshisRefunded: payResult.satoshis,
+    refundTxid: payResult.txid,
+    from: msg.from,
+    ack: true,
+  };
+}
+
 /**
  * Process a single relay message.
- * Handles pings, service requests, pongs, and service responses.
+ * Handles pings, service requests, quotes, pongs, service responses, and refunds.
  */
 export async function processMessage(
   msg: RelayMessage,
@@ -238,8 +563,8 @@ export async function processMessage(
     ? await verifyRelaySignature(msg.from, msg.to, msg.type, msg.payload, msg.signature)
     : { valid: null };
 
-  // Reject unsigned/forged service-requests
-  if (msg.type === 'service-request' && sigCheck.valid !== true) {
+  // Reject unsigned/forged service-requests, quote requests and refund requests
+  if ((msg.type === 'service-request' || msg.type === 'service-quote-request' || msg.type === 'refund-request') && sigCheck.valid !== true) {
     console.error(JSON.stringify({ event: 'signature-rejected', type: msg.type, from: msg.from, reason: sigCheck.reason || 'missing signature' }));
     return {
       id: msg.id,
@@ -260,7 +585,7 @@ export async function processMessage(
       originalText: (msg.payload as any)?.text || null,
     };
     const pongSig = await signRelayMessage(privKey, msg.from, 'pong', pongPayload);
-    await fetch(`${OVERLAY_URL}/relay/send`, {
+    await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -278,7 +603,7 @@ export async function processMessage(
     const serviceId = (msg.payload as any)?.serviceId;
 
     // Agent-routed mode: queue for the agent
-    if (process.env.AGENT_ROUTED === 'true') {
+    if (CONFIG.env.AGENT_ROUTED === 'true') {
       return await queueForAgent(msg, identityKey, privKey, serviceId);
     }
 
@@ -302,6 +627,47 @@ export async function processMessage(
     const serviceId = (msg.payload as any)?.serviceId;
     const status = (msg.payload as any)?.status;
     const result = (msg.payload as any)?.result;
+    const requestId = (msg.payload as any)?.requestId;
+
+    // Only a signed response from the provider we paid counts. Anyone can post a
+    // service-response naming our request ID, and accepting it would cancel the
+    // refund of a request that was never answered.
+    const sent = requestId ? loadRequestLedger().find(e => e.requestId === requestId) : undefined;
+    const ignoreReason = !sent
+      ? 'unknown request'
+      : sent.provider !== msg.from
+        ? 'not sent by the provider of this request'
+        : sigCheck.valid !== true
+          ? 'invalid-signature'
+          : null;
+    if (ignoreReason) {
+      console.error(JSON.stringify({ event: 'response-ignored', from: msg.from, requestId, reason: ignoreReason }));
+      return {
+        id: msg.id,
+        type: 'service-response',
+        action: 'ignored',
+        from: msg.from,
+        serviceId,
+        requestId,
+        reason: ignoreReason,
+        signatureValid: sigCheck.valid,
+        ack: true,
+      };
+    }
+
+    // Score the provider on the first response to a request we actually sent.
+    // Requests we already asked a refund for were counted as no-response.
+    if (sent && !sent.responseAt && !sent.refundStatus && (status === 'fulfilled' || status === 'rejected')) {
+      await recordRequestOutcome(msg.from, status, Date.now() - new Date(sent.sentAt).getTime());
+    }
+
+    // Correlate with the request we sent so the ledger reflects the outcome
+    const ledgerUpdated = await updateRequestLedger(requestId, {
+      status: status || 'responded',
+      responseAt: new Date().toISOString(),
+      result: result ?? null,
+      ...((msg.payload as any)?.reason ? { reason: (msg.payload as any).reason } : {}),
+    });
 
     return {
       id: msg.id,
@@ -311,12 +677,29 @@ export async function processMessage(
       serviceId,
       status,
       result,
-      requestId: (msg.payload as any)?.requestId,
+      requestId,
+      ledgerUpdated,
       direction: 'incoming-response',
       ack: true,
     };
   }
 
+  if (msg.type === 'service-quote-request') {
+    return await processQuoteRequest(msg, identityKey, privKey);
+  }
+
+  if (msg.type === 'service-quote') {
+    return await processQuote(msg, identityKey);
+  }
+
+  if (msg.type === 'refund-request') {
+    return await processRefundRequest(msg, identityKey, privKey);
+  }
+
+  if (msg.type === 'refund') {
+    return await processRefund(msg, sigCheck);
+  }
+
   // Unknown type
   return {
     id: msg.id,
@@ -2,14 +2,13 @@
  * Inbox and ack commands.
  */
 
-import { OVERLAY_URL } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG } from '../config.js';
 import { loadIdentity, verifyRelaySignature } from '../wallet/identity.js';
 
 /**
  * Inbox command: fetch pending messages.
  */
-export async function cmdInbox(args: string[]): Promise<never> {
+export async function cmdInbox(args: string[]) {
   const { identityKey } = await loadIdentity();
 
   let since = '';
@@ -17,10 +16,10 @@ export async function cmdInbox(args: string[]): Promise<never> {
     if (args[i] === '--since' && args[i + 1]) since = `&since=${args[++i]}`;
   }
 
-  const resp = await fetch(`${OVERLAY_URL}/relay/inbox?identity=${identityKey}${since}`);
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/inbox?identity=${identityKey}${since}`);
   if (!resp.ok) {
     const body = await resp.text();
-    return fail(`Relay inbox failed (${resp.status}): ${body}`);
+    throw new Error(`Relay inbox failed (${resp.status}): ${body}`);
   }
 
   const result = await resp.json();
@@ -35,20 +34,20 @@ export async function cmdInbox(args: string[]): Promise<never> {
     }))
   );
 
-  return ok({ messages, count: messages.length, identityKey });
+  return { messages, count: messages.length, identityKey };
 }
 
 /**
  * Ack command: acknowledge processed messages.
  */
-export async function cmdAck(messageIds: string[]): Promise<never> {
+export async function cmdAck(messageIds: string[]) {
   if (!messageIds || messageIds.length === 0) {
-    return fail('Usage: ack <messageId> [messageId2 ...]');
+    throw new Error('Usage: ack <messageId> [messageId2 ...]');
   }
 
   const { identityKey } = await loadIdentity();
 
-  const resp = await fetch(`${OVERLAY_URL}/relay/ack`, {
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/ack`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ identity: identityKey, messageIds }),
@@ -56,9 +55,9 @@ export async function cmdAck(messageIds: string[]): Promise<never> {
 
   if (!resp.ok) {
     const body = await resp.text();
-    return fail(`Relay ack failed (${resp.status}): ${body}`);
+    throw new Error(`Relay ack failed (${resp.status}): ${body}`);
   }
 
   const result = await resp.json();
-  return ok({ acked: result.acked, messageIds });
+  return { acked: result.acked, messageIds };
 }
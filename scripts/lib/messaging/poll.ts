@@ -2,27 +2,26 @@
  * Poll command: fetch and process all pending messages.
  */
 
-import { OVERLAY_URL } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG } from '../config.js';
 import { loadIdentity } from '../wallet/identity.js';
 import { processMessage } from './handlers.js';
 
 /**
  * Poll command: fetch all pending messages and process them.
  */
-export async function cmdPoll(): Promise<never> {
+export async function cmdPoll() {
   const { identityKey, privKey } = await loadIdentity();
 
   // Fetch inbox
-  const inboxResp = await fetch(`${OVERLAY_URL}/relay/inbox?identity=${identityKey}`);
+  const inboxResp = await fetch(`${CONFIG.OVERLAY_URL}/relay/inbox?identity=${identityKey}`);
   if (!inboxResp.ok) {
     const body = await inboxResp.text();
-    return fail(`Relay inbox failed (${inboxResp.status}): ${body}`);
+    throw new Error(`Relay inbox failed (${inboxResp.status}): ${body}`);
   }
   const inbox = await inboxResp.json();
 
   if (inbox.count === 0) {
-    return ok({ processed: 0, messages: [], summary: 'No pending messages.' });
+    return { processed: 0, messages: [], summary: 'No pending messages.' };
   }
 
   const processed: any[] = [];
@@ -41,19 +40,19 @@ export async function cmdPoll(): Promise<never> {
 
   // ACK processed messages
   if (ackedIds.length > 0) {
-    await fetch(`${OVERLAY_URL}/relay/ack`, {
+    await fetch(`${CONFIG.OVERLAY_URL}/relay/ack`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ identity: identityKey, messageIds: ackedIds }),
     });
   }
 
-  return ok({
+  return {
     processed: processed.length,
     unhandled: unhandled.length,
     total: inbox.count,
     messages: processed,
     unhandledMessages: unhandled,
     ackedIds,
-  });
+  };
 }
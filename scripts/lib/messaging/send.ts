@@ -2,8 +2,7 @@
  * Send relay message command.
  */
 
-import { OVERLAY_URL } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG } from '../config.js';
 import { loadIdentity, signRelayMessage } from '../wallet/identity.js';
 
 /**
@@ -13,26 +12,26 @@ export async function cmdSend(
   targetKey: string | undefined,
   type: string | undefined,
   payloadStr: string | undefined
-): Promise<never> {
+) {
   if (!targetKey || !type || !payloadStr) {
-    return fail('Usage: send <identityKey> <type> <json_payload>');
+    throw new Error('Usage: send <identityKey> <type> <json_payload>');
   }
 
   if (!/^0[23][0-9a-fA-F]{64}$/.test(targetKey)) {
-    return fail('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
+    throw new Error('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
   }
 
   let payload: unknown;
   try {
     payload = JSON.parse(payloadStr);
   } catch {
-    return fail('payload must be valid JSON');
+    throw new Error('payload must be valid JSON');
   }
 
   const { identityKey, privKey } = await loadIdentity();
   const signature = await signRelayMessage(privKey, targetKey, type, payload);
 
-  const resp = await fetch(`${OVERLAY_URL}/relay/send`, {
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -46,9 +45,9 @@ export async function cmdSend(
 
   if (!resp.ok) {
     const body = await resp.text();
-    return fail(`Relay send failed (${resp.status}): ${body}`);
+    throw new Error(`Relay send failed (${resp.status}): ${body}`);
   }
 
   const result = await resp.json();
-  return ok({ sent: true, messageId: result.id, to: targetKey, type, signed: true });
+  return { sent: true, messageId: result.id, to: targetKey, type, signed: true };
 }
@@ -2,9 +2,24 @@
  * Overlay discovery commands.
  */
 
-import { OVERLAY_URL, LOOKUP_SERVICES } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, LOOKUP_SERVICES } from '../config.js';
 import { lookupOverlay, parseOverlayOutput } from './transaction.js';
+import { getReputation } from '../services/reputation.js';
+import { verifyOverlayPayload } from '../wallet/identity.js';
+import { loadDiscoveryCache, updateDiscoveryCache, loadRecordSequences, updateRecordSequences } from '../utils/storage.js';
+import { recordPricing, priceForInput, basePrice } from '../utils/pricing.js';
+import type { DiscoveredRecord } from '../types.js';
+
+/** Cached lookups stay usable as an offline fallback this long, then are pruned. */
+const CACHE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Where a lookup's records came from */
+export interface LookupSource {
+  source: 'overlay' | 'cache' | 'stale-cache';
+  fetchedAt: string;
+  /** Why the overlay couldn't be queried, when stale records were served instead */
+  error?: string;
+}
 
 // Dynamic import for @bsv/sdk
 let _sdk: any = null;
@@ -39,46 +54,413 @@ async function getSdk(): Promise<any> {
   }
 }
 
+/**
+ * Query a lookup service and parse its records, checking each signature.
+ */
+async function fetchRecords(sdk: any, service: string, query: Record<string, unknown>): Promise<DiscoveredRecord[]> {
+  const result = await lookupOverlay(service, query);
+  const records: DiscoveredRecord[] = [];
+  for (const output of result.outputs || []) {
+    const data = await parseOverlayOutput(output.beef, output.outputIndex);
+    if (!data) continue;
+    let txid: string | null = null;
+    try {
+      const tx = sdk.Transaction.fromBEEF(output.beef);
+      txid = tx.id('hex');
+    } catch { /* ignore */ }
+    records.push({ data, txid, check: await verifyOverlayPayload(data) });
+  }
+  return records;
+}
+
+// Background refreshes in flight, by cache key
+const revalidations = new Map<string, Promise<void>>();
+
+/**
+ * Query the overlay and store the records in the discovery cache.
+ */
+async function fetchAndCache(sdk: any, key: string, service: string, query: Record<string, unknown>) {
+  const records = await fetchRecords(sdk, service, query);
+  const fetchedAt = new Date().toISOString();
+  await updateDiscoveryCache(cache => {
+    cache[key] = { fetchedAt, records };
+    for (const [k, entry] of Object.entries(cache)) {
+      if (Date.now() - Date.parse(entry.fetchedAt) > CACHE_RETENTION_MS) delete cache[k];
+    }
+  });
+  return { records, fetchedAt };
+}
+
+/**
+ * Lookup through the discovery cache. Fresh entries (younger than
+ * DISCOVERY_CACHE_TTL_SECONDS) are served without querying the overlay, unless
+ * refresh is set. Stale entries are served immediately and refreshed in the
+ * background when DISCOVERY_STALE_WHILE_REVALIDATE is on, and are the fallback
+ * whenever the overlay can't be reached.
+ */
+async function cachedLookup(
+  sdk: any,
+  service: string,
+  query: Record<string, unknown>,
+  refresh: boolean
+): Promise<{ records: DiscoveredRecord[]; cache: LookupSource }> {
+  const key = `${service}:${JSON.stringify(query)}`;
+  const entry = loadDiscoveryCache()[key];
+  if (entry && !refresh) {
+    const age = Date.now() - Date.parse(entry.fetchedAt);
+    if (age < CONFIG.DISCOVERY_CACHE_TTL_SECONDS * 1000) {
+      return { records: entry.records, cache: { source: 'cache', fetchedAt: entry.fetchedAt } };
+    }
+    if (CONFIG.DISCOVERY_STALE_WHILE_REVALIDATE) {
+      if (!revalidations.has(key)) {
+        const pending = fetchAndCache(sdk, key, service, query)
+          .then(() => undefined, () => undefined)
+          .finally(() => revalidations.delete(key));
+        revalidations.set(key, pending);
+      }
+      return { records: entry.records, cache: { source: 'stale-cache', fetchedAt: entry.fetchedAt } };
+    }
+  }
+
+  try {
+    const { records, fetchedAt } = await fetchAndCache(sdk, key, service, query);
+    return { records, cache: { source: 'overlay', fetchedAt } };
+  } catch (err: any) {
+    if (!entry) throw err;
+    return { records: entry.records, cache: { source: 'stale-cache', fetchedAt: entry.fetchedAt, error: String(err) } };
+  }
+}
+
+/**
+ * Wait for background cache refreshes started by discover to finish, so a
+ * short-lived process doesn't exit in the middle of one.
+ */
+export async function settleDiscoveryRevalidations(): Promise<void> {
+  await Promise.all(revalidations.values());
+}
+
+/** When a record was published; older service records lack advertisedAt, updated identities carry updatedAt */
+function recordTime(record: any): number {
+  return Date.parse(record.updatedAt || record.advertisedAt || record.registeredAt || record.timestamp || '') || 0;
+}
+
+/** Signed sequence of a record; records published before sequences count as 0 */
+function recordSequence(record: any): number {
+  return Number.isSafeInteger(record.sequence) && record.sequence > 0 ? record.sequence : 0;
+}
+
+/** Which record a lookup result is a version of */
+function recordKey(data: any): string {
+  return data.type === 'service'
+    ? `service:${data.identityKey}:${data.serviceId}`
+    : `${data.type}:${data.identityKey}`;
+}
+
+/**
+ * Signed records an earlier lookup proves stale: `superseded` when the
+ * newest sequence seen for the same record is higher, `republished` when it
+ * is the same sequence at another txid. Revoking a record spends its token
+ * but can't revoke its signature, so anyone could otherwise put a revoked or
+ * replaced record back on the overlay. The newest sequence per record is
+ * remembered for later lookups.
+ */
+async function findStaleRecords(records: DiscoveredRecord[]): Promise<Map<DiscoveredRecord, 'superseded' | 'republished'>> {
+  const seen = loadRecordSequences();
+  const stale = new Map<DiscoveredRecord, 'superseded' | 'republished'>();
+  const newest = new Map<string, DiscoveredRecord>();
+  for (const record of records) {
+    if (!record.check.valid) continue;
+    const key = recordKey(record.data);
+    const sequence = recordSequence(record.data);
+    const known = seen[key];
+    if (known && sequence < known.sequence) {
+      stale.set(record, 'superseded');
+    } else if (known && sequence === known.sequence && known.txid && record.txid && record.txid !== known.txid) {
+      stale.set(record, 'republished');
+    } else if (sequence > 0 && sequence > recordSequence(newest.get(key)?.data ?? {})) {
+      newest.set(key, record);
+    }
+  }
+
+  const updates = [...newest].filter(([key, record]) => !seen[key] || recordSequence(record.data) > seen[key].sequence);
+  if (updates.length > 0) {
+    await updateRecordSequences(current => {
+      for (const [key, record] of updates) {
+        const sequence = recordSequence(record.data);
+        if (current[key] && current[key].sequence >= sequence) continue;
+        current[key] = { sequence, txid: record.txid, seenAt: new Date().toISOString() };
+      }
+    });
+  }
+  return stale;
+}
+
+/** Price of a service record: its cost for the discover input, or else its lowest price; Infinity if it can't be priced */
+function recordPrice(record: any): number {
+  if (typeof record.costSats === 'number') return record.costSats;
+  const pricing = recordPricing(record);
+  return pricing ? basePrice(pricing) : Infinity;
+}
+
+/** Lowercase words of a search text or field */
+function searchTerms(text: unknown): string[] {
+  return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Relevance of a service record to search terms. Each term scores by where it
+ * matches — tag or name (whole word 3, part of a word 2), service ID or
+ * category (2), description (whole word 1, part of a word 0.5) — and records
+ * matching more of the terms rank first. Zero means no term matched.
+ */
+function searchScore(record: any, terms: string[]): { matched: number; score: number } {
+  const tags: string[] = Array.isArray(record.tags) ? record.tags.map((t: unknown) => String(t).toLowerCase()) : [];
+  const tagWords = tags.flatMap(searchTerms);
+  const nameWords = searchTerms(record.name);
+  const idWords = searchTerms(record.serviceId);
+  const category = String(record.category ?? '').toLowerCase();
+  const descWords = searchTerms(record.description);
+
+  let matched = 0;
+  let score = 0;
+  for (const term of terms) {
+    const termScore =
+      (tags.includes(term) || tagWords.includes(term) ? 3 : tagWords.some(w => w.includes(term)) ? 2 : 0) +
+      (nameWords.includes(term) ? 3 : nameWords.some(w => w.includes(term)) ? 2 : 0) +
+      (idWords.some(w => w.includes(term)) ? 2 : 0) +
+      (category && category.includes(term) ? 2 : 0) +
+      (descWords.includes(term) ? 1 : descWords.some(w => w.includes(term)) ? 0.5 : 0);
+    if (termScore > 0) matched++;
+    score += termScore;
+  }
+  return { matched, score };
+}
+
+export type DiscoverSort = 'price' | 'name' | 'newest';
+
+const SORTS: DiscoverSort[] = ['price', 'name', 'newest'];
+
+/**
+ * Sort records in place. Agents have no price, so `price` leaves them as is.
+ */
+function sortRecords(records: any[], sort: DiscoverSort | null): any[] {
+  if (sort === 'name') {
+    records.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+  } else if (sort === 'newest') {
+    records.sort((a, b) => recordTime(b) - recordTime(a));
+  } else if (sort === 'price' && records.some(r => r.type === 'service')) {
+    records.sort((a, b) => recordPrice(a) - recordPrice(b));
+  }
+  return records;
+}
+
+/**
+ * Resolve service records, as looked up, to the newest version per
+ * (identityKey, serviceId) by signed sequence, then publish time, with a
+ * `versions` count. With history, every record is kept — grouped per
+ * service, newest first — and flagged `latest`.
+ * Records whose signature fails aren't versions of anything and pass through
+ * on their own. Unsigned (legacy) records can be forged by anyone, so when a
+ * service has signed records they alone count: an unsigned record never
+ * supersedes a signed one. Superseded records (see findStaleRecords) are
+ * never the latest version, and only listed with history.
+ */
+function resolveServiceVersions(
+  records: DiscoveredRecord[],
+  history: boolean,
+  superseded: Set<DiscoveredRecord> = new Set()
+): Array<{ record: DiscoveredRecord; latest?: boolean; versions?: number }> {
+  const resolved: Array<{ record: DiscoveredRecord; latest?: boolean; versions?: number }> = [];
+  const groups = new Map<string, DiscoveredRecord[]>();
+  for (const record of records) {
+    if (!record.check.valid && record.check.reason !== 'unsigned') {
+      resolved.push({ record });
+      continue;
+    }
+    const key = `${record.data.identityKey}:${record.data.serviceId}`;
+    const group = groups.get(key) || [];
+    group.push(record);
+    groups.set(key, group);
+  }
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => (recordSequence(b.data) - recordSequence(a.data)) || (recordTime(b.data) - recordTime(a.data)));
+    const signed = group.filter(record => record.check.valid);
+    const versions = signed.length > 0 ? signed : group;
+    if (history) {
+      versions.forEach((record, i) => resolved.push({ record, latest: i === 0 && !superseded.has(record) }));
+      if (versions !== group) {
+        group.filter(record => !record.check.valid).forEach(record => resolved.push({ record, latest: false }));
+      }
+    } else if (!superseded.has(versions[0])) {
+      resolved.push({ record: versions[0], versions: versions.length });
+    }
+  }
+  return resolved;
+}
+
 /**
  * Discover command: query the overlay for agents and services.
+ *
+ * Agent filters (--agent name substring, --capability, --identity-key) and
+ * service filters (--service ID, --provider key, --max-price sats) become the
+ * lookup queries of references/protocol.md. They are also applied locally, so
+ * results are correct even if the overlay ignores part of a query. Only the
+ * agents or only the services are looked up when just that kind of filter is
+ * given. Results can be sorted (--sort price|name|newest) and paged
+ * (--limit, --offset); agentCount/serviceCount count the returned page and
+ * totalAgents/totalServices all matches.
+ *
+ * Lookups go through the local discovery cache; --refresh bypasses it. If the
+ * overlay is unreachable, cached records are returned with the error in
+ * `cache`.
+ *
+ * Services are collapsed to the newest record per provider and service ID
+ * before any service filter is applied, so a superseded record never shows
+ * up in place of a newer one that doesn't match; --history returns
+ * superseded records too. For the same reason --max-price isn't sent to the
+ * overlay, which would hide newer records priced above it.
+ *
+ * --category and --tags (comma-separated, all required) narrow services to
+ * those labels. --search ranks services by how well their name, tags,
+ * service ID, category and description match the text, dropping those that
+ * don't match at all; --sort overrides the ranking. All three are applied
+ * locally and look up services only.
+ *
+ * Each service's `pricing` is normalized to a per-task, per-unit or tiered
+ * model. --max-price and --sort price use its lowest price, or with
+ * --input <json> the `costSats` of serving that input. Records with an
+ * unknown or malformed pricing model get `pricing: null`: they sort last by
+ * price, never match --max-price and can only be requested through a quote.
+ *
+ * Every record's signature is checked against the identity key it names.
+ * Records with a signature that doesn't verify are dropped; unsigned
+ * (legacy) records are kept but flagged `verified: false`, unless
+ * --verified-only is given; they never supersede a signed record. Signed
+ * records older than, or republishing, the newest sequence an earlier
+ * lookup saw are dropped too (counted in droppedStale).
  */
-export async function cmdDiscover(args: string[]): Promise<never> {
+export async function cmdDiscover(args: string[]) {
   const sdk = await getSdk();
 
   // Parse flags
   let serviceFilter: string | null = null;
   let agentFilter: string | null = null;
+  let capabilityFilter: string | null = null;
+  let identityKeyFilter: string | null = null;
+  let providerFilter: string | null = null;
+  let maxPriceSats: number | null = null;
+  let sort: DiscoverSort | null = null;
+  let limit: number | null = null;
+  let offset = 0;
+  let verifiedOnly = false;
+  let history = false;
+  let refresh = false;
+  let input: unknown = undefined;
+  let categoryFilter: string | null = null;
+  let tagFilter: string[] = [];
+  let search: string | null = null;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--service' && args[i + 1]) serviceFilter = args[++i];
     else if (args[i] === '--agent' && args[i + 1]) agentFilter = args[++i];
+    else if (args[i] === '--capability' && args[i + 1]) capabilityFilter = args[++i];
+    else if (args[i] === '--identity-key' && args[i + 1]) identityKeyFilter = args[++i];
+    else if (args[i] === '--provider' && args[i + 1]) providerFilter = args[++i];
+    else if (args[i] === '--max-price' && args[i + 1]) {
+      maxPriceSats = Number(args[++i]);
+      if (!Number.isFinite(maxPriceSats) || maxPriceSats < 0) {
+        throw new Error('--max-price must be a non-negative number of satoshis');
+      }
+    } else if (args[i] === '--sort' && args[i + 1]) {
+      const value = args[++i] as DiscoverSort;
+      if (!SORTS.includes(value)) throw new Error(`--sort must be one of: ${SORTS.join(', ')}`);
+      sort = value;
+    } else if (args[i] === '--limit' && args[i + 1]) limit = Math.max(0, parseInt(args[++i], 10) || 0) || null;
+    else if (args[i] === '--offset' && args[i + 1]) offset = Math.max(0, parseInt(args[++i], 10) || 0);
+    else if (args[i] === '--verified-only') verifiedOnly = true;
+    else if (args[i] === '--history') history = true;
+    else if (args[i] === '--refresh') refresh = true;
+    else if (args[i] === '--category' && args[i + 1]) categoryFilter = args[++i].trim().toLowerCase();
+    else if (args[i] === '--tags' && args[i + 1]) tagFilter = args[++i].split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    else if (args[i] === '--search' && args[i + 1]) search = args[++i];
+    else if (args[i] === '--input' && args[i + 1] !== undefined) {
+      try {
+        input = JSON.parse(args[++i]);
+      } catch {
+        throw new Error('--input must be valid JSON');
+      }
+    }
   }
 
+  // Services carry their normalized pricing, and with --input what that input would cost.
+  // Records that can't be priced get `pricing: null` and only match without --max-price.
+  const priceRecord = (data: any) => {
+    const pricing = recordPricing(data);
+    return { ...data, pricing, ...(pricing && input !== undefined && { costSats: priceForInput(pricing, input) }) };
+  };
+
+  const agentQuery: Record<string, unknown> = {
+    ...(agentFilter && { name: agentFilter }),
+    ...(capabilityFilter && { capability: capabilityFilter }),
+    ...(identityKeyFilter && { identityKey: identityKeyFilter }),
+  };
+  const serviceQuery: Record<string, unknown> = {
+    ...(serviceFilter && { serviceType: serviceFilter }),
+    ...(providerFilter && { provider: providerFilter }),
+  };
+  const searchTermList = search ? searchTerms(search) : [];
+  if (search && searchTermList.length === 0) throw new Error('--search needs at least one word to search for');
+  const hasAgentFilter = Object.keys(agentQuery).length > 0;
+  // Category, tags and search aren't lookup queries; they only narrow the services locally
+  const hasServiceFilter = Object.keys(serviceQuery).length > 0 || maxPriceSats !== null || !!categoryFilter || tagFilter.length > 0 || !!search;
+
+  const matchesAgent = (data: any) =>
+    (!agentFilter || String(data.name || '').toLowerCase().includes(agentFilter.toLowerCase())) &&
+    (!capabilityFilter || (Array.isArray(data.capabilities) && data.capabilities.includes(capabilityFilter))) &&
+    (!identityKeyFilter || data.identityKey === identityKeyFilter);
+  const matchesService = (data: any) =>
+    (!serviceFilter || data.serviceId === serviceFilter) &&
+    (!providerFilter || data.identityKey === providerFilter) &&
+    (maxPriceSats === null || recordPrice(data) <= maxPriceSats) &&
+    (!categoryFilter || String(data.category ?? '').toLowerCase() === categoryFilter) &&
+    (tagFilter.length === 0 || (Array.isArray(data.tags) &&
+      tagFilter.every(tag => data.tags.some((t: unknown) => String(t).toLowerCase() === tag))));
+
   const results: {
     agents: any[];
     services: any[];
+    dropped: number;
+    stale: number;
+    cache: { agents: LookupSource | null; services: LookupSource | null };
     agentError?: string;
     serviceError?: string;
-  } = { agents: [], services: [] };
+  } = { agents: [], services: [], dropped: 0, stale: 0, cache: { agents: null, services: null } };
+
+  // Signature status to attach to a record, or null if it must be dropped
+  const checkRecord = ({ check }: DiscoveredRecord) => {
+    if (check.valid) return { verified: true };
+    if (check.reason === 'unsigned' && !verifiedOnly) return { verified: false, verificationError: 'unsigned' };
+    results.dropped++;
+    return null;
+  };
 
   // Query agents
-  if (!serviceFilter) {
+  if (hasAgentFilter || !hasServiceFilter) {
     try {
-      const agentQuery = agentFilter ? { name: agentFilter } : { type: 'list' };
-      const agentResult = await lookupOverlay(LOOKUP_SERVICES.AGENTS, agentQuery);
-
-      if (agentResult.outputs) {
-        for (const output of agentResult.outputs) {
-          const data = await parseOverlayOutput(output.beef, output.outputIndex);
-          if (data && data.type === 'identity') {
-            let txid: string | null = null;
-            try {
-              const tx = sdk.Transaction.fromBEEF(output.beef);
-              txid = tx.id('hex');
-            } catch { /* ignore */ }
-            results.agents.push({ ...data, txid });
-          }
-        }
+      const query = hasAgentFilter ? agentQuery : { type: 'list' };
+      const { records, cache } = await cachedLookup(sdk, LOOKUP_SERVICES.AGENTS, query, refresh);
+      results.cache.agents = cache;
+
+      const identities = records.filter(record => record.data.type === 'identity');
+      const stale = await findStaleRecords(identities);
+      results.stale += stale.size;
+      for (const record of identities) {
+        if (stale.has(record) || !matchesAgent(record.data)) continue;
+        const verification = checkRecord(record);
+        if (!verification) continue;
+        const { data, txid } = record;
+        results.agents.push({ ...data, txid, ...verification, reputation: getReputation(String(data.identityKey)) });
       }
     } catch (err: any) {
       results.agentError = String(err);
@@ -86,36 +468,61 @@ export async function cmdDiscover(args: string[]): Promise<never> {
   }
 
   // Query services
-  if (!agentFilter) {
+  if (hasServiceFilter || !hasAgentFilter) {
     try {
-      const serviceQuery = serviceFilter ? { serviceType: serviceFilter } : {};
-      const serviceResult = await lookupOverlay(LOOKUP_SERVICES.SERVICES, serviceQuery);
-
-      if (serviceResult.outputs) {
-        for (const output of serviceResult.outputs) {
-          const data = await parseOverlayOutput(output.beef, output.outputIndex);
-          if (data && data.type === 'service') {
-            let txid: string | null = null;
-            try {
-              const tx = sdk.Transaction.fromBEEF(output.beef);
-              txid = tx.id('hex');
-            } catch { /* ignore */ }
-            results.services.push({ ...data, txid });
-          }
-        }
+      const { records, cache } = await cachedLookup(sdk, LOOKUP_SERVICES.SERVICES, serviceQuery, refresh);
+      results.cache.services = cache;
+
+      // Republished records are dropped; superseded ones only show up in history
+      const stale = await findStaleRecords(records.filter(record => record.data.type === 'service'));
+      const superseded = new Set([...stale].filter(([, reason]) => reason === 'superseded').map(([record]) => record));
+      results.stale += stale.size - (history ? superseded.size : 0);
+      const serviceRecords = records.filter(record => record.data.type === 'service' && stale.get(record) !== 'republished');
+      for (const { record, ...version } of resolveServiceVersions(serviceRecords, history, superseded)) {
+        const verification = checkRecord(record);
+        if (!verification) continue;
+        const data = priceRecord(record.data);
+        if (!matchesService(data)) continue;
+        const relevance = search ? searchScore(data, searchTermList) : null;
+        if (relevance && relevance.matched === 0) continue;
+        results.services.push({
+          ...data,
+          txid: record.txid,
+          ...verification,
+          ...version,
+          ...(relevance && { relevance }),
+          reputation: getReputation(String(data.identityKey)),
+        });
       }
     } catch (err: any) {
       results.serviceError = String(err);
     }
   }
 
-  return ok({
-    overlayUrl: OVERLAY_URL,
-    agentCount: results.agents.length,
-    serviceCount: results.services.length,
-    agents: results.agents,
-    services: results.services,
+  const agents = sortRecords(results.agents, sort);
+  // Search results rank by relevance unless another order is asked for
+  const services = search && !sort
+    ? results.services.sort((a, b) => (b.relevance.matched - a.relevance.matched) || (b.relevance.score - a.relevance.score))
+    : sortRecords(results.services, sort);
+  const page = (records: any[]) => records.slice(offset, limit === null ? undefined : offset + limit);
+  const agentPage = page(agents);
+  const servicePage = page(services);
+
+  return {
+    overlayUrl: CONFIG.OVERLAY_URL,
+    agentCount: agentPage.length,
+    serviceCount: servicePage.length,
+    totalAgents: agents.length,
+    totalServices: services.length,
+    offset,
+    limit,
+    ...(search && { search }),
+    droppedUnverifiable: results.dropped,
+    droppedStale: results.stale,
+    agents: agentPage,
+    services: servicePage,
+    cache: results.cache,
     ...(results.agentError && { agentError: results.agentError }),
     ...(results.serviceError && { serviceError: results.serviceError }),
-  });
+  };
 }
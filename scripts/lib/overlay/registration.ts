@@ -3,11 +3,13 @@
  */
 
 import fs from 'node:fs';
-import { NETWORK, WALLET_DIR, OVERLAY_URL, PROTOCOL_ID, TOPICS, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, PROTOCOL_ID, TOPICS, PATHS } from '../config.js';
 import { loadWalletIdentity } from '../wallet/identity.js';
-import { loadRegistration, saveRegistration, deleteRegistration, loadServices } from '../utils/storage.js';
+import { loadRegistration, updateRegistration, loadServices, updateServices } from '../utils/storage.js';
 import { buildRealOverlayTransaction } from './transaction.js';
+import { servicePricing } from '../utils/pricing.js';
+import type { FeeReport } from '../utils/fees.js';
+import type { OverlayToken, Registration } from '../types.js';
 
 // Dynamic import for BSVAgentWallet
 let _BSVAgentWallet: any = null;
@@ -44,53 +46,195 @@ async function getBSVAgentWallet(): Promise<any> {
   }
 }
 
+interface AgentProfile {
+  agentName: string;
+  agentDescription: string;
+  capabilities: string[];
+  channels: Record<string, string>;
+}
+
+/**
+ * Parse a comma-separated capability list, dropping blanks and duplicates.
+ */
+function parseCapabilities(value: string): string[] {
+  return [...new Set(value.split(',').map(c => c.trim()).filter(Boolean))];
+}
+
+/**
+ * Agent metadata for the identity record, from AGENT_NAME, AGENT_DESCRIPTION,
+ * AGENT_CAPABILITIES (comma-separated) and AGENT_CHANNELS (JSON object of
+ * channel name to endpoint), overridden by --name, --description,
+ * --capabilities and repeated --channel name=endpoint flags. The overlay
+ * channel defaults to OVERLAY_URL.
+ */
+function resolveAgentProfile(args: string[]): AgentProfile {
+  const profile: AgentProfile = {
+    agentName: CONFIG.env.AGENT_NAME || 'BSV Agent',
+    agentDescription: CONFIG.env.AGENT_DESCRIPTION || 'A BSV overlay network agent',
+    capabilities: parseCapabilities(CONFIG.env.AGENT_CAPABILITIES || ''),
+    channels: { overlay: CONFIG.OVERLAY_URL },
+  };
+
+  if (CONFIG.env.AGENT_CHANNELS) {
+    let channels: unknown;
+    try {
+      channels = JSON.parse(CONFIG.env.AGENT_CHANNELS);
+    } catch {
+      throw new Error('AGENT_CHANNELS must be a JSON object of channel name to endpoint');
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)
+      || Object.values(channels).some(v => typeof v !== 'string')) {
+      throw new Error('AGENT_CHANNELS must be a JSON object of channel name to endpoint');
+    }
+    Object.assign(profile.channels, channels);
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--name' && args[i + 1]) profile.agentName = args[++i];
+    else if (args[i] === '--description' && args[i + 1]) profile.agentDescription = args[++i];
+    else if (args[i] === '--capabilities' && args[i + 1]) profile.capabilities = parseCapabilities(args[++i]);
+    else if (args[i] === '--channel' && args[i + 1]) {
+      const value = args[++i];
+      const eq = value.indexOf('=');
+      if (eq <= 0 || eq === value.length - 1) {
+        throw new Error(`Invalid --channel "${value}". Use: --channel <name>=<endpoint>`);
+      }
+      profile.channels[value.slice(0, eq)] = value.slice(eq + 1);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Profile fields that differ between the published registration and the
+ * configured profile.
+ */
+function changedProfileFields(reg: Registration, profile: AgentProfile): string[] {
+  const changed: string[] = [];
+  if (reg.agentName !== profile.agentName) changed.push('name');
+  if (reg.agentDescription !== profile.agentDescription) changed.push('description');
+  if (JSON.stringify(reg.capabilities || []) !== JSON.stringify(profile.capabilities)) changed.push('capabilities');
+  const sortedChannels = (channels: Record<string, string>) => JSON.stringify(Object.entries(channels).sort());
+  if (sortedChannels(reg.channels || {}) !== sortedChannels(profile.channels)) changed.push('channels');
+  return changed;
+}
+
+function buildIdentityPayload(identityKey: string, profile: AgentProfile, registeredAt: string, updatedAt?: string) {
+  return {
+    protocol: PROTOCOL_ID,
+    type: 'identity',
+    identityKey,
+    name: profile.agentName,
+    description: profile.agentDescription,
+    capabilities: profile.capabilities,
+    channels: profile.channels,
+    registeredAt,
+    ...(updatedAt && { updatedAt }),
+  };
+}
+
+/**
+ * Republish the identity record of an existing registration with the current
+ * profile, spending the previous identity token so the overlay replaces it.
+ */
+async function republishIdentity(reg: Registration, profile: AgentProfile) {
+  const changed = changedProfileFields(reg, profile);
+  if (changed.length === 0) {
+    return {
+      updated: false,
+      identityKey: reg.identityKey,
+      identityTxid: reg.identityTxid,
+      overlayUrl: CONFIG.OVERLAY_URL,
+      note: 'Identity record is already up to date',
+    };
+  }
+
+  const updatedAt = new Date().toISOString();
+  const identityPayload = buildIdentityPayload(reg.identityKey, profile, reg.registeredAt, updatedAt);
+
+  let result: { txid: string; funded: string; fee: FeeReport | null; token: OverlayToken | null };
+  try {
+    result = await buildRealOverlayTransaction(identityPayload, TOPICS.IDENTITY, reg.identityToken ? [reg.identityToken] : []);
+  } catch (err: any) {
+    throw new Error(`Identity update failed: ${err.message}`);
+  }
+
+  await updateRegistration(current => ({
+    ...(current ?? reg),
+    ...profile,
+    identityTxid: result.txid,
+    funded: result.funded,
+    identityToken: result.token,
+    updatedAt,
+  }));
+
+  return {
+    updated: true,
+    changed,
+    identityKey: reg.identityKey,
+    identityTxid: result.txid,
+    overlayUrl: CONFIG.OVERLAY_URL,
+    funded: result.funded,
+    fee: result.fee,
+    note: reg.identityToken
+      ? undefined
+      : 'The previous identity record predates token support and remains on the overlay alongside the new one.',
+  };
+}
+
 /**
  * Register command: register this agent on the overlay network.
+ *
+ * When already registered, --update republishes the identity record if the
+ * name, description, capabilities or channels changed.
  */
-export async function cmdRegister(): Promise<never> {
+export async function cmdRegister(args: string[] = []) {
   if (!fs.existsSync(PATHS.walletIdentity)) {
-    return fail('Wallet not initialized. Run: setup');
+    throw new Error('Wallet not initialized. Run: setup');
   }
 
+  const profile = resolveAgentProfile(args);
+
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
   await wallet.destroy();
 
   const existingReg = loadRegistration();
   if (existingReg && existingReg.identityKey === identityKey) {
-    return ok({
+    if (args.includes('--update')) {
+      return republishIdentity(existingReg, profile);
+    }
+    const changed = changedProfileFields(existingReg, profile);
+    return {
       alreadyRegistered: true,
       identityKey,
       identityTxid: existingReg.identityTxid,
-      overlayUrl: OVERLAY_URL,
-    });
+      overlayUrl: CONFIG.OVERLAY_URL,
+      ...(changed.length > 0 && { changed, hint: 'Run: register --update to publish the changes' }),
+    };
+  }
+  if (args.includes('--update')) {
+    throw new Error('Not registered. Run: register');
   }
 
-  // Agent metadata (could be customized later)
-  const agentName = process.env.AGENT_NAME || 'BSV Agent';
-  const agentDescription = process.env.AGENT_DESCRIPTION || 'A BSV overlay network agent';
+  const { agentName, agentDescription, capabilities, channels } = profile;
 
   // Create identity record on-chain
-  const identityPayload = {
-    protocol: PROTOCOL_ID,
-    type: 'identity',
-    identityKey,
-    name: agentName,
-    description: agentDescription,
-    registeredAt: new Date().toISOString(),
-  };
+  const identityPayload = buildIdentityPayload(identityKey, profile, new Date().toISOString());
 
-  let identityResult: { txid: string; funded: string };
+  let identityResult: { txid: string; funded: string; fee: FeeReport | null; token: OverlayToken | null };
   try {
     identityResult = await buildRealOverlayTransaction(identityPayload, TOPICS.IDENTITY);
   } catch (err: any) {
-    return fail(`Registration failed: ${err.message}`);
+    throw new Error(`Registration failed: ${err.message}`);
   }
 
   // Optionally register services if pre-configured
   const services = loadServices();
   let serviceTxid: string | null = null;
+  let serviceFee: FeeReport | null = null;
+  let serviceToken: OverlayToken | null = null;
 
   if (services.length > 0) {
     const servicesPayload = {
@@ -101,7 +245,12 @@ export async function cmdRegister(): Promise<never> {
         serviceId: s.serviceId,
         name: s.name,
         description: s.description,
-        pricingSats: s.priceSats,
+        pricing: servicePricing(s),
+        pricingSats: servicePricing(s).amountSats,
+        ...(s.tags !== undefined && { tags: s.tags }),
+        ...(s.category !== undefined && { category: s.category }),
+        ...(s.inputSchema !== undefined && { inputSchema: s.inputSchema }),
+        ...(s.outputSchema !== undefined && { outputSchema: s.outputSchema }),
       })),
       registeredAt: new Date().toISOString(),
     };
@@ -109,6 +258,8 @@ export async function cmdRegister(): Promise<never> {
     try {
       const serviceResult = await buildRealOverlayTransaction(servicesPayload, TOPICS.SERVICES);
       serviceTxid = serviceResult.txid;
+      serviceFee = serviceResult.fee;
+      serviceToken = serviceResult.token;
     } catch {
       // Non-fatal — identity registered but services failed
     }
@@ -119,38 +270,72 @@ export async function cmdRegister(): Promise<never> {
     identityKey,
     agentName,
     agentDescription,
-    overlayUrl: OVERLAY_URL,
+    capabilities,
+    channels,
+    overlayUrl: CONFIG.OVERLAY_URL,
     identityTxid: identityResult.txid,
     serviceTxid,
     funded: identityResult.funded,
+    identityToken: identityResult.token,
+    serviceToken,
     registeredAt: new Date().toISOString(),
   };
-  saveRegistration(registration);
+  await updateRegistration(() => registration);
 
-  return ok({
+  return {
     registered: true,
     identityKey,
     identityTxid: identityResult.txid,
     serviceTxid,
-    overlayUrl: OVERLAY_URL,
+    overlayUrl: CONFIG.OVERLAY_URL,
     funded: identityResult.funded,
-  });
+    fee: identityResult.fee,
+    serviceFee,
+  };
 }
 
 /**
- * Unregister command: remove local registration (does not delete on-chain records).
+ * Unregister command: spend the identity, service-bundle and service record
+ * tokens so the overlay drops them from lookups, then remove the local
+ * registration. Services stay configured locally for a later register.
  */
-export async function cmdUnregister(): Promise<never> {
+export async function cmdUnregister() {
   const existingReg = loadRegistration();
   if (!existingReg) {
-    return fail('Not registered');
+    throw new Error('Not registered');
   }
 
-  deleteRegistration();
+  const services = loadServices();
+  const tokens = [
+    existingReg.identityToken,
+    existingReg.serviceToken,
+    ...services.map(s => s.token),
+  ].filter((t): t is OverlayToken => !!t);
 
-  return ok({
+  let revocation: { txid: string; fee: FeeReport | null } | null = null;
+  if (tokens.length > 0) {
+    try {
+      revocation = await buildRealOverlayTransaction(null, [TOPICS.IDENTITY, TOPICS.SERVICES], tokens);
+    } catch (err: any) {
+      throw new Error(`Unregister failed: ${err.message}`);
+    }
+    // Only clear the tokens that were revoked; a record republished meanwhile stays
+    const revoked = new Set(tokens.map(t => `${t.txid}:${t.vout}`));
+    await updateServices(current => current.map(s =>
+      !s.token || revoked.has(`${s.token.txid}:${s.token.vout}`) ? { ...s, txid: undefined, token: null } : s
+    ));
+  }
+
+  await updateRegistration(() => null);
+
+  return {
     unregistered: true,
     identityKey: existingReg.identityKey,
-    note: 'Local registration removed. On-chain records remain (blockchain is immutable).',
-  });
+    revokedTokens: tokens.length,
+    revocationTxid: revocation?.txid || null,
+    fee: revocation?.fee || null,
+    note: !existingReg.identityToken || services.some(s => s.txid && !s.token)
+      ? 'Records published before token support are plain OP_RETURN outputs and remain on the overlay.'
+      : undefined,
+  };
 }
@@ -2,11 +2,19 @@
  * Overlay service commands: services, advertise, remove, readvertise.
  */
 
-import { NETWORK, WALLET_DIR, PROTOCOL_ID, TOPICS, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
-import { loadServices, saveServices, loadRegistration } from '../utils/storage.js';
+import { CONFIG, PROTOCOL_ID, TOPICS, PATHS } from '../config.js';
+import { loadServices, updateServices, loadRegistration } from '../utils/storage.js';
 import { buildRealOverlayTransaction } from './transaction.js';
-import type { ServiceAdvertisement } from '../types.js';
+import { parseJsonSchemaArg, assertJsonSchema } from '../utils/schema.js';
+import { buildPricing, parsePricingArg, servicePricing } from '../utils/pricing.js';
+import type { FeeReport } from '../utils/fees.js';
+import type { ServiceAdvertisement, ServicePricing, JsonSchema } from '../types.js';
+
+/** Input/output schemas for advertise and readvertise; null clears one on readvertise */
+export interface ServiceSchemas {
+  inputSchema?: JsonSchema | null;
+  outputSchema?: JsonSchema | null;
+}
 
 // Dynamic import for BSVAgentWallet
 let _BSVAgentWallet: any = null;
@@ -43,34 +51,177 @@ async function getBSVAgentWallet(): Promise<any> {
   }
 }
 
+/**
+ * A service for command output, without its token's BEEF.
+ */
+function describeService({ token, ...service }: ServiceAdvertisement) {
+  return { ...service, tokenOutpoint: token ? `${token.txid}.${token.vout}` : null };
+}
+
+/** Pricing spec for advertise and readvertise (see buildPricing); null reverts to per-task */
+export type PricingSpec = Partial<ServicePricing> | null;
+
+/** Tags (a list or comma-separated) and category for advertise and readvertise; null clears one on readvertise */
+export interface ServiceLabels {
+  tags?: string[] | string | null;
+  category?: string | null;
+}
+
+const MAX_TAGS = 20;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Split --input-schema, --output-schema and --pricing (JSON text), --tags
+ * (comma-separated) and --category out of CLI arguments.
+ */
+export function extractServiceArgs(args: string[]): {
+  args: string[];
+  schemas: ServiceSchemas;
+  pricing?: PricingSpec;
+  labels: ServiceLabels;
+} {
+  const rest: string[] = [];
+  const schemas: ServiceSchemas = {};
+  const labels: ServiceLabels = {};
+  let pricing: PricingSpec | undefined;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--tags' && args[i + 1] !== undefined) {
+      labels.tags = args[++i] === 'null' ? null : args[i];
+    } else if (args[i] === '--category' && args[i + 1] !== undefined) {
+      labels.category = args[++i] === 'null' ? null : args[i];
+    } else if (args[i] === '--input-schema' && args[i + 1] !== undefined) {
+      schemas.inputSchema = parseJsonSchemaArg(args[++i], '--input-schema');
+    } else if (args[i] === '--output-schema' && args[i + 1] !== undefined) {
+      schemas.outputSchema = parseJsonSchemaArg(args[++i], '--output-schema');
+    } else if (args[i] === '--pricing' && args[i + 1] !== undefined) {
+      pricing = args[++i] === 'null' ? null : parsePricingArg(args[i]);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { args: rest, schemas, ...(pricing !== undefined && { pricing }), labels };
+}
+
+function normalizeLabel(value: unknown, label: string): string {
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!text || text.length > MAX_LABEL_LENGTH) {
+    throw new Error(`${label} must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Apply tags and category to a service: a value replaces the current one,
+ * null (or no tags) removes it. Both are stored lowercase.
+ */
+function applyLabels(service: ServiceAdvertisement, labels: ServiceLabels): void {
+  if (labels.tags !== undefined) {
+    const list = typeof labels.tags === 'string' ? labels.tags.split(',').filter(t => t.trim()) : labels.tags ?? [];
+    if (!Array.isArray(list)) throw new Error('tags must be a list of strings');
+    const tags = [...new Set(list.map(t => normalizeLabel(t, 'Each tag')))];
+    if (tags.length > MAX_TAGS) throw new Error(`A service can have at most ${MAX_TAGS} tags`);
+    if (tags.length > 0) service.tags = tags;
+    else delete service.tags;
+  }
+  if (labels.category !== undefined) {
+    if (labels.category === null) delete service.category;
+    else service.category = normalizeLabel(labels.category, 'category');
+  }
+}
+
+/**
+ * Tag and category fields of a service record payload.
+ */
+function labelFields(service: ServiceAdvertisement) {
+  return {
+    ...(service.tags !== undefined && { tags: service.tags }),
+    ...(service.category !== undefined && { category: service.category }),
+  };
+}
+
+/**
+ * Set a service's price and pricing model. Without a spec, per-unit and
+ * tiered services keep their model at the new price.
+ */
+function applyPricing(service: ServiceAdvertisement, priceSats: number, spec?: PricingSpec): void {
+  if (spec === undefined && service.pricing) {
+    const { amountSats: _amount, tiers, ...rest } = service.pricing;
+    spec = { ...rest, ...(tiers && { tiers: tiers.filter(t => t.upTo !== null) }) };
+  }
+  const pricing = buildPricing(spec, priceSats);
+  service.priceSats = priceSats;
+  if (pricing.model === 'per-task') delete service.pricing;
+  else service.pricing = pricing;
+}
+
+/**
+ * Apply schemas to a service: a schema replaces the current one, null removes it.
+ */
+function applySchemas(service: ServiceAdvertisement, schemas: ServiceSchemas): void {
+  for (const key of ['inputSchema', 'outputSchema'] as const) {
+    if (!(key in schemas)) continue;
+    const schema = schemas[key];
+    if (schema === null || schema === undefined) {
+      delete service[key];
+    } else {
+      assertJsonSchema(schema, key);
+      service[key] = schema;
+    }
+  }
+}
+
+/**
+ * Pricing fields of a service record payload. `pricingSats` repeats the
+ * lowest price for readers that predate pricing models.
+ */
+function pricingFields(service: ServiceAdvertisement) {
+  const pricing = servicePricing(service);
+  return { pricing, pricingSats: pricing.amountSats };
+}
+
+/**
+ * Schema fields of a service record payload.
+ */
+function schemaFields(service: ServiceAdvertisement) {
+  return {
+    ...(service.inputSchema !== undefined && { inputSchema: service.inputSchema }),
+    ...(service.outputSchema !== undefined && { outputSchema: service.outputSchema }),
+  };
+}
+
 /**
  * Services command: list currently advertised services.
  */
-export async function cmdServices(): Promise<never> {
+export async function cmdServices() {
   const services = loadServices();
-  return ok({ services, count: services.length });
+  return { services: services.map(describeService), count: services.length };
 }
 
 /**
- * Advertise command: add a new service advertisement.
+ * Advertise command: add a new service advertisement, optionally with JSON
+ * Schemas for the request input and the delivered output, a per-unit or
+ * tiered pricing model, and tags and a category for discovery.
  */
 export async function cmdAdvertise(
   serviceId: string | undefined,
   name: string | undefined,
   priceSatsStr: string | undefined,
-  description?: string
-): Promise<never> {
+  description?: string,
+  schemas: ServiceSchemas = {},
+  pricing?: PricingSpec,
+  labels: ServiceLabels = {}
+) {
   if (!serviceId || !name || !priceSatsStr) {
-    return fail('Usage: advertise <serviceId> <name> <priceSats> [description]');
+    throw new Error('Usage: advertise <serviceId> <name> <priceSats> [description]');
   }
 
   const priceSats = parseInt(priceSatsStr, 10);
   if (isNaN(priceSats) || priceSats < 0) {
-    return fail('priceSats must be a non-negative integer');
+    throw new Error('priceSats must be a non-negative integer');
   }
 
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
   await wallet.destroy();
 
@@ -78,7 +229,7 @@ export async function cmdAdvertise(
   const services = loadServices();
   const existing = services.find(s => s.serviceId === serviceId);
   if (existing) {
-    return fail(`Service '${serviceId}' already exists. Use 'readvertise' to update.`);
+    throw new Error(`Service '${serviceId}' already exists. Use 'readvertise' to update.`);
   }
 
   // Create service record
@@ -89,6 +240,9 @@ export async function cmdAdvertise(
     priceSats,
     registeredAt: new Date().toISOString(),
   };
+  applyPricing(newService, priceSats, pricing);
+  applySchemas(newService, schemas);
+  applyLabels(newService, labels);
 
   // Publish on-chain
   const servicePayload = {
@@ -98,87 +252,112 @@ export async function cmdAdvertise(
     serviceId,
     name,
     description: newService.description,
-    pricingSats: priceSats,
+    ...pricingFields(newService),
+    ...labelFields(newService),
+    ...schemaFields(newService),
     advertisedAt: newService.registeredAt,
   };
 
   try {
     const result = await buildRealOverlayTransaction(servicePayload, TOPICS.SERVICES);
     newService.txid = result.txid;
+    newService.token = result.token;
 
-    // Save locally
-    services.push(newService);
-    saveServices(services);
+    // Save locally, against the list as it is now that the record is published
+    await updateServices(current => [...current.filter(s => s.serviceId !== serviceId), newService]);
 
-    return ok({
+    return {
       advertised: true,
-      service: newService,
+      service: describeService(newService),
       txid: result.txid,
       funded: result.funded,
-    });
+      fee: result.fee,
+    };
   } catch (err: any) {
-    return fail(`Failed to advertise service: ${err.message}`);
+    throw new Error(`Failed to advertise service: ${err.message}`);
   }
 }
 
 /**
- * Remove command: remove a service from local registry.
+ * Remove command: spend the service's record token so the overlay drops it
+ * from lookups, then remove it from the local registry.
  */
-export async function cmdRemove(serviceId: string | undefined): Promise<never> {
+export async function cmdRemove(serviceId: string | undefined) {
   if (!serviceId) {
-    return fail('Usage: remove <serviceId>');
+    throw new Error('Usage: remove <serviceId>');
   }
 
   const services = loadServices();
   const idx = services.findIndex(s => s.serviceId === serviceId);
   if (idx === -1) {
-    return fail(`Service '${serviceId}' not found`);
+    throw new Error(`Service '${serviceId}' not found`);
+  }
+
+  const target = services[idx];
+  let revocation: { txid: string; fee: FeeReport | null } | null = null;
+  if (target.token) {
+    try {
+      revocation = await buildRealOverlayTransaction(null, TOPICS.SERVICES, [target.token]);
+    } catch (err: any) {
+      throw new Error(`Failed to remove service: ${err.message}`);
+    }
   }
 
-  const removed = services.splice(idx, 1)[0];
-  saveServices(services);
+  await updateServices(current => current.filter(s => s.serviceId !== serviceId));
 
-  return ok({
+  return {
     removed: true,
-    service: removed,
-    note: 'Removed from local registry. On-chain record remains (blockchain is immutable).',
-  });
+    service: describeService(target),
+    revocationTxid: revocation?.txid || null,
+    fee: revocation?.fee || null,
+    note: revocation
+      ? undefined
+      : 'Removed from local registry. This record predates token support and remains on the overlay.',
+  };
 }
 
 /**
- * Readvertise command: update an existing service advertisement.
+ * Readvertise command: update an existing service advertisement. Schemas,
+ * the pricing model, tags and category are kept unless given; null removes
+ * one, or reverts to per-task pricing.
  */
 export async function cmdReadvertise(
   serviceId: string | undefined,
   name?: string,
   priceSatsStr?: string,
-  description?: string
-): Promise<never> {
+  description?: string,
+  schemas: ServiceSchemas = {},
+  pricing?: PricingSpec,
+  labels: ServiceLabels = {}
+) {
   if (!serviceId) {
-    return fail('Usage: readvertise <serviceId> [name] [priceSats] [description]');
+    throw new Error('Usage: readvertise <serviceId> [name] [priceSats] [description]');
   }
 
   const services = loadServices();
   const existing = services.find(s => s.serviceId === serviceId);
   if (!existing) {
-    return fail(`Service '${serviceId}' not found. Use 'advertise' to create.`);
+    throw new Error(`Service '${serviceId}' not found. Use 'advertise' to create.`);
   }
 
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
   await wallet.destroy();
 
   // Update fields if provided
   if (name) existing.name = name;
+  let priceSats = existing.priceSats;
   if (priceSatsStr) {
-    const priceSats = parseInt(priceSatsStr, 10);
+    priceSats = parseInt(priceSatsStr, 10);
     if (isNaN(priceSats) || priceSats < 0) {
-      return fail('priceSats must be a non-negative integer');
+      throw new Error('priceSats must be a non-negative integer');
     }
-    existing.priceSats = priceSats;
   }
+  if (priceSatsStr || pricing !== undefined) applyPricing(existing, priceSats, pricing);
   if (description) existing.description = description;
+  applySchemas(existing, schemas);
+  applyLabels(existing, labels);
   existing.registeredAt = new Date().toISOString();
 
   // Publish update on-chain
@@ -189,25 +368,30 @@ export async function cmdReadvertise(
     serviceId,
     name: existing.name,
     description: existing.description,
-    pricingSats: existing.priceSats,
+    ...pricingFields(existing),
+    ...labelFields(existing),
+    ...schemaFields(existing),
     advertisedAt: existing.registeredAt,
     updated: true,
   };
 
   try {
-    const result = await buildRealOverlayTransaction(servicePayload, TOPICS.SERVICES);
+    // Spending the previous token replaces the record instead of adding a duplicate
+    const result = await buildRealOverlayTransaction(servicePayload, TOPICS.SERVICES, existing.token ? [existing.token] : []);
     existing.txid = result.txid;
+    existing.token = result.token;
 
-    // Save locally
-    saveServices(services);
+    // Save locally, against the list as it is now that the record is published
+    await updateServices(current => [...current.filter(s => s.serviceId !== serviceId), existing]);
 
-    return ok({
+    return {
       readvertised: true,
-      service: existing,
+      service: describeService(existing),
       txid: result.txid,
       funded: result.funded,
-    });
+      fee: result.fee,
+    };
   } catch (err: any) {
-    return fail(`Failed to readvertise service: ${err.message}`);
+    throw new Error(`Failed to readvertise service: ${err.message}`);
   }
 }
@@ -2,11 +2,14 @@
  * Overlay transaction building utilities.
  */
 
-import { NETWORK, WALLET_DIR, OVERLAY_URL, PROTOCOL_ID, TOPICS } from '../config.js';
-import { wocFetch, fetchBeefFromWoC } from '../utils/woc.js';
-import { loadStoredChange, saveStoredChange, deleteStoredChange } from '../utils/storage.js';
-import { loadWalletIdentity, deriveWalletAddress } from '../wallet/identity.js';
-import type { OverlayPayload, SourceChainEntry } from '../types.js';
+import { CONFIG, PROTOCOL_ID, TOPICS } from '../config.js';
+import { getChainProvider } from '../chain/index.js';
+import { loadWalletIdentity, deriveWalletAddress, signOverlayPayload } from '../wallet/identity.js';
+import { gatherSpendableCoins, selectAndLoadCoins, relinquishWalletOutputs } from '../wallet/coins.js';
+import { migrateLegacyChange, listPoolUtxos, addPoolUtxos, markPoolSpent } from '../wallet/utxo-pool.js';
+import { getFeeRate, feeForSize, estimateP2PKHTxSize, signWithFee, feeReportForTx } from '../utils/fees.js';
+import type { FeeReport } from '../utils/fees.js';
+import type { OverlayPayload, OverlayToken } from '../types.js';
 
 // Dynamic import for @bsv/sdk
 let _sdk: any = null;
@@ -41,207 +44,360 @@ async function getSdk(): Promise<any> {
   }
 }
 
+// Dynamic import for BSVAgentWallet
+let _BSVAgentWallet: any = null;
+
+async function getBSVAgentWallet(): Promise<any> {
+  if (_BSVAgentWallet) return _BSVAgentWallet;
+
+  try {
+    const core = await import('@a2a-bsv/core');
+    _BSVAgentWallet = core.BSVAgentWallet;
+    return _BSVAgentWallet;
+  } catch {
+    const { fileURLToPath } = await import('node:url');
+    const path = await import('node:path');
+    const os = await import('node:os');
+
+    const __dirname = path.dirname(fileURLToPath(import.meta.url));
+    const candidates = [
+      path.resolve(__dirname, '..', '..', '..', 'node_modules', '@a2a-bsv', 'core', 'dist', 'index.js'),
+      path.resolve(__dirname, '..', '..', '..', '..', '..', 'a2a-bsv', 'packages', 'core', 'dist', 'index.js'),
+      path.resolve(os.homedir(), 'a2a-bsv', 'packages', 'core', 'dist', 'index.js'),
+    ];
+
+    for (const p of candidates) {
+      try {
+        const core = await import(p);
+        _BSVAgentWallet = core.BSVAgentWallet;
+        return _BSVAgentWallet;
+      } catch {
+        // Try next
+      }
+    }
+    throw new Error('Cannot find @a2a-bsv/core. Run setup.sh first.');
+  }
+}
+
+/** PushDrop protocol and key that overlay record tokens are locked under */
+const TOKEN_PROTOCOL: [1, string] = [1, 'clawdbot overlay'];
+const TOKEN_KEY_ID = '1';
+/** Value of each record token */
+const TOKEN_SATS = 1;
+
+/** Wallet errors meaning it can't fund the transaction from the outputs it manages */
+const WALLET_UNFUNDED_ERROR = /insufficient|Cannot find @a2a-bsv\/core/i;
+
+interface BuiltOverlayTx {
+  txid: string;
+  /** BEEF submitted to the overlay */
+  beef: number[];
+  funded: string;
+  inputs: number;
+  fee: FeeReport | null;
+  /** Bookkeeping once the overlay has accepted the transaction */
+  settle: () => Promise<void>;
+  /** Undo any hold on the inputs if the overlay rejected the transaction */
+  discard: () => Promise<void>;
+}
+
 /**
- * Build a PUSHDATA script for OP_RETURN data.
+ * Build the PushDrop locking script for an overlay record: the protocol
+ * tag and JSON payload as data fields, locked to a key derived from our
+ * identity key and signed by it.
  */
-function pushData(data: Uint8Array): Uint8Array {
-  const len = data.length;
-  if (len <= 75) {
-    return new Uint8Array([len, ...data]);
-  } else if (len <= 255) {
-    return new Uint8Array([0x4c, len, ...data]);
-  } else if (len <= 65535) {
-    return new Uint8Array([0x4d, len & 0xff, (len >> 8) & 0xff, ...data]);
-  }
-  throw new Error('Data too large for OP_RETURN');
+export async function buildRecordLockingScript(sdk: any, privKey: any, payload: OverlayPayload): Promise<any> {
+  const fields = [
+    sdk.Utils.toArray('clawdbot', 'utf8'),
+    sdk.Utils.toArray(JSON.stringify(payload), 'utf8'),
+  ];
+  return new sdk.PushDrop(new sdk.ProtoWallet(privKey)).lock(fields, TOKEN_PROTOCOL, TOKEN_KEY_ID, 'self', true, true);
 }
 
 /**
- * Build an OP_RETURN locking script with JSON payload.
+ * Unlocking script template for spending one of our record tokens.
  */
-export function buildOpReturnScript(payload: OverlayPayload): Uint8Array {
-  const jsonBytes = new TextEncoder().encode(JSON.stringify(payload));
-  const opReturn = 0x6a;
-  const protocolBytes = pushData(new TextEncoder().encode('clawdbot'));
-  const payloadBytes = pushData(jsonBytes);
-  return new Uint8Array([opReturn, ...protocolBytes, ...payloadBytes]);
+function tokenUnlocker(sdk: any, privKey: any, token: OverlayToken): any {
+  return new sdk.PushDrop(new sdk.ProtoWallet(privKey)).unlock(
+    TOKEN_PROTOCOL, TOKEN_KEY_ID, 'self', 'all', false, token.satoshis, sdk.LockingScript.fromHex(token.lockingScript));
 }
 
 /**
  * Build and submit an overlay transaction.
- * @param payload - JSON data to store in OP_RETURN
- * @param topic - Topic manager for submission
- * @returns Transaction result with txid and funding info
+ *
+ * The payload is signed with the identity key, together with a `sequence`
+ * (the publish time in ms) that grows with every republish, so readers can
+ * tell an old record re-broadcast by someone else from a new one. It is
+ * published as a PushDrop token, which stays discoverable
+ * until it's spent: pass the previous tokens of a record in `spend` to
+ * replace them, or a null payload to revoke them without a successor.
+ *
+ * The BRC-100 wallet funds it through createAction, so overlay records are
+ * paid from the same balance as everything else. Only if the wallet can't
+ * fund it are root-key funds it doesn't manage (UTXO pool change, address
+ * UTXOs not imported yet) spent directly.
+ * @param payload - JSON data for the record token, or null to only spend
+ * @param topic - Topic manager(s) for submission
+ * @param spend - Record tokens this transaction spends
+ * @returns Transaction result with txid, funding info and the new token
  */
 export async function buildRealOverlayTransaction(
-  payload: OverlayPayload,
-  topic: string
-): Promise<{ txid: string; funded: string; explorer: string }> {
+  payload: OverlayPayload | null,
+  topic: string | string[],
+  spend: OverlayToken[] = []
+): Promise<{ txid: string; funded: string; inputs: number; fee: FeeReport | null; token: OverlayToken | null; explorer: string }> {
   const sdk = await getSdk();
-  const identity = loadWalletIdentity();
-  const privKey = sdk.PrivateKey.fromHex(identity.rootKeyHex);
-  const { address, hash160 } = await deriveWalletAddress(privKey);
+  const privKey = sdk.PrivateKey.fromHex(loadWalletIdentity().rootKeyHex);
+  const lockingScript = payload
+    ? await buildRecordLockingScript(sdk, privKey, await signOverlayPayload(privKey, { ...payload, sequence: Date.now() }))
+    : null;
+  if (!lockingScript && spend.length === 0) {
+    throw new Error('Nothing to publish or spend');
+  }
 
-  const OP_RETURN_SATS = 1;
-  const MIN_CHANGE = 200;
-  const MAX_FEE = 100; // max fee we're willing to pay
-  const MIN_INPUT = OP_RETURN_SATS + MIN_CHANGE + MAX_FEE;
+  let built: BuiltOverlayTx;
+  try {
+    built = await buildWalletOverlayTx(sdk, privKey, lockingScript, spend);
+  } catch (err: any) {
+    if (!WALLET_UNFUNDED_ERROR.test(err.message || '')) throw err;
+    built = await buildRootKeyOverlayTx(sdk, privKey, lockingScript, spend);
+  }
 
-  // --- Fund the transaction ---
-  let sourceTx: any = null;
-  let sourceVout: number = 0;
-  let inputSats: number = 0;
-  let sourceChain: SourceChainEntry[] = [];
-  let usedStoredBeef = false;
-
-  // First, try stored BEEF change
-  const storedChange = loadStoredChange();
-  if (storedChange && storedChange.satoshis >= MIN_INPUT) {
+  // --- Submit to overlay ---
+  // Nothing has been broadcast yet: the previous tokens stay unspent until
+  // the overlay accepts their successor
+  try {
+    const submitResp = await fetch(`${CONFIG.OVERLAY_URL}/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        beef: sdk.Utils.toBase64(built.beef),
+        topics: Array.isArray(topic) ? topic : [topic],
+      }),
+    });
+
+    if (!submitResp.ok) {
+      const errText = await submitResp.text();
+      throw new Error(`Overlay submission failed: ${submitResp.status} — ${errText}`);
+    }
+  } catch (err) {
     try {
-      sourceTx = sdk.Transaction.fromHex(storedChange.txHex);
-      sourceVout = storedChange.vout;
-      inputSats = storedChange.satoshis;
-
-      // Reconstruct source chain for full BEEF
-      if (storedChange.sourceChain && storedChange.sourceChain.length > 0) {
-        let childTx = sourceTx;
-        for (const entry of storedChange.sourceChain) {
-          const srcTx = sdk.Transaction.fromHex(entry.txHex);
-          if (entry.merklePathHex) {
-            const mpBytes = entry.merklePathHex.match(/.{2}/g)!.map((h: string) => parseInt(h, 16));
-            srcTx.merklePath = sdk.MerklePath.fromBinary(mpBytes);
-          }
-          childTx.inputs[0].sourceTransaction = srcTx;
-          childTx = srcTx;
-        }
-        sourceChain = storedChange.sourceChain;
-      }
-      usedStoredBeef = true;
-    } catch {
-      // Fallback to WoC
+      await built.discard();
+    } catch (discardErr: any) {
+      console.error(`[overlay] Failed to release inputs of rejected transaction: ${discardErr.message}`);
     }
+    throw err;
   }
 
-  // If no stored BEEF, fetch from WoC
-  if (!sourceTx) {
-    const utxoResp = await wocFetch(`/address/${address}/unspent`);
-    if (!utxoResp.ok) {
-      throw new Error(`Failed to fetch UTXOs: ${utxoResp.status}`);
-    }
-    const utxos = await utxoResp.json();
-    const suitableUtxo = utxos.find((u: any) => u.value >= MIN_INPUT);
-    if (!suitableUtxo) {
-      throw new Error(`No suitable UTXO found. Need ≥ ${MIN_INPUT} sats. Fund address: ${address}`);
+  await built.settle();
+
+  // The record token is always output 0
+  const token: OverlayToken | null = lockingScript
+    ? { txid: built.txid, vout: 0, satoshis: TOKEN_SATS, lockingScript: lockingScript.toHex(), beefHex: sdk.Utils.toHex(built.beef) }
+    : null;
+
+  const wocNet = CONFIG.NETWORK === 'mainnet' ? '' : 'test.';
+  return {
+    txid: built.txid,
+    funded: built.funded,
+    inputs: built.inputs,
+    fee: built.fee,
+    token,
+    explorer: `https://${wocNet}whatsonchain.com/tx/${built.txid}`,
+  };
+}
+
+/**
+ * Fund the overlay transaction with the wallet's createAction. The wallet
+ * picks the funding inputs and keeps the change; its own fee model applies.
+ * Spent record tokens come first and are signed here with the
+ * identity-derived key. The action is created with noSend, so the wallet
+ * only sends it once the overlay has accepted it, and aborts it otherwise.
+ */
+async function buildWalletOverlayTx(
+  sdk: any,
+  privKey: any,
+  lockingScript: any | null,
+  spend: OverlayToken[]
+): Promise<BuiltOverlayTx> {
+  const BSVAgentWallet = await getBSVAgentWallet();
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
+
+  let txBytes: number[] | undefined;
+  let reference: string | undefined;
+  try {
+    const inputBEEF = new sdk.Beef();
+    for (const token of spend) {
+      inputBEEF.mergeBeef(sdk.Utils.toArray(token.beefHex, 'hex'));
     }
 
-    // Try WoC BEEF first
-    const beefBytes = await fetchBeefFromWoC(suitableUtxo.tx_hash);
-    if (beefBytes) {
-      const beef = sdk.Beef.fromBinary(Array.from(beefBytes));
-      const beefTx = beef.findTxid(suitableUtxo.tx_hash);
-      if (beefTx) {
-        sourceTx = beefTx.tx || beefTx._tx;
-        if (!sourceTx) {
-          throw new Error('BEEF tx object not found');
-        }
-        sourceVout = suitableUtxo.tx_pos;
-        inputSats = suitableUtxo.value;
+    const result = await wallet._setup.wallet.createAction({
+      description: lockingScript ? 'Publish overlay record' : 'Revoke overlay record',
+      ...(spend.length > 0 && {
+        inputBEEF: inputBEEF.toBinary(),
+        inputs: spend.map(token => ({
+          outpoint: `${token.txid}.${token.vout}`,
+          unlockingScriptLength: 73,
+          inputDescription: 'Previous overlay record',
+        })),
+      }),
+      outputs: lockingScript
+        ? [{ lockingScript: lockingScript.toHex(), satoshis: TOKEN_SATS, outputDescription: 'Agent overlay record' }]
+        : [],
+      options: {
+        randomizeOutputs: false,
+        noSend: true,
+      },
+    });
+
+    if (result.signableTransaction) {
+      const partial = sdk.Transaction.fromAtomicBEEF(result.signableTransaction.tx);
+      const spends: Record<number, { unlockingScript: string }> = {};
+      for (let i = 0; i < spend.length; i++) {
+        const unlockingScript = await tokenUnlocker(sdk, privKey, spend[i]).sign(partial, i);
+        spends[i] = { unlockingScript: unlockingScript.toHex() };
       }
+      const signed = await wallet._setup.wallet.signAction({
+        reference: result.signableTransaction.reference,
+        spends,
+        options: { noSend: true },
+      });
+      txBytes = signed.tx;
+      reference = result.signableTransaction.reference;
+    } else {
+      txBytes = result.tx;
     }
+  } finally {
+    await wallet.destroy();
+  }
 
-    if (!sourceTx) {
-      throw new Error(`Cannot obtain BEEF for UTXO ${suitableUtxo.tx_hash}. Transaction may be unconfirmed.`);
-    }
+  if (!txBytes) {
+    throw new Error('Wallet createAction returned no transaction');
   }
 
-  // --- Build the transaction ---
-  const tx = new sdk.Transaction();
-  tx.addInput({
-    sourceTransaction: sourceTx,
-    sourceOutputIndex: sourceVout,
-    unlockingScriptTemplate: new sdk.P2PKH().unlock(privKey),
-  });
+  const beef = Array.from(txBytes);
+  const tx = sdk.Transaction.fromAtomicBEEF(beef);
+  const txid = tx.id('hex');
 
-  // OP_RETURN output
-  const opReturnScript = buildOpReturnScript(payload);
-  tx.addOutput({
-    lockingScript: { toBinary: () => opReturnScript },
-    satoshis: OP_RETURN_SATS,
-  });
+  // Each step gets a fresh wallet; it is destroyed as soon as the step is done
+  const withWallet = async (fn: (wallet: any) => Promise<unknown>) => {
+    const w = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
+    try {
+      await fn(w._setup.wallet);
+    } finally {
+      await w.destroy();
+    }
+  };
 
-  // Change output
-  const estimatedSize = 148 + 34 + opReturnScript.length + 34 + 10;
-  const fee = Math.max(Math.ceil(estimatedSize / 1000), 1);
-  const changeAmount = inputSats - OP_RETURN_SATS - fee;
+  return {
+    txid,
+    beef,
+    funded: 'wallet',
+    inputs: tx.inputs.length,
+    fee: feeReportForTx(tx, 'wallet'),
+    settle: async () => {
+      // The overlay broadcasts what it accepts; sending it from the wallet as
+      // well marks the action done and its change spendable. Non-fatal.
+      try {
+        await withWallet(w => w.createAction({
+          description: 'Send overlay record',
+          options: { sendWith: [txid], acceptDelayedBroadcast: false },
+        }));
+      } catch (err: any) {
+        console.error(`[overlay] Failed to send accepted transaction from the wallet: ${err.message}`);
+      }
+    },
+    discard: () => withWallet(w => w.abortAction({ reference: reference ?? txid })),
+  };
+}
 
-  if (changeAmount >= MIN_CHANGE) {
-    tx.addOutput({
-      lockingScript: new sdk.P2PKH().lock(hash160),
-      satoshis: changeAmount,
-    });
-  }
+/**
+ * Fund the overlay transaction with the root key, from the UTXO pool,
+ * root-address outputs in the wallet and address UTXOs — as many inputs as
+ * it takes to cover the record token, fee and change.
+ */
+async function buildRootKeyOverlayTx(
+  sdk: any,
+  privKey: any,
+  lockingScript: any | null,
+  spend: OverlayToken[]
+): Promise<BuiltOverlayTx> {
+  const { address, hash160 } = await deriveWalletAddress(privKey);
 
-  // Sign
-  await tx.sign();
-  const txid = tx.id('hex');
-  const beefForOverlay = tx.toBEEF();
+  const MIN_CHANGE = 200;
 
-  // --- Submit to overlay ---
-  const submitResp = await fetch(`${OVERLAY_URL}/submit`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      beef: sdk.Utils.toBase64(beefForOverlay),
-      topics: [topic],
-    }),
-  });
+  const outputSats = lockingScript ? TOKEN_SATS : 0;
+  const spentSats = spend.reduce((sum, t) => sum + t.satoshis, 0);
+  const outputScriptLengths = lockingScript ? [lockingScript.toBinary().length, 25] : [25];
+  const feeRate = await getFeeRate();
+  const feeFor = (inputCount: number) =>
+    feeForSize(estimateP2PKHTxSize(inputCount + spend.length, outputScriptLengths), feeRate.satsPerKb);
 
-  if (!submitResp.ok) {
-    const errText = await submitResp.text();
-    throw new Error(`Overlay submission failed: ${submitResp.status} — ${errText}`);
+  // --- Fund the transaction ---
+  await migrateLegacyChange();
+  const coins = await gatherSpendableCoins(sdk, address, hash160, listPoolUtxos());
+  if (coins.length === 0) {
+    throw new Error(`No spendable funds found. Fund address: ${address}`);
   }
+  const selected = await selectAndLoadCoins(coins, n => outputSats + MIN_CHANGE + feeFor(n) - spentSats);
 
-  // --- Save change for next tx ---
-  if (changeAmount >= MIN_CHANGE) {
-    const newSourceChain: SourceChainEntry[] = [{ txHex: sourceTx.toHex(), txid: sourceTx.id('hex') }];
-    if (!usedStoredBeef) {
-      // First tx in chain — try to add merkle proof from WoC
-      try {
-        const proofResp = await wocFetch(`/tx/${sourceTx.id('hex')}/proof/tsc`, {}, 1, 5000);
-        if (proofResp.ok) {
-          const proofData = await proofResp.json();
-          if (Array.isArray(proofData) && proofData.length > 0) {
-            const proof = proofData[0];
-            const { buildMerklePathFromTSC } = await import('../utils/merkle.js');
-            const mp = await buildMerklePathFromTSC(sourceTx.id('hex'), proof.index, proof.nodes, proof.blockHeight || 0);
-            newSourceChain[0].merklePathHex = Array.from(mp.toBinary()).map((b: number) => b.toString(16).padStart(2, '0')).join('');
-            newSourceChain[0].blockHeight = proof.blockHeight;
-          }
-        }
-      } catch {
-        // Non-fatal
-      }
-    } else {
-      newSourceChain.push(...sourceChain);
-    }
-
-    saveStoredChange({
-      txHex: tx.toHex(),
-      txid,
-      vout: 1, // change is output index 1
-      satoshis: changeAmount,
-      sourceChain: newSourceChain.slice(0, 10), // limit chain depth
-      savedAt: new Date().toISOString(),
+  // --- Build the transaction ---
+  const tx = new sdk.Transaction();
+  for (const token of spend) {
+    tx.addInput({
+      sourceTransaction: sdk.Transaction.fromHexBEEF(token.beefHex, token.txid),
+      sourceOutputIndex: token.vout,
+      unlockingScriptTemplate: tokenUnlocker(sdk, privKey, token),
+    });
+  }
+  for (const coin of selected) {
+    tx.addInput({
+      sourceTransaction: coin.sourceTx,
+      sourceOutputIndex: coin.vout,
+      unlockingScriptTemplate: new sdk.P2PKH().unlock(privKey),
     });
-  } else {
-    deleteStoredChange();
   }
 
-  const wocNet = NETWORK === 'mainnet' ? '' : 'test.';
+  // Record token
+  if (lockingScript) {
+    tx.addOutput({ lockingScript, satoshis: TOKEN_SATS });
+  }
+
+  // Change output, sized once the fee for the signed tx is known
+  const changeIndex = tx.outputs.length;
+  tx.addOutput({
+    lockingScript: new sdk.P2PKH().lock(hash160),
+    satoshis: 0,
+  });
+
+  // Sign
+  const { change: changeAmount, ...fee } = await signWithFee(tx, { rate: feeRate, changeIndex, minChange: MIN_CHANGE });
+  const txid = tx.id('hex');
+  const beef = tx.toBEEF();
+
+  const sources = [...new Set(selected.map(c => (c.source === 'chain' ? getChainProvider().name : c.source)))];
   return {
     txid,
-    funded: usedStoredBeef ? 'stored-beef' : 'woc',
-    explorer: `https://${wocNet}whatsonchain.com/tx/${txid}`,
+    beef,
+    funded: sources.join('+'),
+    inputs: tx.inputs.length,
+    fee,
+    settle: async () => {
+      // Wallet-tracked inputs are now spent; non-fatal if the wallet can't be told
+      try {
+        await relinquishWalletOutputs(selected);
+      } catch (err: any) {
+        console.error(`[overlay] Failed to release spent wallet outputs: ${err.message}`);
+      }
+
+      // The change BEEF carries every input's ancestry, however many there were
+      await markPoolSpent(selected, txid);
+      if (changeAmount >= MIN_CHANGE) {
+        await addPoolUtxos(txid, sdk.Utils.toHex(beef), [{ vout: changeIndex, satoshis: changeAmount }]);
+      }
+    },
+    // Nothing was recorded as spent before submitting
+    discard: async () => {},
   };
 }
 
@@ -252,7 +408,7 @@ export async function lookupOverlay(
   service: string,
   query: Record<string, unknown>
 ): Promise<any> {
-  const resp = await fetch(`${OVERLAY_URL}/lookup`, {
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/lookup`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ service, query }),
@@ -267,7 +423,7 @@ export async function lookupOverlay(
 }
 
 /**
- * Parse an overlay output from BEEF data.
+ * Parse an overlay record (PushDrop token or legacy OP_RETURN) from BEEF data.
  */
 export async function parseOverlayOutput(
   beefBase64: string | Uint8Array,
@@ -285,9 +441,14 @@ export async function parseOverlayOutput(
     if (!output) return null;
 
     const script = output.lockingScript.toBinary();
-    if (script[0] !== 0x6a) return null; // Not OP_RETURN
+    if (script[0] !== 0x6a) {
+      // Record token: the protocol tag and JSON payload are its PushDrop fields
+      const { fields } = sdk.PushDrop.decode(output.lockingScript);
+      if (fields.length < 2 || sdk.Utils.toUTF8(fields[0]) !== 'clawdbot') return null;
+      return JSON.parse(sdk.Utils.toUTF8(fields[1]));
+    }
 
-    // Parse PUSHDATA opcodes to extract JSON
+    // Legacy OP_RETURN record: parse PUSHDATA opcodes to extract JSON
     let offset = 1;
     const readPush = (): Uint8Array | null => {
       if (offset >= script.length) return null;
@@ -8,7 +8,8 @@
  * - Uses noSend: true (recipient broadcasts via acceptPayment())
  */
 
-import { NETWORK, WALLET_DIR } from '../config.js';
+import { CONFIG } from '../config.js';
+import { feePaidFromBeef } from '../utils/fees.js';
 import type { PaymentResult, PaymentParams } from './types.js';
 
 // Dynamic import for BSVAgentWallet
@@ -71,7 +72,7 @@ export async function buildDirectPayment(
   }
 
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
 
   try {
     const result = await wallet.createPayment({
@@ -88,6 +89,7 @@ export async function buildDirectPayment(
       derivationPrefix: result.derivationPrefix,
       derivationSuffix: result.derivationSuffix,
       senderIdentityKey: result.senderIdentityKey,
+      fee: await feePaidFromBeef(result.beef),
     };
   } finally {
     await wallet.destroy();
@@ -2,8 +2,8 @@
  * Payment CLI commands: pay, verify, accept.
  */
 
-import { NETWORK, WALLET_DIR } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, PATHS } from '../config.js';
+import { appendToJsonl } from '../utils/storage.js';
 import { buildDirectPayment } from './build.js';
 
 // Dynamic import for BSVAgentWallet
@@ -42,48 +42,49 @@ async function getBSVAgentWallet(): Promise<any> {
 }
 
 /**
- * Pay command: send satoshis to another agent.
+ * Pay command: send satoshis to another agent. The payment is recorded in the
+ * sent-payments log for reports.
  */
 export async function cmdPay(
   pubkey: string | undefined,
   satoshis: string | undefined,
   description?: string
-): Promise<never> {
+) {
   if (!pubkey || !satoshis) {
-    return fail('Usage: pay <pubkey> <satoshis> [description]');
+    throw new Error('Usage: pay <pubkey> <satoshis> [description]');
   }
 
   const sats = parseInt(satoshis, 10);
   if (isNaN(sats) || sats <= 0) {
-    return fail('satoshis must be a positive integer');
+    throw new Error('satoshis must be a positive integer');
   }
 
-  try {
-    const payment = await buildDirectPayment(pubkey, sats, description || 'agent payment');
-    return ok(payment);
-  } catch (err) {
-    return fail(err instanceof Error ? err.message : String(err));
-  }
+  const payment = await buildDirectPayment(pubkey, sats, description || 'agent payment');
+  await appendToJsonl(PATHS.sentPayments, {
+    ts: Date.now(),
+    to: pubkey,
+    sats: payment.satoshis,
+    txid: payment.txid,
+    description: description || null,
+  });
+  return payment;
 }
 
 /**
  * Verify command: verify an incoming payment BEEF.
  */
-export async function cmdVerify(beefBase64: string | undefined): Promise<never> {
+export async function cmdVerify(beefBase64: string | undefined) {
   if (!beefBase64) {
-    return fail('Usage: verify <beef_base64>');
+    throw new Error('Usage: verify <beef_base64>');
   }
 
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
 
   try {
-    const result = wallet.verifyPayment({ beef: beefBase64 });
+    return wallet.verifyPayment({ beef: beefBase64 });
+  } finally {
     await wallet.destroy();
-    return ok(result);
-  } catch (err) {
-    await wallet.destroy();
-    return fail(err instanceof Error ? err.message : String(err));
   }
 }
 
@@ -96,26 +97,23 @@ export async function cmdAccept(
   derivationSuffix: string | undefined,
   senderIdentityKey: string | undefined,
   description?: string
-): Promise<never> {
+) {
   if (!beef || !derivationPrefix || !derivationSuffix || !senderIdentityKey) {
-    return fail('Usage: accept <beef> <prefix> <suffix> <senderKey> [description]');
+    throw new Error('Usage: accept <beef> <prefix> <suffix> <senderKey> [description]');
   }
 
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
 
   try {
-    const receipt = await wallet.acceptPayment({
+    return await wallet.acceptPayment({
       beef,
       derivationPrefix,
       derivationSuffix,
       senderIdentityKey,
       description: description || undefined,
     });
+  } finally {
     await wallet.destroy();
-    return ok(receipt);
-  } catch (err) {
-    await wallet.destroy();
-    return fail(err instanceof Error ? err.message : String(err));
   }
 }
@@ -5,3 +5,4 @@
 export * from './types.js';
 export * from './build.js';
 export * from './commands.js';
+export * from './report.js';
@@ -0,0 +1,192 @@
+/**
+ * Spending and earnings report command.
+ *
+ * Outgoing payments come from the records every payment path writes — the
+ * request ledger for paid service requests and the sent-payments log for
+ * direct payments — whether made from the CLI or the plugin. Incoming
+ * service payments come from the service queue.
+ */
+
+import { PATHS } from '../config.js';
+import { readJsonl, loadRequestLedger } from '../utils/storage.js';
+
+type GroupBy = 'service' | 'provider' | 'requester';
+
+/** Service name reported for direct payments */
+const DIRECT_PAYMENT = 'direct-payment';
+
+interface ReportRow {
+  direction: 'outgoing' | 'incoming';
+  timestamp: string;
+  sats: number;
+  service: string;
+  /** Who was paid — 'self' for incoming payments */
+  provider: string;
+  /** Who paid — 'self' for outgoing payments */
+  requester: string;
+  refunded: boolean;
+  requestId: string | null;
+  txid: string | null;
+}
+
+interface ReportGroup {
+  key: string;
+  spentSats: number;
+  earnedSats: number;
+  /** Outgoing payments the provider refunded to us */
+  refundsReceivedSats: number;
+  /** Incoming payments we refunded */
+  refundsPaidSats: number;
+  netSats: number;
+  outgoingCount: number;
+  incomingCount: number;
+}
+
+/**
+ * Parse a --from/--to bound. Bare dates cover the whole UTC day, so
+ * `--to 2024-05-31` includes payments made on the 31st.
+ */
+function parseBound(value: string, endOfDay: boolean): number {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return ms + 24 * 60 * 60 * 1000 - 1;
+  return ms;
+}
+
+function csvCell(value: unknown): string {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns: string[], rows: Record<string, unknown>[]): string {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Report command: aggregate outgoing and incoming payments over a date range.
+ * Flags: --from <date> --to <date> --group-by service|provider|requester --format json|csv
+ */
+export async function cmdReport(args: string[]) {
+  let from = 0;
+  let to = Number.MAX_SAFE_INTEGER;
+  let groupBy: GroupBy | null = null;
+  let format: 'json' | 'csv' = 'json';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from' && args[i + 1]) from = parseBound(args[++i], false);
+    else if (args[i] === '--to' && args[i + 1]) to = parseBound(args[++i], true);
+    else if (args[i] === '--group-by' && args[i + 1]) {
+      const value = args[++i];
+      if (value !== 'service' && value !== 'provider' && value !== 'requester') {
+        throw new Error('--group-by must be one of: service, provider, requester');
+      }
+      groupBy = value;
+    } else if (args[i] === '--format' && args[i + 1]) {
+      const value = args[++i];
+      if (value !== 'json' && value !== 'csv') throw new Error('--format must be json or csv');
+      format = value;
+    }
+  }
+
+  const inRange = (ts: number) => ts >= from && ts <= to;
+  const rows: ReportRow[] = [];
+
+  for (const entry of loadRequestLedger()) {
+    const ts = Date.parse(entry.sentAt);
+    if (!entry.satsPaid || !Number.isFinite(ts) || !inRange(ts)) continue;
+    rows.push({
+      direction: 'outgoing',
+      timestamp: new Date(ts).toISOString(),
+      sats: entry.satsPaid,
+      service: entry.serviceId || 'unknown',
+      provider: entry.provider || 'unknown',
+      requester: 'self',
+      refunded: entry.refundStatus === 'refunded' || entry.status === 'refunded',
+      requestId: entry.requestId || null,
+      txid: entry.paymentTxid || null,
+    });
+  }
+
+  for (const payment of readJsonl<any>(PATHS.sentPayments)) {
+    if (!payment.ts || !inRange(payment.ts) || !payment.sats) continue;
+    rows.push({
+      direction: 'outgoing',
+      timestamp: new Date(payment.ts).toISOString(),
+      sats: payment.sats,
+      service: DIRECT_PAYMENT,
+      provider: payment.to || 'unknown',
+      requester: 'self',
+      refunded: false,
+      requestId: null,
+      txid: payment.txid || null,
+    });
+  }
+
+  for (const entry of readJsonl<any>(PATHS.serviceQueue)) {
+    if (!entry._ts || !inRange(entry._ts) || !entry.satoshisReceived) continue;
+    rows.push({
+      direction: 'incoming',
+      timestamp: new Date(entry._ts).toISOString(),
+      sats: entry.satoshisReceived,
+      service: entry.serviceId || 'unknown',
+      provider: 'self',
+      requester: entry.from || 'unknown',
+      refunded: entry.status === 'refunded',
+      requestId: entry.requestId || null,
+      txid: entry.paymentTxid || null,
+    });
+  }
+
+  rows.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  // Refunded payments went back to the payer, so they count as neither
+  // spent nor earned; they are totalled in the refund columns instead
+  const tally = (total: Omit<ReportGroup, 'key'>, row: ReportRow) => {
+    if (row.direction === 'outgoing' && row.refunded) {
+      total.refundsReceivedSats += row.sats;
+    } else if (row.direction === 'outgoing') {
+      total.spentSats += row.sats;
+      total.outgoingCount++;
+    } else if (row.refunded) {
+      total.refundsPaidSats += row.sats;
+    } else {
+      total.earnedSats += row.sats;
+      total.incomingCount++;
+    }
+    total.netSats = total.earnedSats - total.spentSats;
+  };
+  const emptyTotals = () => ({ spentSats: 0, earnedSats: 0, refundsReceivedSats: 0, refundsPaidSats: 0, netSats: 0, outgoingCount: 0, incomingCount: 0 });
+
+  const totals = emptyTotals();
+  for (const row of rows) tally(totals, row);
+
+  let groups: ReportGroup[] | null = null;
+  if (groupBy) {
+    const byKey = new Map<string, ReportGroup>();
+    for (const row of rows) {
+      const key = row[groupBy];
+      const group = byKey.get(key) || { key, ...emptyTotals() };
+      tally(group, row);
+      byKey.set(key, group);
+    }
+    groups = [...byKey.values()].sort((a, b) => (b.spentSats + b.earnedSats) - (a.spentSats + a.earnedSats));
+  }
+
+  const range = {
+    from: from > 0 ? new Date(from).toISOString() : null,
+    to: to < Number.MAX_SAFE_INTEGER ? new Date(to).toISOString() : null,
+  };
+
+  if (format === 'csv') {
+    const csv = groups
+      ? toCsv(['key', 'spentSats', 'earnedSats', 'refundsReceivedSats', 'refundsPaidSats', 'netSats', 'outgoingCount', 'incomingCount'], groups as unknown as Record<string, unknown>[])
+      : toCsv(['timestamp', 'direction', 'service', 'provider', 'requester', 'sats', 'refunded', 'requestId', 'txid'], rows as unknown as Record<string, unknown>[]);
+    return { format: 'csv', range, groupBy, totals, csv };
+  }
+
+  return { format: 'json', range, groupBy, totals, ...(groups ? { groups } : { payments: rows }) };
+}
@@ -15,6 +15,8 @@ export interface PaymentResult {
   derivationSuffix: string;
   /** Sender's identity key (compressed hex) - needed by recipient */
   senderIdentityKey: string;
+  /** Fee paid in satoshis, or null if it couldn't be computed from the BEEF */
+  fee?: number | null;
 }
 
 export interface PaymentParams {
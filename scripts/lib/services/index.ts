@@ -5,3 +5,7 @@
 export * from './request.js';
 export * from './respond.js';
 export * from './queue.js';
+export * from './refund.js';
+export * from './quotes.js';
+export * from './ledger.js';
+export * from './reputation.js';
@@ -0,0 +1,46 @@
+/**
+ * Outgoing request ledger commands.
+ */
+
+import { loadRequestLedger } from '../utils/storage.js';
+
+/**
+ * My-requests command: list service requests we have sent, newest first.
+ */
+export async function cmdMyRequests(args: string[]) {
+  let statusFilter: string | null = null;
+  let serviceFilter: string | null = null;
+  let providerFilter: string | null = null;
+  let limit = 20;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--status' && args[i + 1]) statusFilter = args[++i];
+    else if (args[i] === '--service' && args[i + 1]) serviceFilter = args[++i];
+    else if (args[i] === '--provider' && args[i + 1]) providerFilter = args[++i];
+    else if (args[i] === '--limit' && args[i + 1]) limit = parseInt(args[++i], 10) || limit;
+  }
+
+  const ledger = loadRequestLedger();
+  const matching = ledger
+    .filter(e => !statusFilter || e.status === statusFilter)
+    .filter(e => !serviceFilter || e.serviceId === serviceFilter)
+    .filter(e => !providerFilter || e.provider === providerFilter)
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+
+  const summary = { sent: 0, fulfilled: 0, rejected: 0, refunded: 0, awaitingResponse: 0, totalSatsPaid: 0 };
+  for (const entry of matching) {
+    summary.sent++;
+    summary.totalSatsPaid += entry.satsPaid || 0;
+    if (entry.status === 'fulfilled') summary.fulfilled++;
+    else if (entry.status === 'rejected') summary.rejected++;
+    else if (entry.status === 'refunded') summary.refunded++;
+    else if (!entry.responseAt) summary.awaitingResponse++;
+  }
+
+  return {
+    requests: matching.slice(0, limit),
+    count: Math.min(matching.length, limit),
+    total: matching.length,
+    summary,
+  };
+}
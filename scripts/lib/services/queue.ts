@@ -4,32 +4,31 @@
 
 import fs from 'node:fs';
 import { PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
 import { readJsonl } from '../utils/storage.js';
 
 /**
  * Service queue command: list pending service requests.
  */
-export async function cmdServiceQueue(): Promise<never> {
+export async function cmdServiceQueue() {
   if (!fs.existsSync(PATHS.serviceQueue)) {
-    return ok({ pending: [], count: 0 });
+    return { pending: [], count: 0 };
   }
 
   const entries = readJsonl<any>(PATHS.serviceQueue);
   const pending = entries.filter(e => e.status === 'pending');
 
-  return ok({ pending, count: pending.length, total: entries.length });
+  return { pending, count: pending.length, total: entries.length };
 }
 
 /**
  * Research queue command: list pending research requests.
  */
-export async function cmdResearchQueue(): Promise<never> {
+export async function cmdResearchQueue() {
   if (!fs.existsSync(PATHS.researchQueue)) {
-    return ok({ pending: [] });
+    return { pending: [] };
   }
 
   const entries = readJsonl<any>(PATHS.researchQueue);
 
-  return ok({ pending: entries, count: entries.length });
+  return { pending: entries, count: entries.length };
 }
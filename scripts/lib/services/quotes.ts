@@ -0,0 +1,293 @@
+/**
+ * Per-request price quotes.
+ *
+ * A requester sends a `service-quote-request` with the input it wants served.
+ * The provider answers with a `service-quote`: a price for exactly that input,
+ * signed with its identity key and valid for QUOTE_TTL_SECONDS. The requester
+ * then pays the quoted amount in a service request that references the quote
+ * ID, and the provider accepts it once, for the same requester, service and
+ * input, before it expires.
+ */
+
+import crypto from 'node:crypto';
+import { CONFIG, PATHS } from '../config.js';
+import { loadIdentity, signRelayMessage, signOverlayPayload, verifyOverlayPayload, canonicalJsonHash } from '../wallet/identity.js';
+import { loadQuotes, updateQuotes } from '../utils/storage.js';
+import { servicePricing, priceForInput } from '../utils/pricing.js';
+import type { ServiceAdvertisement, ServiceQuote, StoredQuote } from '../types.js';
+
+/** Quotes are kept this long after they expire, then pruned. */
+const EXPIRED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checking a request's payment takes far less than this. A reservation this
+ * old was left by a process that died mid-check, and the quote is open again.
+ */
+const RESERVATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+function isReservationLive(entry: StoredQuote, now = Date.now()): boolean {
+  return entry.status === 'reserved' && now - Date.parse(entry.reservedAt ?? '') < RESERVATION_TIMEOUT_MS;
+}
+
+function isExpired(quote: ServiceQuote, now = Date.now()): boolean {
+  return Date.parse(quote.expiresAt) <= now;
+}
+
+/**
+ * Add a quote to a store, pruning long-expired ones.
+ */
+async function storeQuote(filePath: string, quote: ServiceQuote, quoteRequestId: string): Promise<void> {
+  await updateQuotes(filePath, quotes => {
+    const now = Date.now();
+    for (const [id, entry] of Object.entries(quotes)) {
+      if (now - Date.parse(entry.quote.expiresAt) > EXPIRED_RETENTION_MS) delete quotes[id];
+    }
+    quotes[quote.quoteId] = { quote, quoteRequestId, status: 'open', usedAt: null, requestId: null };
+  });
+}
+
+async function markQuoteUsed(filePath: string, quoteId: string, requestId: string | null): Promise<void> {
+  await updateQuotes(filePath, quotes => {
+    const entry = quotes[quoteId];
+    if (!entry) return;
+    entry.status = 'used';
+    entry.usedAt = new Date().toISOString();
+    entry.requestId = requestId;
+  });
+}
+
+/**
+ * Why a quote can't be used for a request, or null if it can.
+ * @param expected.inputHash - canonicalJsonHash of the request input
+ */
+function quoteMismatch(
+  entry: StoredQuote | undefined,
+  expected: { provider: string; requester: string; serviceId: string; inputHash: string }
+): string | null {
+  if (!entry) return 'unknown quote';
+  const { quote } = entry;
+  if (entry.status === 'used') return 'quote already used';
+  if (isReservationLive(entry)) return 'quote is being redeemed by another request';
+  if (isExpired(quote)) return `quote expired at ${quote.expiresAt}`;
+  if (quote.identityKey !== expected.provider) return 'quote was issued by a different provider';
+  if (quote.requester !== expected.requester) return 'quote was issued to a different requester';
+  if (quote.serviceId !== expected.serviceId) return `quote is for service ${quote.serviceId}`;
+  if (quote.inputHash !== expected.inputHash) return 'quote was issued for a different input';
+  return null;
+}
+
+/**
+ * Price of a service for a given input under its pricing model.
+ */
+export function quoteAmount(service: ServiceAdvertisement, input: unknown): number {
+  return priceForInput(servicePricing(service), input);
+}
+
+// ── Provider side ────────────────────────────────────────────────────────────
+
+/**
+ * Issue a signed quote for a requester's input and record it as open.
+ */
+export async function issueQuote(
+  privKey: any,
+  identityKey: string,
+  requester: string,
+  service: ServiceAdvertisement,
+  input: unknown,
+  quoteRequestId: string
+): Promise<ServiceQuote> {
+  const issuedAt = new Date();
+  const quote = await signOverlayPayload(privKey, {
+    quoteId: crypto.randomBytes(16).toString('hex'),
+    serviceId: service.serviceId,
+    identityKey,
+    requester,
+    amountSats: quoteAmount(service, input),
+    inputHash: await canonicalJsonHash(input ?? {}),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + CONFIG.QUOTE_TTL_SECONDS * 1000).toISOString(),
+  });
+  await storeQuote(PATHS.issuedQuotes, quote, quoteRequestId);
+  return quote;
+}
+
+/**
+ * Check a quote referenced by an incoming service request and, if it can be
+ * honoured, reserve it for that request under the store's lock, so two
+ * requests can't both pay with it. The reservation must be redeemed or
+ * released once the payment is settled; one that is neither (the process
+ * died) lapses after RESERVATION_TIMEOUT_MS.
+ * @returns The quote, or the reason it can't be honoured
+ */
+export async function claimIssuedQuote(
+  quoteId: string,
+  identityKey: string,
+  requester: string,
+  serviceId: string,
+  input: unknown,
+  requestId: string
+): Promise<{ quote: ServiceQuote } | { error: string }> {
+  const inputHash = await canonicalJsonHash(input ?? {});
+  let result: { quote: ServiceQuote } | { error: string } = { error: 'unknown quote' };
+  await updateQuotes(PATHS.issuedQuotes, quotes => {
+    const entry = quotes[quoteId];
+    const error = quoteMismatch(entry, { provider: identityKey, requester, serviceId, inputHash });
+    if (error) {
+      result = { error };
+      return;
+    }
+    entry.status = 'reserved';
+    entry.reservedAt = new Date().toISOString();
+    entry.requestId = requestId;
+    result = { quote: entry.quote };
+  });
+  return result;
+}
+
+/**
+ * Mark an issued quote as paid by the service request that reserved it.
+ */
+export async function redeemIssuedQuote(quoteId: string, requestId: string): Promise<void> {
+  await markQuoteUsed(PATHS.issuedQuotes, quoteId, requestId);
+}
+
+/**
+ * Reopen an issued quote reserved by a service request whose payment failed.
+ */
+export async function releaseIssuedQuote(quoteId: string, requestId: string): Promise<void> {
+  await updateQuotes(PATHS.issuedQuotes, quotes => {
+    const entry = quotes[quoteId];
+    if (!entry || entry.status !== 'reserved' || entry.requestId !== requestId) return;
+    entry.status = 'open';
+    entry.reservedAt = null;
+    entry.requestId = null;
+  });
+}
+
+// ── Requester side ───────────────────────────────────────────────────────────
+
+/**
+ * Verify and store a quote received from a provider.
+ * @returns null if stored, otherwise why it was refused
+ */
+export async function acceptReceivedQuote(
+  quote: ServiceQuote | undefined,
+  provider: string,
+  identityKey: string,
+  quoteRequestId: string
+): Promise<string | null> {
+  if (!quote || typeof quote.quoteId !== 'string') return 'malformed quote';
+  if (!Number.isSafeInteger(quote.amountSats) || quote.amountSats <= 0) return 'quote amount is not a positive whole number of sats';
+  if (Number.isNaN(Date.parse(quote.expiresAt))) return 'quote has no valid expiry';
+  if (isExpired(quote)) return `quote expired at ${quote.expiresAt}`;
+  if (quote.identityKey !== provider) return 'quote not issued by the sender';
+  if (quote.requester !== identityKey) return 'quote not issued to us';
+  const check = await verifyOverlayPayload(quote as unknown as Record<string, unknown>);
+  if (!check.valid) return `invalid quote signature (${check.reason})`;
+  await storeQuote(PATHS.receivedQuotes, quote, quoteRequestId);
+  return null;
+}
+
+/**
+ * A received quote that can pay for this request. Throws if it can't.
+ */
+export async function takeReceivedQuote(
+  quoteId: string,
+  provider: string,
+  identityKey: string,
+  serviceId: string,
+  input: unknown
+): Promise<ServiceQuote> {
+  const entry = loadQuotes(PATHS.receivedQuotes)[quoteId];
+  const inputHash = await canonicalJsonHash(input ?? {});
+  const error = quoteMismatch(entry, { provider, requester: identityKey, serviceId, inputHash });
+  if (error) throw new Error(`Cannot use quote ${quoteId}: ${error}`);
+  return entry.quote;
+}
+
+/**
+ * Mark a received quote as paid by the service request we sent.
+ */
+export async function useReceivedQuote(quoteId: string, requestId: string | null): Promise<void> {
+  await markQuoteUsed(PATHS.receivedQuotes, quoteId, requestId);
+}
+
+/**
+ * Quote request command: ask a provider to price a service for this input.
+ * The quote arrives as a service-quote relay message and is listed by `quotes`.
+ */
+export async function cmdRequestQuote(
+  targetKey: string | undefined,
+  serviceId: string | undefined,
+  inputJsonStr?: string
+) {
+  if (!targetKey || !serviceId) {
+    throw new Error('Usage: request-quote <identityKey> <serviceId> [inputJson]');
+  }
+
+  if (!/^0[23][0-9a-fA-F]{64}$/.test(targetKey)) {
+    throw new Error('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
+  }
+
+  let inputData: unknown = null;
+  if (inputJsonStr) {
+    try {
+      inputData = JSON.parse(inputJsonStr);
+    } catch {
+      throw new Error('inputJson must be valid JSON');
+    }
+  }
+
+  const { identityKey, privKey } = await loadIdentity();
+
+  const quotePayload = {
+    serviceId,
+    ...(inputData ? { input: inputData } : {}),
+    requestedAt: new Date().toISOString(),
+  };
+
+  const signature = await signRelayMessage(privKey, targetKey, 'service-quote-request', quotePayload);
+
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      from: identityKey,
+      to: targetKey,
+      type: 'service-quote-request',
+      payload: quotePayload,
+      signature,
+    }),
+  });
+
+  if (!resp.ok) {
+    const body = await resp.text();
+    throw new Error(`Relay send failed (${resp.status}): ${body}`);
+  }
+
+  const result = await resp.json();
+
+  return {
+    sent: true,
+    quoteRequestId: result.id,
+    to: targetKey,
+    serviceId,
+    note: 'The provider replies with a service-quote message; pay it with request-service --quote <quoteId>',
+  };
+}
+
+/**
+ * Quotes command: list received quotes that can still be paid (--all
+ * includes used and expired ones).
+ */
+export async function cmdQuotes(args: string[]) {
+  const now = Date.now();
+  const all = Object.values(loadQuotes(PATHS.receivedQuotes))
+    .sort((a, b) => b.quote.issuedAt.localeCompare(a.quote.issuedAt));
+  const open = all.filter(e => e.status === 'open' && !isExpired(e.quote, now));
+  const quotes = (args.includes('--all') ? all : open).map(e => ({
+    ...e,
+    expired: isExpired(e.quote, now),
+  }));
+  return { quotes, count: quotes.length, open: open.length };
+}
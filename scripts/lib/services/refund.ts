@@ -0,0 +1,73 @@
+/**
+ * Refund request command.
+ */
+
+import { CONFIG } from '../config.js';
+import { loadIdentity, signRelayMessage } from '../wallet/identity.js';
+import { loadRequestLedger, updateRequestLedger } from '../utils/storage.js';
+import { recordRequestOutcome } from './reputation.js';
+
+/**
+ * Refund request command: ask a provider to return the payment for a
+ * service request it never fulfilled.
+ */
+export async function cmdRefundRequest(
+  targetKey: string | undefined,
+  requestId: string | undefined,
+  serviceId?: string,
+  reason?: string
+) {
+  if (!targetKey || !requestId) {
+    throw new Error('Usage: refund-request <identityKey> <requestId> [serviceId] [reason]');
+  }
+
+  if (!/^0[23][0-9a-fA-F]{64}$/.test(targetKey)) {
+    throw new Error('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
+  }
+
+  const { identityKey, privKey } = await loadIdentity();
+
+  const refundPayload = {
+    requestId,
+    ...(serviceId ? { serviceId } : {}),
+    reason: reason || 'No response received',
+    requestedAt: new Date().toISOString(),
+  };
+
+  const signature = await signRelayMessage(privKey, targetKey, 'refund-request', refundPayload);
+
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      from: identityKey,
+      to: targetKey,
+      type: 'refund-request',
+      payload: refundPayload,
+      signature,
+    }),
+  });
+
+  if (!resp.ok) {
+    const body = await resp.text();
+    throw new Error(`Relay send failed (${resp.status}): ${body}`);
+  }
+
+  const result = await resp.json();
+
+  // Asking for a refund means the provider never answered
+  const entry = loadRequestLedger().find(e => e.requestId === requestId);
+  if (entry && !entry.responseAt && !entry.refundStatus) {
+    await recordRequestOutcome(targetKey, 'no-response');
+  }
+  await updateRequestLedger(requestId, { refundStatus: 'requested' });
+
+  return {
+    sent: true,
+    messageId: result.id,
+    requestId,
+    serviceId: serviceId || null,
+    to: targetKey,
+    note: 'The provider replies with a refund message carrying the returned payment',
+  };
+}
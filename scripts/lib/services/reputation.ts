@@ -0,0 +1,112 @@
+/**
+ * Provider reputation tracking from observed request outcomes.
+ */
+
+import { loadReputation, updateReputation } from '../utils/storage.js';
+import type { ProviderReputation } from '../types.js';
+
+export type RequestOutcome = 'fulfilled' | 'rejected' | 'no-response';
+
+export interface ReputationSummary {
+  /** 0–1 estimate of the chance a paid request gets fulfilled */
+  score: number;
+  /** False until at least one outcome has been observed */
+  rated: boolean;
+  requests: number;
+  fulfilled: number;
+  rejected: number;
+  noResponse: number;
+  avgLatencyMs: number | null;
+  totalSatsSpent: number;
+}
+
+function emptyRecord(identityKey: string): ProviderReputation {
+  return {
+    identityKey,
+    requests: 0,
+    fulfilled: 0,
+    rejected: 0,
+    noResponse: 0,
+    totalLatencyMs: 0,
+    latencySamples: 0,
+    totalSatsSpent: 0,
+    lastRequestAt: null,
+    lastOutcomeAt: null,
+  };
+}
+
+/**
+ * Record that we sent (and paid for) a request to a provider.
+ */
+export async function recordRequestSent(identityKey: string, sats: number): Promise<void> {
+  await updateReputation(records => {
+    const rec = records[identityKey] || emptyRecord(identityKey);
+    rec.requests++;
+    rec.totalSatsSpent += sats;
+    rec.lastRequestAt = new Date().toISOString();
+    records[identityKey] = rec;
+  });
+}
+
+/**
+ * Record how a provider handled one of our requests.
+ * @param latencyMs - Time from sending the request to receiving the response
+ */
+export async function recordRequestOutcome(identityKey: string, outcome: RequestOutcome, latencyMs?: number): Promise<void> {
+  await updateReputation(records => {
+    const rec = records[identityKey] || emptyRecord(identityKey);
+    if (outcome === 'fulfilled') rec.fulfilled++;
+    else if (outcome === 'rejected') rec.rejected++;
+    else rec.noResponse++;
+    if (latencyMs !== undefined && latencyMs >= 0) {
+      rec.totalLatencyMs += latencyMs;
+      rec.latencySamples++;
+    }
+    rec.lastOutcomeAt = new Date().toISOString();
+    records[identityKey] = rec;
+  });
+}
+
+/**
+ * Summarize a reputation record. The score is the fulfilled rate smoothed
+ * towards 0.5, so a single outcome doesn't make a provider look perfect or
+ * worthless.
+ */
+export function summarizeReputation(rec: ProviderReputation | undefined): ReputationSummary {
+  const r = rec || emptyRecord('');
+  const outcomes = r.fulfilled + r.rejected + r.noResponse;
+  return {
+    score: Math.round(((r.fulfilled + 1) / (outcomes + 2)) * 100) / 100,
+    rated: outcomes > 0,
+    requests: r.requests,
+    fulfilled: r.fulfilled,
+    rejected: r.rejected,
+    noResponse: r.noResponse,
+    avgLatencyMs: r.latencySamples > 0 ? Math.round(r.totalLatencyMs / r.latencySamples) : null,
+    totalSatsSpent: r.totalSatsSpent,
+  };
+}
+
+/**
+ * Look up the reputation summary for a single provider.
+ */
+export function getReputation(identityKey: string): ReputationSummary {
+  return summarizeReputation(loadReputation()[identityKey]);
+}
+
+/**
+ * Reputation command: show scores for one or all providers we have used.
+ */
+export async function cmdReputation(identityKey?: string) {
+  const records = loadReputation();
+
+  if (identityKey) {
+    return { identityKey, ...summarizeReputation(records[identityKey]) };
+  }
+
+  const providers = Object.values(records)
+    .map(rec => ({ identityKey: rec.identityKey, ...summarizeReputation(rec) }))
+    .sort((a, b) => b.score - a.score);
+
+  return { providers, count: providers.length };
+}
@@ -2,30 +2,34 @@
  * Service request command.
  */
 
-import { OVERLAY_URL } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG } from '../config.js';
 import { loadIdentity, signRelayMessage } from '../wallet/identity.js';
 import { buildDirectPayment } from '../payment/build.js';
+import { appendRequestLedger } from '../utils/storage.js';
+import { recordRequestSent } from './reputation.js';
+import { takeReceivedQuote, useReceivedQuote } from './quotes.js';
 
 /**
  * Request service command: send a service request with optional payment.
+ * With a quote ID, pays exactly the quoted amount (sats is ignored) and
+ * references the quote so the provider can honour it.
  */
 export async function cmdRequestService(
   targetKey: string | undefined,
   serviceId: string | undefined,
   satsStr?: string,
-  inputJsonStr?: string
-): Promise<never> {
+  inputJsonStr?: string,
+  quoteId?: string
+) {
   if (!targetKey || !serviceId) {
-    return fail('Usage: request-service <identityKey> <serviceId> [sats] [inputJson]');
+    throw new Error('Usage: request-service <identityKey> <serviceId> [sats] [inputJson] [--quote <quoteId>]');
   }
 
   if (!/^0[23][0-9a-fA-F]{64}$/.test(targetKey)) {
-    return fail('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
+    throw new Error('Target must be a compressed public key (66 hex chars, 02/03 prefix)');
   }
 
   const { identityKey, privKey } = await loadIdentity();
-  const sats = parseInt(satsStr || '5', 10);
 
   // Parse optional input JSON
   let inputData: unknown = null;
@@ -33,12 +37,18 @@ export async function cmdRequestService(
     try {
       inputData = JSON.parse(inputJsonStr);
     } catch {
-      return fail('inputJson must be valid JSON');
+      throw new Error('inputJson must be valid JSON');
     }
   }
 
+  const quote = quoteId
+    ? await takeReceivedQuote(quoteId, targetKey, identityKey, serviceId, inputData || undefined)
+    : null;
+  const sats = quote ? quote.amountSats : parseInt(satsStr || '5', 10);
+
   // Build the service request payload
   let paymentData: any = null;
+  let paymentFee: number | null = null;
 
   if (sats > 0) {
     try {
@@ -51,6 +61,7 @@ export async function cmdRequestService(
         derivationSuffix: payment.derivationSuffix,
         senderIdentityKey: payment.senderIdentityKey,
       };
+      paymentFee = payment.fee ?? null;
     } catch (err: any) {
       // Payment failed — send request without payment
       paymentData = { error: String(err.message || err) };
@@ -60,13 +71,14 @@ export async function cmdRequestService(
   const requestPayload = {
     serviceId,
     ...(inputData ? { input: inputData } : {}),
+    ...(quote ? { quoteId: quote.quoteId } : {}),
     payment: paymentData,
     requestedAt: new Date().toISOString(),
   };
 
   const signature = await signRelayMessage(privKey, targetKey, 'service-request', requestPayload);
 
-  const resp = await fetch(`${OVERLAY_URL}/relay/send`, {
+  const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -80,19 +92,37 @@ export async function cmdRequestService(
 
   if (!resp.ok) {
     const body = await resp.text();
-    return fail(`Relay send failed (${resp.status}): ${body}`);
+    throw new Error(`Relay send failed (${resp.status}): ${body}`);
   }
 
   const result = await resp.json();
+  const paymentIncluded = !!paymentData && !paymentData.error;
+  if (quote && paymentIncluded) await useReceivedQuote(quote.quoteId, result.id);
 
-  return ok({
+  await appendRequestLedger({
+    requestId: result.id,
+    provider: targetKey,
+    serviceId,
+    satsPaid: paymentIncluded ? paymentData.satoshis : 0,
+    paymentTxid: paymentIncluded ? paymentData.txid : null,
+    sentAt: requestPayload.requestedAt,
+    responseAt: null,
+    status: 'sent',
+    result: null,
+  });
+  await recordRequestSent(targetKey, paymentIncluded ? paymentData.satoshis : 0);
+
+  return {
     sent: true,
     requestId: result.id,
     to: targetKey,
     serviceId,
-    paymentIncluded: paymentData && !paymentData.error,
+    paymentIncluded,
+    ...(paymentData?.error && { paymentError: paymentData.error }),
     paymentTxid: paymentData?.txid || null,
     satoshis: paymentData?.satoshis || 0,
+    fee: paymentFee,
+    quoteId: quote?.quoteId || null,
     note: 'Poll for service-response to get the result',
-  });
+  };
 }
@@ -3,30 +3,66 @@
  */
 
 import fs from 'node:fs';
-import { OVERLAY_URL, OVERLAY_STATE_DIR, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, OVERLAY_STATE_DIR, PATHS } from '../config.js';
 import { loadIdentity, signRelayMessage } from '../wallet/identity.js';
+import { readJsonl, updateJsonl, removeFromJsonl } from '../utils/storage.js';
 
 /**
- * Respond to a service request.
+ * A queue entry stays `delivering` while its response is sent. A claim this
+ * old was left by a process that died mid-send and may be taken over.
+ */
+export const DELIVERY_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Respond to a service request. The queue entry is claimed (→ delivering)
+ * under the file lock before the response is sent, so a refund can't be
+ * granted while it is in flight, and only marked fulfilled if the claim
+ * still holds afterwards.
  */
 export async function cmdRespondService(
   requestId: string | undefined,
   recipientKey: string | undefined,
   serviceId: string | undefined,
   resultJson: string | undefined
-): Promise<never> {
+) {
   if (!requestId || !recipientKey || !serviceId || !resultJson) {
-    return fail('Usage: respond-service <requestId> <recipientKey> <serviceId> <resultJson>');
+    throw new Error('Usage: respond-service <requestId> <recipientKey> <serviceId> <resultJson>');
   }
 
   let result: unknown;
   try {
     result = JSON.parse(resultJson);
   } catch {
-    return fail('resultJson must be valid JSON');
+    throw new Error('resultJson must be valid JSON');
   }
 
+  // A refunded request has already been paid back — don't deliver it as well
+  const deliveringAt = Date.now();
+  let claimError: string | null = null;
+  let previousStatus: string | undefined;
+  await updateJsonl<any>(PATHS.serviceQueue, entry => {
+    if (entry.requestId !== requestId) return entry;
+    if (entry.status === 'refunded' || entry.status === 'refunding') {
+      claimError = `Request ${requestId} was already refunded to the requester`;
+      return entry;
+    }
+    if (entry.status === 'delivering' && deliveringAt - (entry.deliveringAt || 0) < DELIVERY_TIMEOUT_MS) {
+      claimError = `A response to request ${requestId} is already being delivered`;
+      return entry;
+    }
+    previousStatus = entry.status === 'delivering' ? entry.previousStatus : entry.status;
+    return { ...entry, status: 'delivering', deliveringAt, previousStatus };
+  });
+  if (claimError) throw new Error(claimError);
+
+  // Settle our claim, unless it was taken over meanwhile
+  const settle = (patch: (entry: any) => Record<string, unknown>) =>
+    updateJsonl<any>(PATHS.serviceQueue, entry => {
+      if (entry.requestId !== requestId || entry.status !== 'delivering' || entry.deliveringAt !== deliveringAt) return entry;
+      const { deliveringAt: _at, previousStatus: _previous, ...rest } = entry;
+      return { ...rest, ...patch(entry) };
+    });
+
   const { identityKey, privKey } = await loadIdentity();
 
   const responsePayload = {
@@ -36,51 +72,45 @@ export async function cmdRespondService(
     result,
   };
 
-  const sig = await signRelayMessage(privKey, recipientKey, 'service-response', responsePayload);
-  const resp = await fetch(`${OVERLAY_URL}/relay/send`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      from: identityKey,
-      to: recipientKey,
-      type: 'service-response',
-      payload: responsePayload,
-      signature: sig,
-    }),
-  });
+  try {
+    const sig = await signRelayMessage(privKey, recipientKey, 'service-response', responsePayload);
+    const resp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        from: identityKey,
+        to: recipientKey,
+        type: 'service-response',
+        payload: responsePayload,
+        signature: sig,
+      }),
+    });
 
-  if (!resp.ok) return fail(`Relay send failed: ${resp.status}`);
+    if (!resp.ok) throw new Error(`Relay send failed: ${resp.status}`);
+  } catch (err) {
+    // Nothing was delivered — put the entry back as it was
+    await settle(entry => ({ status: entry.previousStatus ?? 'pending' }));
+    throw err;
+  }
 
   // Mark as fulfilled in queue
-  if (fs.existsSync(PATHS.serviceQueue)) {
-    const lines = fs.readFileSync(PATHS.serviceQueue, 'utf-8').trim().split('\n').filter(Boolean);
-    const updated = lines.map(line => {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.requestId === requestId) {
-          return JSON.stringify({ ...entry, status: 'fulfilled', fulfilledAt: Date.now() });
-        }
-        return line;
-      } catch { return line; }
-    });
-    fs.writeFileSync(PATHS.serviceQueue, updated.join('\n') + '\n');
-  }
+  await settle(() => ({ status: 'fulfilled', fulfilledAt: Date.now() }));
 
-  return ok({ sent: true, requestId, serviceId, to: recipientKey });
+  return { sent: true, requestId, serviceId, to: recipientKey };
 }
 
 /**
  * Respond to a research request with results.
  */
-export async function cmdResearchRespond(resultJsonPath: string | undefined): Promise<never> {
-  if (!resultJsonPath) return fail('Usage: research-respond <resultJsonFile>');
-  if (!fs.existsSync(resultJsonPath)) return fail(`File not found: ${resultJsonPath}`);
+export async function cmdResearchRespond(resultJsonPath: string | undefined) {
+  if (!resultJsonPath) throw new Error('Usage: research-respond <resultJsonFile>');
+  if (!fs.existsSync(resultJsonPath)) throw new Error(`File not found: ${resultJsonPath}`);
 
   const result = JSON.parse(fs.readFileSync(resultJsonPath, 'utf-8'));
   const { requestId, from: recipientKey, query, research } = result;
 
   if (!requestId || !recipientKey || !research) {
-    return fail('Result JSON must have: requestId, from, query, research');
+    throw new Error('Result JSON must have: requestId, from, query, research');
   }
 
   const { identityKey, privKey } = await loadIdentity();
@@ -97,7 +127,7 @@ export async function cmdResearchRespond(resultJsonPath: string | undefined): Pr
   };
 
   const sig = await signRelayMessage(privKey, recipientKey, 'service-response', responsePayload);
-  const sendResp = await fetch(`${OVERLAY_URL}/relay/send`, {
+  const sendResp = await fetch(`${CONFIG.OVERLAY_URL}/relay/send`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -110,19 +140,13 @@ export async function cmdResearchRespond(resultJsonPath: string | undefined): Pr
   });
 
   if (!sendResp.ok) {
-    return fail(`Failed to send response: ${await sendResp.text()}`);
+    throw new Error(`Failed to send response: ${await sendResp.text()}`);
   }
 
   const sendResult = await sendResp.json();
 
   // Remove from queue
-  if (fs.existsSync(PATHS.researchQueue)) {
-    const lines = fs.readFileSync(PATHS.researchQueue, 'utf-8').trim().split('\n').filter(Boolean);
-    const remaining = lines.filter(l => {
-      try { return JSON.parse(l).requestId !== requestId; } catch { return true; }
-    });
-    fs.writeFileSync(PATHS.researchQueue, remaining.length ? remaining.join('\n') + '\n' : '');
-  }
+  await removeFromJsonl<any>(PATHS.researchQueue, e => e.requestId === requestId);
 
-  return ok({ responded: true, requestId, to: recipientKey, query, pushed: sendResult.pushed });
+  return { responded: true, requestId, to: recipientKey, query, pushed: sendResult.pushed };
 }
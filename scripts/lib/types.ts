@@ -15,6 +15,8 @@ export interface PaymentResult {
   derivationPrefix: string;
   derivationSuffix: string;
   senderIdentityKey: string;
+  /** Fee paid in satoshis, if it could be computed from the BEEF */
+  fee?: number | null;
 }
 
 export interface PaymentParams {
@@ -23,12 +25,49 @@ export interface PaymentParams {
   description?: string;
 }
 
+/** A JSON Schema document (see utils/schema.ts for the supported keywords) */
+export type JsonSchema = Record<string, unknown> | boolean;
+
+export type PricingUnit = 'kb' | '1k-tokens' | 'item';
+
+export interface PricingTier {
+  /** Highest unit count the tier covers; null for the open-ended last tier */
+  upTo: number | null;
+  amountSats: number;
+}
+
+/** Pricing model published in service records (see utils/pricing.ts) */
+export interface ServicePricing {
+  model: 'per-task' | 'per-unit' | 'tiered';
+  /** Per-task price, per-unit price, or the lowest tier's price */
+  amountSats: number;
+  unit?: PricingUnit;
+  /** Input property holding the items, for the item unit */
+  itemsField?: string;
+  /** Least a per-unit request costs */
+  minimumSats?: number;
+  tiers?: PricingTier[];
+}
+
 export interface ServiceAdvertisement {
   serviceId: string;
   name: string;
   description: string;
+  /** Per-task or per-unit price, or the price of the open-ended tier */
   priceSats: number;
+  /** Per-unit or tiered pricing; absent for per-task services */
+  pricing?: ServicePricing;
+  /** Lowercase keywords matched by discover --tags and --search */
+  tags?: string[];
+  /** Lowercase category matched by discover --category */
+  category?: string;
+  /** Shape of the `input` requesters must send; checked before payment on both sides */
+  inputSchema?: JsonSchema;
+  /** Shape of the result the service delivers */
+  outputSchema?: JsonSchema;
   txid?: string;
+  /** Unspent record token; spent on readvertise and remove */
+  token?: OverlayToken | null;
   registeredAt?: string;
 }
 
@@ -52,11 +91,79 @@ export interface Registration {
   identityKey: string;
   agentName: string;
   agentDescription: string;
+  capabilities?: string[];
+  channels?: Record<string, string>;
   overlayUrl: string;
   identityTxid: string;
   serviceTxid: string | null;
   funded: string;
+  /** Unspent identity and service-bundle record tokens; spent on unregister */
+  identityToken?: OverlayToken | null;
+  serviceToken?: OverlayToken | null;
   registeredAt: string;
+  /** When the identity record was last republished with register --update */
+  updatedAt?: string;
+}
+
+/** A provider's signed, time-limited price for one service request input */
+export interface ServiceQuote {
+  quoteId: string;
+  serviceId: string;
+  /** Provider identity key; the quote is signed with it (see signOverlayPayload) */
+  identityKey: string;
+  /** Identity key of the requester the quote was issued to */
+  requester: string;
+  amountSats: number;
+  /** SHA-256 of the canonical JSON of the request input */
+  inputHash: string;
+  issuedAt: string;
+  expiresAt: string;
+  recordSignature: string;
+}
+
+/** A quote we issued (provider) or received (requester) */
+export interface StoredQuote {
+  quote: ServiceQuote;
+  /** Relay message id of the service-quote-request */
+  quoteRequestId: string;
+  /** `reserved` while a service request's payment is checked, `used` once it has paid */
+  status: 'open' | 'reserved' | 'used';
+  /** When it was reserved; a reservation older than RESERVATION_TIMEOUT_MS counts as open again */
+  reservedAt?: string | null;
+  usedAt: string | null;
+  /** The service request that used the quote */
+  requestId: string | null;
+}
+
+/** A record parsed from an overlay lookup, before per-request filtering */
+export interface DiscoveredRecord {
+  data: OverlayPayload;
+  txid: string | null;
+  /** Signature check result (see verifyOverlayPayload) */
+  check: { valid: boolean; reason?: string };
+}
+
+/** Parsed records of one overlay lookup query */
+/** Newest signed sequence seen for an overlay record, and where it was published */
+export interface SeenRecordSequence {
+  sequence: number;
+  txid: string | null;
+  seenAt: string;
+}
+
+export interface DiscoveryCacheEntry {
+  fetchedAt: string;
+  records: DiscoveredRecord[];
+}
+
+/** PushDrop output carrying an overlay record, spendable with our identity-derived key */
+export interface OverlayToken {
+  txid: string;
+  vout: number;
+  satoshis: number;
+  lockingScript: string;
+  /** BEEF of the token's transaction, needed to spend it */
+  beefHex: string;
 }
 
 export interface OverlayPayload {
@@ -93,6 +200,49 @@ export interface RelayMessage {
   signature?: string;
 }
 
+export interface RequestLedgerEntry {
+  requestId: string;
+  provider: string;
+  serviceId: string;
+  satsPaid: number;
+  paymentTxid: string | null;
+  sentAt: string;
+  responseAt: string | null;
+  status: 'sent' | 'fulfilled' | 'rejected' | 'refunded' | string;
+  result: unknown;
+  reason?: string;
+  refundStatus?: 'requested' | 'refunded' | 'denied';
+  refundTxid?: string | null;
+}
+
+export interface ProviderReputation {
+  identityKey: string;
+  requests: number;
+  fulfilled: number;
+  rejected: number;
+  noResponse: number;
+  totalLatencyMs: number;
+  latencySamples: number;
+  totalSatsSpent: number;
+  lastRequestAt: string | null;
+  lastOutcomeAt: string | null;
+}
+
+export interface AutoImportRecord {
+  txid: string;
+  vout: number;
+  satoshis: number;
+  /** imported: in the wallet; retrying: transient failure, retried after nextAttemptAt;
+   *  failed: permanent failure or out of retries; skipped: never attempted (dust or our own change) */
+  status: 'imported' | 'retrying' | 'failed' | 'skipped';
+  attempts: number;
+  firstSeenAt: string;
+  lastAttemptAt: string | null;
+  nextAttemptAt: string | null;
+  reason: string | null;
+  importedAt: string | null;
+}
+
 export interface XVerification {
   identityKey: string;
   xHandle: string;
@@ -104,15 +254,35 @@ export interface XVerification {
   txid?: string | null;
 }
 
+/** Legacy latest-change.json entry, migrated into the UTXO pool on first use */
 export interface StoredChange {
   txHex: string;
   txid: string;
   vout: number;
   satoshis: number;
+  /** Full BEEF of txHex including every input's ancestry (preferred over sourceChain) */
+  beefHex?: string;
+  /** Legacy single-input ancestry chain */
   sourceChain?: SourceChainEntry[];
   savedAt: string;
 }
 
+export interface PoolUtxo {
+  txid: string;
+  vout: number;
+  satoshis: number;
+  /** BEEF of the output's transaction with the ancestry (or merkle proof) needed to spend it */
+  beefHex: string;
+  /** unconfirmed: not yet mined; confirmed: mined, beefHex carries its proof;
+   *  spent: consumed by one of our transactions or, if spentBy is null, out of band */
+  status: 'unconfirmed' | 'confirmed' | 'spent';
+  addedAt: string;
+  confirmedAt: string | null;
+  blockHeight: number | null;
+  spentAt: string | null;
+  spentBy: string | null;
+}
+
 export interface SourceChainEntry {
   txHex: string;
   txid: string;
@@ -0,0 +1,159 @@
+/**
+ * Fee model for the transactions the CLI builds and signs itself.
+ *
+ * The fee is a sat/kB rate applied to the transaction's actual serialized
+ * size after signing. The rate comes from FEE_RATE_SATS_PER_KB, or from the
+ * ARC-style policy endpoint in FEE_QUOTE_URL when one is configured.
+ */
+
+import { CONFIG } from '../config.js';
+import { fetchWithTimeout } from './woc.js';
+
+export interface FeeRate {
+  satsPerKb: number;
+  source: 'config' | 'quote';
+}
+
+export interface FeeReport {
+  /** Fee paid in satoshis */
+  fee: number;
+  sizeBytes: number;
+  satsPerKb: number;
+  /** 'wallet' when the BRC-100 wallet funded the transaction with its own fee model */
+  rateSource: FeeRate['source'] | 'wallet';
+}
+
+const QUOTE_CACHE_MS = 5 * 60 * 1000;
+let cachedQuote: { url: string; satsPerKb: number; fetchedAt: number } | null = null;
+
+/**
+ * Current fee rate. A failed quote falls back to the configured rate.
+ */
+export async function getFeeRate(): Promise<FeeRate> {
+  if (!CONFIG.FEE_QUOTE_URL) {
+    return { satsPerKb: CONFIG.FEE_RATE_SATS_PER_KB, source: 'config' };
+  }
+  if (cachedQuote && cachedQuote.url === CONFIG.FEE_QUOTE_URL && Date.now() - cachedQuote.fetchedAt < QUOTE_CACHE_MS) {
+    return { satsPerKb: cachedQuote.satsPerKb, source: 'quote' };
+  }
+
+  try {
+    const resp = await fetchWithTimeout(CONFIG.FEE_QUOTE_URL, {}, 10000);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const body = await resp.json();
+    const miningFee = body?.policy?.miningFee;
+    if (typeof miningFee?.satoshis !== 'number' || typeof miningFee?.bytes !== 'number' || miningFee.bytes <= 0) {
+      throw new Error('Invalid policy response');
+    }
+    const satsPerKb = (miningFee.satoshis / miningFee.bytes) * 1000;
+    cachedQuote = { url: CONFIG.FEE_QUOTE_URL, satsPerKb, fetchedAt: Date.now() };
+    return { satsPerKb, source: 'quote' };
+  } catch {
+    return { satsPerKb: CONFIG.FEE_RATE_SATS_PER_KB, source: 'config' };
+  }
+}
+
+/**
+ * Fee for a transaction of the given size, never less than 1 sat.
+ */
+export function feeForSize(sizeBytes: number, satsPerKb: number): number {
+  return Math.max(1, Math.ceil((sizeBytes * satsPerKb) / 1000));
+}
+
+function varIntSize(n: number): number {
+  if (n < 0xfd) return 1;
+  if (n <= 0xffff) return 3;
+  if (n <= 0xffffffff) return 5;
+  return 9;
+}
+
+/**
+ * Size estimate for a transaction with P2PKH inputs, for use before it can be
+ * built and signed (e.g. during coin selection).
+ * @param outputScriptLengths - Locking script length of each output
+ */
+export function estimateP2PKHTxSize(inputCount: number, outputScriptLengths: number[]): number {
+  // version + locktime, and per input: outpoint (36) + script length (1) + ~107 byte unlock + sequence (4)
+  let size = 8 + varIntSize(inputCount) + inputCount * 148 + varIntSize(outputScriptLengths.length);
+  for (const len of outputScriptLengths) {
+    size += 8 + varIntSize(len) + len;
+  }
+  return size;
+}
+
+/**
+ * Sign a transaction and pay the fee for its signed size out of the change
+ * output. Every input must have its sourceTransaction set.
+ *
+ * If the change would fall below minChange it is dropped and the remainder
+ * goes to the fee, or, with keepChange, an error is thrown instead (for
+ * transactions whose "change" is the payment itself, like refunds).
+ */
+export async function signWithFee(
+  tx: any,
+  opts: { rate: FeeRate; changeIndex: number; minChange: number; keepChange?: boolean }
+): Promise<FeeReport & { change: number }> {
+  const { rate, changeIndex, minChange } = opts;
+  const inputSats = tx.inputs.reduce(
+    (sum: number, input: any) => sum + input.sourceTransaction.outputs[input.sourceOutputIndex].satoshis, 0);
+  const fixedSats = tx.outputs.reduce(
+    (sum: number, output: any, i: number) => (i === changeIndex ? sum : sum + output.satoshis), 0);
+
+  // Signature lengths vary by a byte, so settle the fee against the final signing
+  tx.outputs[changeIndex].satoshis = 0;
+  let fee = 0;
+  for (;;) {
+    await tx.sign();
+    const required = feeForSize(tx.toBinary().length, rate.satsPerKb);
+    if (required <= fee) break;
+    fee = required;
+    tx.outputs[changeIndex].satoshis = Math.max(0, inputSats - fixedSats - fee);
+  }
+
+  let change = inputSats - fixedSats - fee;
+  if (change < minChange) {
+    if (opts.keepChange) {
+      throw new Error(`Total value (${inputSats - fixedSats} sats) can't cover the fee (${fee} sats) and a ${minChange}+ sat output`);
+    }
+    tx.outputs.splice(changeIndex, 1);
+    await tx.sign();
+    change = 0;
+    fee = inputSats - fixedSats;
+    const required = feeForSize(tx.toBinary().length, rate.satsPerKb);
+    if (fee < required) {
+      throw new Error(`Inputs (${inputSats} sats) don't cover outputs (${fixedSats} sats) plus fee (${required} sats)`);
+    }
+  }
+
+  return { fee, sizeBytes: tx.toBinary().length, satsPerKb: rate.satsPerKb, rateSource: rate.source, change };
+}
+
+/**
+ * Fee report for a transaction whose fee was set elsewhere, e.g. by the
+ * wallet. Null if its inputs' source transactions aren't attached.
+ */
+export function feeReportForTx(tx: any, rateSource: FeeReport['rateSource']): FeeReport | null {
+  let inputSats = 0;
+  for (const input of tx.inputs) {
+    const source = input.sourceTransaction;
+    if (!source) return null;
+    inputSats += source.outputs[input.sourceOutputIndex].satoshis || 0;
+  }
+  const fee = inputSats - tx.outputs.reduce((sum: number, o: any) => sum + (o.satoshis || 0), 0);
+  const sizeBytes = tx.toBinary().length;
+  return { fee, sizeBytes, satsPerKb: (fee * 1000) / sizeBytes, rateSource };
+}
+
+/**
+ * Fee paid by a transaction in Atomic BEEF, or null if its inputs' source
+ * transactions aren't included.
+ */
+export async function feePaidFromBeef(beef: string | number[] | Uint8Array): Promise<number | null> {
+  try {
+    const sdk = await import('@bsv/sdk');
+    const bytes = typeof beef === 'string' ? sdk.Utils.toArray(beef, 'base64') : Array.from(beef);
+    return feeReportForTx(sdk.Transaction.fromAtomicBEEF(bytes), 'wallet')?.fee ?? null;
+  } catch {
+    return null;
+  }
+}
@@ -5,3 +5,6 @@
 export * from './woc.js';
 export * from './storage.js';
 export * from './merkle.js';
+export * from './fees.js';
+export * from './schema.js';
+export * from './pricing.js';
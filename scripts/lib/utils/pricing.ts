@@ -0,0 +1,182 @@
+/**
+ * Service pricing models.
+ *
+ * - per-task: `amountSats` for every request
+ * - per-unit: `amountSats` per unit of input, at least `minimumSats`
+ * - tiered: the price of the first tier whose `upTo` covers the input's
+ *   units; the last tier is open-ended (`upTo: null`)
+ *
+ * Units are measured from the request input: `kb` is 1000 bytes of its JSON,
+ * `1k-tokens` is 1000 tokens estimated at 4 characters of JSON per token, and
+ * `item` counts the elements of the input array (or of the array in
+ * `itemsField`). Every model records the price of the smallest input in
+ * `amountSats`, so readers that only know per-task pricing see a "from" price.
+ */
+
+import type { PricingUnit, ServicePricing, ServiceAdvertisement } from '../types.js';
+
+export const PRICING_MODELS: ServicePricing['model'][] = ['per-task', 'per-unit', 'tiered'];
+export const PRICING_UNITS: PricingUnit[] = ['kb', '1k-tokens', 'item'];
+
+const CHARS_PER_TOKEN = 4;
+
+function isNonNegativeInteger(value: unknown): value is number {
+  return Number.isInteger(value) && (value as number) >= 0;
+}
+
+/**
+ * Build a service's pricing from a pricing spec and its price. The price is
+ * the per-task amount, the per-unit amount, or for tiered pricing the price
+ * of the open-ended tier above the spec's tiers. Throws on invalid specs.
+ */
+export function buildPricing(spec: Partial<ServicePricing> | null | undefined, priceSats: number): ServicePricing {
+  if (!spec || spec.model === undefined || spec.model === 'per-task') {
+    return { model: 'per-task', amountSats: priceSats };
+  }
+  if (!PRICING_MODELS.includes(spec.model)) {
+    throw new Error(`pricing.model must be one of: ${PRICING_MODELS.join(', ')}`);
+  }
+  if (spec.amountSats !== undefined) {
+    throw new Error('pricing.amountSats is set from the service price, not the pricing spec');
+  }
+  if (!spec.unit || !PRICING_UNITS.includes(spec.unit)) {
+    throw new Error(`pricing.unit must be one of: ${PRICING_UNITS.join(', ')}`);
+  }
+  if (spec.itemsField !== undefined && (spec.unit !== 'item' || typeof spec.itemsField !== 'string' || !spec.itemsField)) {
+    throw new Error('pricing.itemsField must be a property name, and only applies to the item unit');
+  }
+  const base = { unit: spec.unit, ...(spec.itemsField && { itemsField: spec.itemsField }) };
+
+  if (spec.model === 'per-unit') {
+    if (spec.tiers !== undefined) throw new Error('pricing.tiers only applies to the tiered model');
+    if (spec.minimumSats !== undefined && !isNonNegativeInteger(spec.minimumSats)) {
+      throw new Error('pricing.minimumSats must be a non-negative integer');
+    }
+    return {
+      model: 'per-unit',
+      amountSats: priceSats,
+      ...base,
+      ...(spec.minimumSats !== undefined && { minimumSats: spec.minimumSats }),
+    };
+  }
+
+  if (spec.minimumSats !== undefined) throw new Error('pricing.minimumSats only applies to the per-unit model');
+  if (!Array.isArray(spec.tiers) || spec.tiers.length === 0) {
+    throw new Error('pricing.tiers must be a non-empty array of { upTo, amountSats }');
+  }
+  let previous = -1;
+  for (const tier of spec.tiers) {
+    if (!isNonNegativeInteger(tier?.upTo) || tier.upTo <= previous) {
+      throw new Error('Each pricing tier needs an upTo unit count, increasing from tier to tier');
+    }
+    if (!isNonNegativeInteger(tier.amountSats)) {
+      throw new Error('Each pricing tier needs a non-negative integer amountSats');
+    }
+    previous = tier.upTo;
+  }
+  const tiers = [...spec.tiers.map(t => ({ upTo: t.upTo, amountSats: t.amountSats })), { upTo: null, amountSats: priceSats }];
+  return { model: 'tiered', amountSats: Math.min(...tiers.map(t => t.amountSats)), ...base, tiers };
+}
+
+/**
+ * Parse a pricing spec given as JSON text on the command line.
+ */
+export function parsePricingArg(text: string): Partial<ServicePricing> {
+  let spec: unknown;
+  try {
+    spec = JSON.parse(text);
+  } catch {
+    throw new Error('--pricing is not valid JSON');
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('--pricing must be a JSON object');
+  }
+  return spec as Partial<ServicePricing>;
+}
+
+/**
+ * Pricing of one of our services. Services advertised before pricing models
+ * carry only a price, which is per task.
+ */
+export function servicePricing(service: ServiceAdvertisement): ServicePricing {
+  return service.pricing ?? { model: 'per-task', amountSats: service.priceSats };
+}
+
+/**
+ * Pricing of a discovered service record: protocol `pricing`, or the bare
+ * `pricingSats` of older records. Returns null when the record can't be
+ * priced — an unknown model or unit, malformed tiers or amounts — so such
+ * services are only used at a quoted price, never at a guessed one.
+ */
+export function recordPricing(record: any): ServicePricing | null {
+  const pricing = record?.pricing;
+  if (pricing === undefined || pricing === null) {
+    return isNonNegativeInteger(record?.pricingSats) ? { model: 'per-task', amountSats: record.pricingSats } : null;
+  }
+  if (typeof pricing !== 'object' || !isNonNegativeInteger(pricing.amountSats)) return null;
+  const { amountSats } = pricing;
+  if (pricing.model === 'per-task') return { model: 'per-task', amountSats };
+  if (!PRICING_MODELS.includes(pricing.model) || !PRICING_UNITS.includes(pricing.unit)) return null;
+  if (pricing.itemsField !== undefined && (pricing.unit !== 'item' || typeof pricing.itemsField !== 'string')) return null;
+  const base = { unit: pricing.unit as PricingUnit, ...(pricing.itemsField && { itemsField: pricing.itemsField as string }) };
+
+  if (pricing.model === 'per-unit') {
+    if (pricing.minimumSats !== undefined && !isNonNegativeInteger(pricing.minimumSats)) return null;
+    return { model: 'per-unit', amountSats, ...base, ...(pricing.minimumSats !== undefined && { minimumSats: pricing.minimumSats }) };
+  }
+
+  const tiers = pricing.tiers;
+  if (!Array.isArray(tiers) || tiers.length === 0) return null;
+  const tiersValid = tiers.every((tier: any, i: number) =>
+    isNonNegativeInteger(tier?.amountSats) &&
+    (isNonNegativeInteger(tier.upTo) || (tier.upTo === null && i === tiers.length - 1)));
+  if (!tiersValid) return null;
+  return { model: 'tiered', amountSats, ...base, tiers: tiers.map((t: any) => ({ upTo: t.upTo, amountSats: t.amountSats })) };
+}
+
+/**
+ * Units of an input, rounded up. Size-based units are at least 1.
+ */
+export function measureUnits(unit: PricingUnit, input: unknown, itemsField?: string): number {
+  const json = JSON.stringify(input ?? {});
+  if (unit === 'kb') return Math.max(1, Math.ceil(Buffer.byteLength(json, 'utf8') / 1000));
+  if (unit === '1k-tokens') return Math.max(1, Math.ceil(json.length / CHARS_PER_TOKEN / 1000));
+  const items = itemsField && input && typeof input === 'object' ? (input as Record<string, unknown>)[itemsField] : input;
+  return Array.isArray(items) ? items.length : 1;
+}
+
+/**
+ * Price in satoshis of serving an input under a pricing model.
+ */
+export function priceForInput(pricing: ServicePricing, input: unknown): number {
+  if (pricing.model === 'per-task' || !pricing.unit) return pricing.amountSats;
+  const units = measureUnits(pricing.unit, input, pricing.itemsField);
+  if (pricing.model === 'per-unit') {
+    return Math.max(pricing.minimumSats ?? 0, units * pricing.amountSats);
+  }
+  const tiers = pricing.tiers ?? [];
+  const tier = tiers.find(t => typeof t.upTo !== 'number' || units <= t.upTo) ?? tiers[tiers.length - 1];
+  return tier ? tier.amountSats : pricing.amountSats;
+}
+
+/**
+ * Lowest price a pricing model charges: the price of the smallest input.
+ */
+export function basePrice(pricing: ServicePricing): number {
+  if (pricing.model === 'per-unit') return Math.max(pricing.minimumSats ?? 0, pricing.amountSats);
+  return pricing.amountSats;
+}
+
+/**
+ * Short human-readable form, e.g. "3 sats per kb (min 10)".
+ */
+export function describePricing(pricing: ServicePricing): string {
+  if (pricing.model === 'per-unit') {
+    return `${pricing.amountSats} sats per ${pricing.unit}${pricing.minimumSats ? ` (min ${pricing.minimumSats})` : ''}`;
+  }
+  if (pricing.model === 'tiered') {
+    const tiers = (pricing.tiers ?? []).map(t => (typeof t.upTo === 'number' ? `≤${t.upTo}: ${t.amountSats}` : `above: ${t.amountSats}`));
+    return `tiered by ${pricing.unit} (${tiers.join(', ')} sats)`;
+  }
+  return `${pricing.amountSats} sats per task`;
+}
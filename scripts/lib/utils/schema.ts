@@ -0,0 +1,137 @@
+/**
+ * Minimal JSON Schema validation for service input/output schemas.
+ *
+ * Supports the keywords service schemas need in practice: type, enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, anyOf and allOf. Other keywords are ignored, so a schema
+ * using them validates more loosely here than with a full validator.
+ */
+
+import type { JsonSchema } from '../types.js';
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Check that a value can be used as a schema: a boolean or an object whose
+ * `type` names only JSON Schema types. Throws with the label on failure.
+ */
+export function assertJsonSchema(schema: unknown, label: string): asserts schema is JsonSchema {
+  if (typeof schema === 'boolean') return;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`${label} must be a JSON Schema object`);
+  }
+  const type = (schema as Record<string, unknown>).type;
+  const types = Array.isArray(type) ? type : type === undefined ? [] : [type];
+  for (const t of types) {
+    if (typeof t !== 'string' || !TYPES.includes(t)) {
+      throw new Error(`${label} has an unknown type: ${JSON.stringify(t)}`);
+    }
+  }
+}
+
+/**
+ * Parse a schema given as JSON text on the command line. `null` clears it.
+ */
+export function parseJsonSchemaArg(text: string, label: string): JsonSchema | null {
+  let schema: unknown;
+  try {
+    schema = JSON.parse(text);
+  } catch {
+    throw new Error(`${label} is not valid JSON`);
+  }
+  if (schema === null) return null;
+  assertJsonSchema(schema, label);
+  return schema;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param path - Name of the value in error messages
+ * @returns One message per violation; empty if the value is valid
+ */
+export function validateJsonSchema(schema: JsonSchema | null | undefined, value: unknown, path = 'input'): string[] {
+  if (schema === undefined || schema === null || schema === true) return [];
+  if (schema === false) return [`${path}: not allowed`];
+
+  const errors: string[] = [];
+  const s = schema as Record<string, any>;
+
+  if (s.type !== undefined) {
+    const types: string[] = Array.isArray(s.type) ? s.type : [s.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (Array.isArray(s.enum) && !s.enum.some((e: unknown) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${s.enum.map((e: unknown) => JSON.stringify(e)).join(', ')}`);
+  }
+  if ('const' in s && JSON.stringify(s.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${JSON.stringify(s.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof s.minLength === 'number' && value.length < s.minLength) errors.push(`${path}: shorter than ${s.minLength} characters`);
+    if (typeof s.maxLength === 'number' && value.length > s.maxLength) errors.push(`${path}: longer than ${s.maxLength} characters`);
+    if (typeof s.pattern === 'string') {
+      try {
+        if (!new RegExp(s.pattern, 'u').test(value)) errors.push(`${path}: does not match ${s.pattern}`);
+      } catch {
+        // Unsupported pattern syntax — not checked
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof s.minimum === 'number' && value < s.minimum) errors.push(`${path}: less than ${s.minimum}`);
+    if (typeof s.maximum === 'number' && value > s.maximum) errors.push(`${path}: greater than ${s.maximum}`);
+    if (typeof s.exclusiveMinimum === 'number' && value <= s.exclusiveMinimum) errors.push(`${path}: must be greater than ${s.exclusiveMinimum}`);
+    if (typeof s.exclusiveMaximum === 'number' && value >= s.exclusiveMaximum) errors.push(`${path}: must be less than ${s.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof s.minItems === 'number' && value.length < s.minItems) errors.push(`${path}: fewer than ${s.minItems} items`);
+    if (typeof s.maxItems === 'number' && value.length > s.maxItems) errors.push(`${path}: more than ${s.maxItems} items`);
+    if (s.items !== undefined && !Array.isArray(s.items)) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(s.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const obj = value as Record<string, unknown>;
+    const properties: Record<string, JsonSchema> = s.properties && typeof s.properties === 'object' ? s.properties : {};
+    for (const key of Array.isArray(s.required) ? s.required : []) {
+      if (!(key in obj)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, propValue] of Object.entries(obj)) {
+      if (key in properties) {
+        errors.push(...validateJsonSchema(properties[key], propValue, `${path}.${key}`));
+      } else if (s.additionalProperties !== undefined) {
+        errors.push(...(s.additionalProperties === false
+          ? [`${path}.${key}: unexpected property`]
+          : validateJsonSchema(s.additionalProperties, propValue, `${path}.${key}`)));
+      }
+    }
+  }
+
+  if (Array.isArray(s.allOf)) {
+    for (const sub of s.allOf) errors.push(...validateJsonSchema(sub, value, path));
+  }
+  if (Array.isArray(s.anyOf) && !s.anyOf.some((sub: JsonSchema) => validateJsonSchema(sub, value, path).length === 0)) {
+    errors.push(`${path}: does not match any allowed schema`);
+  }
+
+  return errors;
+}
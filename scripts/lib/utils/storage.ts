@@ -1,10 +1,107 @@
 /**
  * File-based storage helpers for registration, services, and queues.
+ *
+ * State files are shared between the plugin, the background `connect`
+ * process and one-off CLI invocations, so every write goes through
+ * writeFileAtomic (readers never see a half-written file) and every
+ * read-modify-write happens inside withFileLock.
  */
 
 import fs from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
 import { OVERLAY_STATE_DIR, PATHS } from '../config.js';
-import type { Registration, ServiceAdvertisement, XVerification, StoredChange } from '../types.js';
+import type { Registration, ServiceAdvertisement, XVerification, StoredChange, PoolUtxo, DiscoveryCacheEntry, SeenRecordSequence, StoredQuote, RequestLedgerEntry, ProviderReputation, AutoImportRecord } from '../types.js';
+
+/** A lock older than this is assumed to belong to a crashed process. */
+const LOCK_STALE_MS = 10_000;
+/** Give up waiting for a lock after this long. */
+const LOCK_TIMEOUT_MS = 5_000;
+const LOCK_RETRY_MS = 25;
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isStale(filePath: string): boolean {
+  return Date.now() - fs.statSync(filePath).mtimeMs > LOCK_STALE_MS;
+}
+
+/**
+ * Break a stale lock by renaming it to a name of our own and checking the
+ * renamed file is still stale. Only one of several waiters can win the
+ * rename; if what it moved aside turns out to be a lock taken meanwhile, it
+ * is put back unless the lock has been re-created since.
+ */
+function breakStaleLock(lockPath: string): void {
+  const claimed = `${lockPath}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, claimed);
+  } catch {
+    return; // released or broken by someone else first
+  }
+  try {
+    if (!isStale(claimed)) fs.linkSync(claimed, lockPath);
+  } catch {
+    // Lock re-created since — it belongs to its new holder
+  }
+  try { fs.unlinkSync(claimed); } catch { /* already gone */ }
+}
+
+/**
+ * Write a file atomically: write to a temp file in the same directory,
+ * then rename it over the target.
+ */
+export function writeFileAtomic(filePath: string, data: string): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, data, 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* already gone */ }
+    throw err;
+  }
+}
+
+/**
+ * Run `fn` while holding an exclusive cross-process lock on `filePath`.
+ * The lock is a `<file>.lock` sibling created with O_EXCL; stale locks
+ * left by crashed processes are broken after LOCK_STALE_MS. Waiting for
+ * the lock never blocks the event loop.
+ */
+export async function withFileLock<T>(filePath: string, fn: () => T | Promise<T>): Promise<T> {
+  const lockPath = `${filePath}.lock`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (err: any) {
+      if (err.code !== 'EEXIST') throw err;
+      try {
+        if (isStale(lockPath)) {
+          breakStaleLock(lockPath);
+          continue;
+        }
+      } catch {
+        continue; // lock released between our open and stat
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try { fs.unlinkSync(lockPath); } catch { /* already released */ }
+  }
+}
 
 /**
  * Ensure the overlay state directory exists.
@@ -32,7 +129,20 @@ export function loadRegistration(): Registration | null {
  */
 export function saveRegistration(data: Registration): void {
   ensureStateDir();
-  fs.writeFileSync(PATHS.registration, JSON.stringify(data, null, 2), 'utf-8');
+  writeFileAtomic(PATHS.registration, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Update the registration under the file lock, re-read inside the lock.
+ * Returning null deletes it.
+ */
+export async function updateRegistration(update: (reg: Registration | null) => Registration | null): Promise<void> {
+  ensureStateDir();
+  await withFileLock(PATHS.registration, () => {
+    const next = update(loadRegistration());
+    if (next) saveRegistration(next);
+    else deleteRegistration();
+  });
 }
 
 /**
@@ -65,7 +175,15 @@ export function loadServices(): ServiceAdvertisement[] {
  */
 export function saveServices(services: ServiceAdvertisement[]): void {
   ensureStateDir();
-  fs.writeFileSync(PATHS.services, JSON.stringify(services, null, 2), 'utf-8');
+  writeFileAtomic(PATHS.services, JSON.stringify(services, null, 2));
+}
+
+/**
+ * Update the services list under the file lock, re-read inside the lock.
+ */
+export async function updateServices(update: (services: ServiceAdvertisement[]) => ServiceAdvertisement[]): Promise<void> {
+  ensureStateDir();
+  await updateJsonFile<ServiceAdvertisement[]>(PATHS.services, [], update);
 }
 
 /**
@@ -87,15 +205,18 @@ export function loadXVerifications(): XVerification[] {
  */
 export function saveXVerifications(verifications: XVerification[]): void {
   ensureStateDir();
-  fs.writeFileSync(PATHS.xVerifications, JSON.stringify(verifications, null, 2), 'utf-8');
+  writeFileAtomic(PATHS.xVerifications, JSON.stringify(verifications, null, 2));
 }
 
 /**
- * Append a line to a JSONL file.
+ * Append a line to a JSONL file. Takes the file lock so the append can't
+ * land between another process reading and rewriting the file.
  */
-export function appendToJsonl(filePath: string, entry: Record<string, unknown>): void {
+export async function appendToJsonl(filePath: string, entry: Record<string, unknown>): Promise<void> {
   ensureStateDir();
-  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+  await withFileLock(filePath, () => {
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+  });
 }
 
 /**
@@ -114,7 +235,139 @@ export function readJsonl<T>(filePath: string): T[] {
 }
 
 /**
- * Load stored change BEEF data.
+ * Rewrite a JSONL file, passing each parsed entry through `update`.
+ * Lines that fail to parse are preserved unchanged.
+ */
+export async function updateJsonl<T>(filePath: string, update: (entry: T) => T): Promise<void> {
+  await withFileLock(filePath, () => {
+    if (!fs.existsSync(filePath)) return;
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n').filter(Boolean);
+    const updated = lines.map(line => {
+      try {
+        return JSON.stringify(update(JSON.parse(line)));
+      } catch {
+        return line;
+      }
+    });
+    writeFileAtomic(filePath, updated.length ? updated.join('\n') + '\n' : '');
+  });
+}
+
+/**
+ * Rewrite a JSONL file without the entries matching `remove`.
+ * Lines that fail to parse are preserved unchanged.
+ * @returns the number of entries removed
+ */
+export function removeFromJsonl<T>(filePath: string, remove: (entry: T) => boolean): Promise<number> {
+  return withFileLock(filePath, () => {
+    if (!fs.existsSync(filePath)) return 0;
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n').filter(Boolean);
+    const remaining = lines.filter(line => {
+      try { return !remove(JSON.parse(line)); } catch { return true; }
+    });
+    writeFileAtomic(filePath, remaining.length ? remaining.join('\n') + '\n' : '');
+    return lines.length - remaining.length;
+  });
+}
+
+/**
+ * Read-modify-write a JSON file under its lock.
+ * @param fallback - Value used when the file is missing or unparseable
+ */
+export function updateJsonFile<T>(filePath: string, fallback: T, update: (current: T) => T): Promise<T> {
+  return withFileLock(filePath, () => {
+    let current = fallback;
+    try {
+      if (fs.existsSync(filePath)) current = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+      // Ignore parse errors
+    }
+    const next = update(current);
+    writeFileAtomic(filePath, JSON.stringify(next, null, 2));
+    return next;
+  });
+}
+
+/**
+ * Load the ledger of service requests we have sent.
+ */
+export function loadRequestLedger(): RequestLedgerEntry[] {
+  return readJsonl<RequestLedgerEntry>(PATHS.requestLedger);
+}
+
+/**
+ * Record a newly sent service request in the ledger.
+ */
+export async function appendRequestLedger(entry: RequestLedgerEntry): Promise<void> {
+  await appendToJsonl(PATHS.requestLedger, entry as unknown as Record<string, unknown>);
+}
+
+/**
+ * Merge `patch` into the ledger entry for a request.
+ * @returns true if a matching entry was found
+ */
+export async function updateRequestLedger(requestId: string, patch: Partial<RequestLedgerEntry>): Promise<boolean> {
+  let found = false;
+  await updateJsonl<RequestLedgerEntry>(PATHS.requestLedger, entry => {
+    if (entry.requestId !== requestId) return entry;
+    found = true;
+    return { ...entry, ...patch };
+  });
+  return found;
+}
+
+/**
+ * Load provider reputation records, keyed by identity key.
+ */
+export function loadReputation(): Record<string, ProviderReputation> {
+  try {
+    if (fs.existsSync(PATHS.providerReputation)) {
+      return JSON.parse(fs.readFileSync(PATHS.providerReputation, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
+  }
+  return {};
+}
+
+/**
+ * Update provider reputation records under the file lock.
+ */
+export async function updateReputation(update: (records: Record<string, ProviderReputation>) => void): Promise<void> {
+  ensureStateDir();
+  await updateJsonFile<Record<string, ProviderReputation>>(PATHS.providerReputation, {}, records => {
+    update(records);
+    return records;
+  });
+}
+
+/**
+ * Load auto-import state, keyed by outpoint (txid:vout).
+ */
+export function loadAutoImportState(): Record<string, AutoImportRecord> {
+  try {
+    if (fs.existsSync(PATHS.autoImportState)) {
+      return JSON.parse(fs.readFileSync(PATHS.autoImportState, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
+  }
+  return {};
+}
+
+/**
+ * Update auto-import state under the file lock.
+ */
+export async function updateAutoImportState(update: (records: Record<string, AutoImportRecord>) => void): Promise<void> {
+  fs.mkdirSync(path.dirname(PATHS.autoImportState), { recursive: true });
+  await updateJsonFile<Record<string, AutoImportRecord>>(PATHS.autoImportState, {}, records => {
+    update(records);
+    return records;
+  });
+}
+
+/**
+ * Load the legacy single stored change entry (latest-change.json).
  */
 export function loadStoredChange(): StoredChange | null {
   try {
@@ -128,20 +381,113 @@ export function loadStoredChange(): StoredChange | null {
 }
 
 /**
- * Save stored change BEEF data.
+ * Delete the legacy stored change file.
+ */
+export function deleteStoredChange(): void {
+  try {
+    fs.unlinkSync(PATHS.latestChange);
+  } catch {
+    // Ignore if file doesn't exist
+  }
+}
+
+/**
+ * Load the local UTXO pool, keyed by outpoint (txid.vout).
+ */
+export function loadUtxoPool(): Record<string, PoolUtxo> {
+  try {
+    if (fs.existsSync(PATHS.utxoPool)) {
+      return JSON.parse(fs.readFileSync(PATHS.utxoPool, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
+  }
+  return {};
+}
+
+/**
+ * Load the discovery cache, keyed by lookup service and query.
  */
-export function saveStoredChange(data: StoredChange): void {
+export function loadDiscoveryCache(): Record<string, DiscoveryCacheEntry> {
+  try {
+    if (fs.existsSync(PATHS.discoveryCache)) {
+      return JSON.parse(fs.readFileSync(PATHS.discoveryCache, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
+  }
+  return {};
+}
+
+/**
+ * Update the discovery cache under the file lock.
+ */
+export async function updateDiscoveryCache(update: (cache: Record<string, DiscoveryCacheEntry>) => void): Promise<void> {
   ensureStateDir();
-  fs.writeFileSync(PATHS.latestChange, JSON.stringify(data));
+  await updateJsonFile<Record<string, DiscoveryCacheEntry>>(PATHS.discoveryCache, {}, cache => {
+    update(cache);
+    return cache;
+  });
 }
 
 /**
- * Delete stored change file.
+ * Load the newest record sequences discovery has seen, keyed by record.
  */
-export function deleteStoredChange(): void {
+export function loadRecordSequences(): Record<string, SeenRecordSequence> {
   try {
-    fs.unlinkSync(PATHS.latestChange);
+    if (fs.existsSync(PATHS.recordSequences)) {
+      return JSON.parse(fs.readFileSync(PATHS.recordSequences, 'utf-8'));
+    }
   } catch {
-    // Ignore if file doesn't exist
+    // Ignore parse errors
+  }
+  return {};
+}
+
+/**
+ * Update the seen record sequences under the file lock.
+ */
+export async function updateRecordSequences(update: (seen: Record<string, SeenRecordSequence>) => void): Promise<void> {
+  ensureStateDir();
+  await updateJsonFile<Record<string, SeenRecordSequence>>(PATHS.recordSequences, {}, seen => {
+    update(seen);
+    return seen;
+  });
+}
+
+/**
+ * Load the quotes we issued as a provider (PATHS.issuedQuotes) or received as
+ * a requester (PATHS.receivedQuotes), keyed by quote ID.
+ */
+export function loadQuotes(filePath: string): Record<string, StoredQuote> {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch {
+    // Ignore parse errors
   }
+  return {};
+}
+
+/**
+ * Update a quote store under the file lock.
+ */
+export async function updateQuotes(filePath: string, update: (quotes: Record<string, StoredQuote>) => void): Promise<void> {
+  ensureStateDir();
+  await updateJsonFile<Record<string, StoredQuote>>(filePath, {}, quotes => {
+    update(quotes);
+    return quotes;
+  });
+}
+
+/**
+ * Update the local UTXO pool under the file lock.
+ */
+export async function updateUtxoPool(update: (pool: Record<string, PoolUtxo>) => void): Promise<void> {
+  ensureStateDir();
+  await updateJsonFile<Record<string, PoolUtxo>>(PATHS.utxoPool, {}, pool => {
+    update(pool);
+    return pool;
+  });
 }
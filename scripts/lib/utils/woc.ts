@@ -2,7 +2,7 @@
  * WhatsOnChain API helpers with retry logic and rate limiting.
  */
 
-import { NETWORK, WOC_API_KEY } from '../config.js';
+import { CONFIG } from '../config.js';
 
 /**
  * Fetch from WhatsonChain with optional API key auth and retry logic.
@@ -15,12 +15,12 @@ export async function wocFetch(
   maxRetries = 3,
   timeoutMs = 30000
 ): Promise<Response> {
-  const wocNet = NETWORK === 'mainnet' ? 'main' : 'test';
+  const wocNet = CONFIG.NETWORK === 'mainnet' ? 'main' : 'test';
   const base = `https://api.whatsonchain.com/v1/bsv/${wocNet}`;
   const url = urlPath.startsWith('http') ? urlPath : `${base}${urlPath}`;
   const headers: Record<string, string> = { ...(options.headers as Record<string, string> || {}) };
-  if (WOC_API_KEY) {
-    headers['Authorization'] = `Bearer ${WOC_API_KEY}`;
+  if (CONFIG.WOC_API_KEY) {
+    headers['Authorization'] = `Bearer ${CONFIG.WOC_API_KEY}`;
   }
 
   let lastError: Error | undefined;
@@ -92,7 +92,7 @@ export async function fetchBeefFromWoC(txid: string): Promise<Uint8Array | null>
  * Get the WoC base URL for the current network.
  */
 export function getWocBaseUrl(): string {
-  const wocNet = NETWORK === 'mainnet' ? 'main' : 'test';
+  const wocNet = CONFIG.NETWORK === 'mainnet' ? 'main' : 'test';
   return `https://api.whatsonchain.com/v1/bsv/${wocNet}`;
 }
 
@@ -100,7 +100,7 @@ export function getWocBaseUrl(): string {
  * Get the explorer base URL for the current network.
  */
 export function getExplorerBaseUrl(): string {
-  return NETWORK === 'mainnet'
+  return CONFIG.NETWORK === 'mainnet'
     ? 'https://whatsonchain.com'
     : 'https://test.whatsonchain.com';
 }
@@ -0,0 +1,144 @@
+/**
+ * Auto-import of incoming funds.
+ *
+ * Each cycle lists the unspent outputs paying to our receive address and
+ * imports the ones we haven't handled yet. Our own change outputs are left
+ * to the UTXO pool, which the cycle also brings up to date. Every outpoint's outcome is kept
+ * in the auto-import state file, so restarts don't re-attempt imported or
+ * permanently failed outputs, and transient failures are retried with backoff.
+ */
+
+import { loadAutoImportState, updateAutoImportState } from '../utils/storage.js';
+import { getChainProvider } from '../chain/index.js';
+import { cmdAddress } from './setup.js';
+import { cmdImport } from './balance.js';
+import { isPoolOutpoint, refreshUtxoPool } from './utxo-pool.js';
+import type { AutoImportRecord } from '../types.js';
+
+/** Outputs below this value are recorded as skipped, never imported. */
+export const AUTO_IMPORT_DUST_SATS = 200;
+
+/** Give up on an output after this many failed attempts. */
+const MAX_ATTEMPTS = 10;
+const BASE_BACKOFF_MS = 60_000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+/** Failures that won't go away by retrying. */
+const PERMANENT_ERROR = /Invalid txid|Output index \d+ not found/i;
+/** Failures meaning the output is already in the wallet. */
+const ALREADY_IMPORTED_ERROR = /already|duplicate|UNIQUE constraint/i;
+
+export interface AutoImportCycle {
+  address: string;
+  checked: number;
+  imported: Array<{ txid: string; vout: number; satoshis: number }>;
+  retrying: Array<{ txid: string; vout: number; satoshis: number; attempts: number; nextAttemptAt: string | null; reason: string | null }>;
+  failed: Array<{ txid: string; vout: number; satoshis: number; reason: string | null }>;
+}
+
+function backoffMs(attempts: number): number {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Run one auto-import cycle against the chain-data provider.
+ */
+export async function runAutoImport(): Promise<AutoImportCycle> {
+  const { address } = await cmdAddress();
+  const utxos = await getChainProvider().getUtxos(address);
+  const state = loadAutoImportState();
+  const now = Date.now();
+  const cycle: AutoImportCycle = { address, checked: utxos.length, imported: [], retrying: [], failed: [] };
+
+  try {
+    await refreshUtxoPool(address, utxos);
+  } catch {
+    // Non-fatal — the pool is refreshed again next cycle
+  }
+
+  for (const utxo of utxos) {
+    const key = `${utxo.txid}:${utxo.vout}`;
+    const existing = state[key];
+
+    if (existing && existing.status !== 'retrying') continue;
+    if (existing?.nextAttemptAt && Date.parse(existing.nextAttemptAt) > now) continue;
+
+    const record: AutoImportRecord = existing || {
+      txid: utxo.txid,
+      vout: utxo.vout,
+      satoshis: utxo.satoshis,
+      status: 'retrying',
+      attempts: 0,
+      firstSeenAt: new Date(now).toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      reason: null,
+      importedAt: null,
+    };
+
+    if (isPoolOutpoint(utxo.txid, utxo.vout)) {
+      record.status = 'skipped';
+      record.reason = 'Own change output (tracked in the UTXO pool)';
+    } else if (utxo.satoshis < AUTO_IMPORT_DUST_SATS) {
+      record.status = 'skipped';
+      record.reason = `Dust output (below ${AUTO_IMPORT_DUST_SATS} sats)`;
+    } else {
+      record.attempts++;
+      record.lastAttemptAt = new Date().toISOString();
+      try {
+        await cmdImport(utxo.txid, String(utxo.vout));
+        record.status = 'imported';
+        record.reason = null;
+        record.nextAttemptAt = null;
+        record.importedAt = new Date().toISOString();
+      } catch (err: any) {
+        const message: string = err?.message || String(err);
+        if (ALREADY_IMPORTED_ERROR.test(message)) {
+          record.status = 'imported';
+          record.reason = `Already in wallet: ${message}`;
+          record.nextAttemptAt = null;
+        } else if (PERMANENT_ERROR.test(message)) {
+          record.status = 'failed';
+          record.reason = message;
+          record.nextAttemptAt = null;
+        } else if (record.attempts >= MAX_ATTEMPTS) {
+          record.status = 'failed';
+          record.reason = `Gave up after ${record.attempts} attempts: ${message}`;
+          record.nextAttemptAt = null;
+        } else {
+          record.status = 'retrying';
+          record.reason = message;
+          record.nextAttemptAt = new Date(Date.now() + backoffMs(record.attempts)).toISOString();
+        }
+      }
+    }
+
+    await updateAutoImportState(records => {
+      records[key] = record;
+    });
+
+    const summary = { txid: record.txid, vout: record.vout, satoshis: record.satoshis };
+    if (record.status === 'imported' && !record.reason) cycle.imported.push(summary);
+    else if (record.status === 'retrying') {
+      cycle.retrying.push({ ...summary, attempts: record.attempts, nextAttemptAt: record.nextAttemptAt, reason: record.reason });
+    } else if (record.status === 'failed') cycle.failed.push({ ...summary, reason: record.reason });
+  }
+
+  return cycle;
+}
+
+/**
+ * Auto-import command: run one import cycle, or with --status list the
+ * recorded outcome of every output seen so far.
+ */
+export async function cmdAutoImport(args: string[]) {
+  if (args.includes('--status')) {
+    const records = Object.values(loadAutoImportState())
+      .sort((a, b) => b.firstSeenAt.localeCompare(a.firstSeenAt));
+    const counts = { imported: 0, retrying: 0, failed: 0, skipped: 0 };
+    for (const rec of records) counts[rec.status]++;
+    return { records, counts, total: records.length };
+  }
+
+  return runAutoImport();
+}
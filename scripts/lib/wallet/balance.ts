@@ -3,12 +3,13 @@
  */
 
 import fs from 'node:fs';
-import { NETWORK, WALLET_DIR, OVERLAY_STATE_DIR, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, OVERLAY_STATE_DIR, PATHS } from '../config.js';
 import { loadWalletIdentity, deriveWalletAddress } from './identity.js';
-import { wocFetch, fetchBeefFromWoC, getExplorerBaseUrl } from '../utils/woc.js';
+import { getExplorerBaseUrl } from '../utils/woc.js';
+import { getChainProvider } from '../chain/index.js';
 import { buildMerklePathFromTSC } from '../utils/merkle.js';
-import { loadStoredChange, deleteStoredChange } from '../utils/storage.js';
+import { migrateLegacyChange, listPoolUtxos, loadPoolTx, markPoolSpent } from './utxo-pool.js';
+import { getFeeRate, signWithFee } from '../utils/fees.js';
 
 // Dynamic import for BSVAgentWallet
 let _BSVAgentWallet: any = null;
@@ -81,83 +82,73 @@ async function getSdk(): Promise<any> {
 /**
  * Balance command: show wallet balance.
  */
-export async function cmdBalance(): Promise<never> {
+export async function cmdBalance() {
   const BSVAgentWallet = await getBSVAgentWallet();
   const sdk = await getSdk();
 
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const total = await wallet.getBalance();
   await wallet.destroy();
 
-  // Also check on-chain balance via WoC for completeness
+  // Also check on-chain balance via the chain provider for completeness
   let onChain: { address: string; confirmed: number; unconfirmed: number } | null = null;
   try {
     const identity = loadWalletIdentity();
     const privKey = sdk.PrivateKey.fromHex(identity.rootKeyHex);
     const { address } = await deriveWalletAddress(privKey);
 
-    const resp = await wocFetch(`/address/${address}/balance`);
-    if (resp.ok) {
-      const bal = await resp.json();
-      onChain = {
-        address,
-        confirmed: bal.confirmed,
-        unconfirmed: bal.unconfirmed,
-      };
-    }
+    const bal = await getChainProvider().getBalance(address);
+    onChain = {
+      address,
+      confirmed: bal.confirmed,
+      unconfirmed: bal.unconfirmed,
+    };
   } catch {
     // Non-fatal
   }
 
-  return ok({ walletBalance: total, onChain });
+  return { walletBalance: total, onChain };
 }
 
 /**
  * Import command: import external UTXO with merkle proof.
  */
-export async function cmdImport(txidArg: string | undefined, voutStr?: string): Promise<never> {
+export async function cmdImport(txidArg: string | undefined, voutStr?: string) {
   if (!txidArg) {
-    return fail('Usage: import <txid> [vout]');
+    throw new Error('Usage: import <txid> [vout]');
   }
 
   const vout = parseInt(voutStr || '0', 10);
   const txid = txidArg.toLowerCase();
 
   if (!/^[0-9a-f]{64}$/.test(txid)) {
-    return fail('Invalid txid — must be 64 hex characters');
+    throw new Error('Invalid txid — must be 64 hex characters');
   }
 
   const sdk = await getSdk();
   const BSVAgentWallet = await getBSVAgentWallet();
+  const chain = getChainProvider();
 
   // Check confirmation status
-  const txInfoResp = await wocFetch(`/tx/${txid}`);
-  if (!txInfoResp.ok) {
-    return fail(`Failed to fetch tx info: ${txInfoResp.status}`);
-  }
-  const txInfo = await txInfoResp.json();
+  const txInfo = await chain.getTxInfo(txid);
 
-  const isConfirmed = txInfo.confirmations && txInfo.confirmations >= 1;
-  const blockHeight = txInfo.blockheight;
+  const isConfirmed = txInfo.confirmations >= 1;
+  const blockHeight = txInfo.blockHeight;
 
   let atomicBeefBytes: Uint8Array;
 
   if (isConfirmed) {
     // Confirmed path: use merkle proof
-    const rawTxResp = await wocFetch(`/tx/${txid}/hex`);
-    if (!rawTxResp.ok) {
-      return fail(`Failed to fetch raw tx: ${rawTxResp.status}`);
-    }
-    const rawTxHex = await rawTxResp.text();
+    const rawTxHex = await chain.getRawTx(txid);
     const sourceTx = sdk.Transaction.fromHex(rawTxHex);
     const output = sourceTx.outputs[vout];
     if (!output) {
-      return fail(`Output index ${vout} not found (tx has ${sourceTx.outputs.length} outputs)`);
+      throw new Error(`Output index ${vout} not found (tx has ${sourceTx.outputs.length} outputs)`);
     }
 
-    // Try WoC BEEF first (even for confirmed — it's more reliable)
+    // Try provider BEEF first (even for confirmed — it's more reliable)
     let usedWocBeef = false;
-    const wocBeefBytes = await fetchBeefFromWoC(txid);
+    const wocBeefBytes = await chain.getBeef(txid);
     if (wocBeefBytes) {
       try {
         const wocBeef = sdk.Beef.fromBinary(Array.from(wocBeefBytes));
@@ -167,23 +158,18 @@ export async function cmdImport(txidArg: string | undefined, voutStr?: string):
           usedWocBeef = true;
         }
       } catch (beefErr: any) {
-        console.error(`[cmdImport] WoC BEEF parse failed for confirmed tx: ${beefErr.message}`);
+        console.error(`[cmdImport] ${chain.name} BEEF parse failed for confirmed tx: ${beefErr.message}`);
       }
     }
 
     // Fallback: manual TSC proof
     if (!usedWocBeef) {
-      const proofResp = await wocFetch(`/tx/${txid}/proof/tsc`);
-      if (!proofResp.ok) {
-        return fail(`Failed to fetch merkle proof: ${proofResp.status}`);
-      }
-      const proofData = await proofResp.json();
-      if (!Array.isArray(proofData) || proofData.length === 0) {
-        return fail('No merkle proof available');
+      const proof = await chain.getMerkleProof(txid);
+      if (!proof) {
+        throw new Error('No merkle proof available');
       }
 
-      const proof = proofData[0];
-      const merklePath = await buildMerklePathFromTSC(txid, proof.index, proof.nodes, blockHeight);
+      const merklePath = await buildMerklePathFromTSC(txid, proof.index, proof.nodes, blockHeight!);
       sourceTx.merklePath = merklePath;
 
       const beef = new sdk.Beef();
@@ -191,39 +177,43 @@ export async function cmdImport(txidArg: string | undefined, voutStr?: string):
       atomicBeefBytes = beef.toBinaryAtomic(txid);
     }
   } else {
-    // Unconfirmed path: try WoC BEEF (includes source chain back to confirmed ancestor)
-    const wocBeefBytes = await fetchBeefFromWoC(txid);
+    // Unconfirmed path: try provider BEEF (includes source chain back to confirmed ancestor)
+    const wocBeefBytes = await chain.getBeef(txid);
     if (wocBeefBytes) {
+      let wocBeef: any;
+      let foundTx: any;
       try {
-        const wocBeef = sdk.Beef.fromBinary(Array.from(wocBeefBytes));
-        const foundTx = wocBeef.findTxid(txid);
-        if (!foundTx) {
-          return fail(`Transaction ${txid} is unconfirmed and WoC BEEF does not contain it. Wait for 1+ confirmation.`);
-        }
-        // Verify the output exists
-        const txObj = foundTx.tx || foundTx._tx;
-        if (txObj) {
-          const output = txObj.outputs[vout];
-          if (!output) {
-            return fail(`Output index ${vout} not found (tx has ${txObj.outputs.length} outputs)`);
-          }
+        wocBeef = sdk.Beef.fromBinary(Array.from(wocBeefBytes));
+        foundTx = wocBeef.findTxid(txid);
+      } catch (beefErr: any) {
+        throw new Error(`Transaction ${txid} is unconfirmed (${txInfo.confirmations || 0} confirmations) and WoC BEEF failed: ${beefErr.message}. Wait for 1+ confirmation.`);
+      }
+      if (!foundTx) {
+        throw new Error(`Transaction ${txid} is unconfirmed and WoC BEEF does not contain it. Wait for 1+ confirmation.`);
+      }
+      // Verify the output exists
+      const txObj = foundTx.tx || foundTx._tx;
+      if (txObj) {
+        const output = txObj.outputs[vout];
+        if (!output) {
+          throw new Error(`Output index ${vout} not found (tx has ${txObj.outputs.length} outputs)`);
         }
+      }
+      try {
         atomicBeefBytes = wocBeef.toBinaryAtomic(txid);
       } catch (beefErr: any) {
-        return fail(`Transaction ${txid} is unconfirmed (${txInfo.confirmations || 0} confirmations) and WoC BEEF failed: ${beefErr.message}. Wait for 1+ confirmation.`);
+        throw new Error(`Transaction ${txid} is unconfirmed (${txInfo.confirmations || 0} confirmations) and WoC BEEF failed: ${beefErr.message}. Wait for 1+ confirmation.`);
       }
     } else {
-      return fail(`Transaction ${txid} is unconfirmed (${txInfo.confirmations || 0} confirmations) and no BEEF available from WoC. Wait for 1+ confirmation.`);
+      throw new Error(`Transaction ${txid} is unconfirmed (${txInfo.confirmations || 0} confirmations) and no BEEF available from WoC. Wait for 1+ confirmation.`);
     }
   }
 
   // Fetch output satoshis for reporting
-  let outputSatoshis = txInfo.vout?.[vout]?.value != null
-    ? Math.round(txInfo.vout[vout].value * 1e8)
-    : undefined;
+  let outputSatoshis = txInfo.outputs[vout];
 
   // Import into wallet
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
 
   try {
@@ -245,7 +235,7 @@ export async function cmdImport(txidArg: string | undefined, voutStr?: string):
     await wallet.destroy();
 
     const explorerBase = getExplorerBaseUrl();
-    return ok({
+    return {
       txid,
       vout,
       satoshis: outputSatoshis,
@@ -255,23 +245,23 @@ export async function cmdImport(txidArg: string | undefined, voutStr?: string):
       unconfirmed: !isConfirmed,
       balance,
       explorer: `${explorerBase}/tx/${txid}`,
-    });
+    };
   } catch (err: any) {
     await wallet.destroy();
-    return fail(`Failed to import UTXO: ${err.message}`);
+    throw new Error(`Failed to import UTXO: ${err.message}`);
   }
 }
 
 /**
  * Refund command: sweep wallet to an address.
  */
-export async function cmdRefund(targetAddress: string | undefined): Promise<never> {
+export async function cmdRefund(targetAddress: string | undefined) {
   if (!targetAddress) {
-    return fail('Usage: refund <address>');
+    throw new Error('Usage: refund <address>');
   }
 
   if (!fs.existsSync(PATHS.walletIdentity)) {
-    return fail('Wallet not initialized. Run: setup');
+    throw new Error('Wallet not initialized. Run: setup');
   }
 
   const sdk = await getSdk();
@@ -279,124 +269,103 @@ export async function cmdRefund(targetAddress: string | undefined): Promise<neve
   const privKey = sdk.PrivateKey.fromHex(identity.rootKeyHex);
   const { address: sourceAddress, hash160 } = await deriveWalletAddress(privKey);
 
-  // Refund sweeps all funds — needs WoC to discover all UTXOs (manual command)
-  const utxoResp = await wocFetch(`/address/${sourceAddress}/unspent`);
-  if (!utxoResp.ok) {
-    return fail(`Failed to fetch UTXOs: ${utxoResp.status}`);
-  }
-  const utxos = await utxoResp.json();
-  if (!utxos || utxos.length === 0) {
-    return fail(`No UTXOs found for ${sourceAddress}`);
-  }
-
-  // Also include stored BEEF change if available (may not be on-chain yet)
-  const storedChange = loadStoredChange();
-  let storedBeefTx: { stored: any; tx: any } | null = null;
-  let storedBeefIncluded = false;
+  // Refund sweeps all funds — needs the chain provider to discover all UTXOs (manual command)
+  const chain = getChainProvider();
+  const utxos = await chain.getUtxos(sourceAddress);
 
-  if (storedChange && storedChange.satoshis > 0 && !utxos.some((u: any) => u.tx_hash === storedChange.txid)) {
-    try {
-      // Reconstruct tx from stored chain
-      const tx = sdk.Transaction.fromHex(storedChange.txHex);
-      if (storedChange.sourceChain && storedChange.sourceChain.length > 0) {
-        let childTx = tx;
-        for (const entry of storedChange.sourceChain) {
-          const srcTx = sdk.Transaction.fromHex(entry.txHex);
-          if (entry.merklePathHex) {
-            const mpBytes = entry.merklePathHex.match(/.{2}/g)!.map((h: string) => parseInt(h, 16));
-            srcTx.merklePath = sdk.MerklePath.fromBinary(mpBytes);
-          }
-          childTx.inputs[0].sourceTransaction = srcTx;
-          childTx = srcTx;
-        }
-      }
-      storedBeefTx = { stored: storedChange, tx };
-    } catch {
-      // Ignore errors reconstructing stored change
-    }
+  // Also include pool outputs, which may not be on-chain yet
+  await migrateLegacyChange();
+  const poolUtxos = listPoolUtxos();
+  if (utxos.length === 0 && poolUtxos.length === 0) {
+    throw new Error(`No UTXOs found for ${sourceAddress}`);
   }
 
   const tx = new sdk.Transaction();
+  const spent: Array<{ txid: string; vout: number }> = [];
   let totalInput = 0;
+  let poolInputs = 0;
 
-  // Add stored BEEF input first (has full source chain, no WoC needed)
-  if (storedBeefTx) {
+  // Add pool inputs first (their BEEF has the ancestry, no chain lookup needed)
+  for (const utxo of poolUtxos) {
+    let srcTx: any;
+    try {
+      srcTx = loadPoolTx(sdk, utxo);
+    } catch {
+      continue; // unusable BEEF — a chain UTXO below may still cover it
+    }
     tx.addInput({
-      sourceTransaction: storedBeefTx.tx,
-      sourceOutputIndex: storedBeefTx.stored.vout,
+      sourceTransaction: srcTx,
+      sourceOutputIndex: utxo.vout,
       unlockingScriptTemplate: new sdk.P2PKH().unlock(privKey),
     });
-    totalInput += storedBeefTx.stored.satoshis;
-    storedBeefIncluded = true;
+    spent.push(utxo);
+    totalInput += utxo.satoshis;
+    poolInputs++;
   }
 
-  // Add WoC UTXOs
+  // Add on-chain UTXOs
   const sourceTxCache: Record<string, string> = {};
   for (const utxo of utxos) {
-    if (!sourceTxCache[utxo.tx_hash]) {
-      const txResp = await wocFetch(`/tx/${utxo.tx_hash}/hex`);
-      if (!txResp.ok) continue; // skip on error, non-fatal for sweep
-      sourceTxCache[utxo.tx_hash] = await txResp.text();
+    if (spent.some(s => s.txid === utxo.txid && s.vout === utxo.vout)) continue;
+    if (!sourceTxCache[utxo.txid]) {
+      try {
+        sourceTxCache[utxo.txid] = await chain.getRawTx(utxo.txid);
+      } catch {
+        continue; // skip on error, non-fatal for sweep
+      }
     }
-    const srcTx = sdk.Transaction.fromHex(sourceTxCache[utxo.tx_hash]);
+    const srcTx = sdk.Transaction.fromHex(sourceTxCache[utxo.txid]);
     tx.addInput({
       sourceTransaction: srcTx,
-      sourceOutputIndex: utxo.tx_pos,
+      sourceOutputIndex: utxo.vout,
       unlockingScriptTemplate: new sdk.P2PKH().unlock(privKey),
     });
-    totalInput += utxo.value;
+    spent.push(utxo);
+    totalInput += utxo.satoshis;
   }
 
   if (totalInput === 0) {
-    return fail('No spendable funds found');
+    throw new Error('No spendable funds found');
   }
 
   const targetDecoded = sdk.Utils.fromBase58(targetAddress);
   const targetHash160 = targetDecoded.slice(1, 21);
   tx.addOutput({
     lockingScript: new sdk.P2PKH().lock(targetHash160),
-    satoshis: totalInput,
+    satoshis: 0,
   });
 
+  // The sweep output takes whatever the fee for the signed size leaves
   const inputCount = tx.inputs.length;
-  const estimatedSize = inputCount * 148 + 34 + 10;
-  const fee = Math.max(Math.ceil(estimatedSize / 1000), 100);
-  if (totalInput <= fee) {
-    return fail(`Total value (${totalInput} sats) ≤ fee (${fee} sats)`);
-  }
-  tx.outputs[0].satoshis = totalInput - fee;
-
-  await tx.sign();
+  const { change: satoshisSent, ...fee } = await signWithFee(tx, {
+    rate: await getFeeRate(),
+    changeIndex: 0,
+    minChange: 1,
+    keepChange: true,
+  });
   const txid = tx.id('hex');
 
   // Broadcast (required for refund — funds leave the overlay)
-  const broadcastResp = await wocFetch(`/tx/raw`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ txhex: tx.toHex() }),
-  });
-
-  if (!broadcastResp.ok) {
-    const errText = await broadcastResp.text();
-    return fail(`Broadcast failed: ${broadcastResp.status} — ${errText}`);
-  }
+  const broadcastTxid = await chain.broadcast(tx.toHex());
 
-  // Clear stored BEEF since we swept everything
-  deleteStoredChange();
+  // Everything we swept is spent now
+  await markPoolSpent(spent, broadcastTxid);
 
-  const broadcastResult = await broadcastResp.text();
   const explorerBase = getExplorerBaseUrl();
 
-  return ok({
-    txid: broadcastResult.replace(/"/g, '').trim(),
-    satoshisSent: totalInput - fee,
-    fee,
+  return {
+    txid: broadcastTxid,
+    satoshisSent,
+    fee: fee.fee,
+    sizeBytes: fee.sizeBytes,
+    feeRate: { satsPerKb: fee.satsPerKb, source: fee.rateSource },
     inputCount,
     totalInput,
     from: sourceAddress,
     to: targetAddress,
-    storedBeefIncluded,
-    network: NETWORK,
+    poolInputs,
+    network: CONFIG.NETWORK,
+    broadcaster: chain.name,
     explorer: `${explorerBase}/tx/${txid}`,
-  });
+  };
 }
@@ -0,0 +1,234 @@
+/**
+ * Coin gathering and selection for transactions signed with the root key.
+ *
+ * Spendable coins come from three places:
+ * - the local UTXO pool of our own change outputs (may not be mined yet)
+ * - wallet-managed outputs locked to our root P2PKH address (e.g. imported funds)
+ * - address UTXOs reported by the chain provider
+ *
+ * Every selected coin carries its source transaction with full BEEF ancestry,
+ * so the spending transaction can be serialized with tx.toBEEF().
+ */
+
+import { CONFIG } from '../config.js';
+import { getChainProvider } from '../chain/index.js';
+import { loadPoolTx } from './utxo-pool.js';
+import type { PoolUtxo } from '../types.js';
+
+// Dynamic import for BSVAgentWallet
+let _BSVAgentWallet: any = null;
+
+async function getBSVAgentWallet(): Promise<any> {
+  if (_BSVAgentWallet) return _BSVAgentWallet;
+
+  try {
+    const core = await import('@a2a-bsv/core');
+    _BSVAgentWallet = core.BSVAgentWallet;
+    return _BSVAgentWallet;
+  } catch {
+    const { fileURLToPath } = await import('node:url');
+    const path = await import('node:path');
+    const os = await import('node:os');
+
+    const __dirname = path.dirname(fileURLToPath(import.meta.url));
+    const candidates = [
+      path.resolve(__dirname, '..', '..', '..', 'node_modules', '@a2a-bsv', 'core', 'dist', 'index.js'),
+      path.resolve(__dirname, '..', '..', '..', '..', '..', 'a2a-bsv', 'packages', 'core', 'dist', 'index.js'),
+      path.resolve(os.homedir(), 'a2a-bsv', 'packages', 'core', 'dist', 'index.js'),
+    ];
+
+    for (const p of candidates) {
+      try {
+        const core = await import(p);
+        _BSVAgentWallet = core.BSVAgentWallet;
+        return _BSVAgentWallet;
+      } catch {
+        // Try next
+      }
+    }
+    throw new Error('Cannot find @a2a-bsv/core. Run setup.sh first.');
+  }
+}
+
+export type CoinSource = 'pool' | 'wallet' | 'chain';
+
+export interface SpendableCoin {
+  txid: string;
+  vout: number;
+  satoshis: number;
+  source: CoinSource;
+  /** The wallet tracks this output and must be told once we spend it */
+  walletTracked: boolean;
+  /** Source transaction with ancestry, loaded on demand */
+  sourceTx: any | null;
+  loadSourceTx: () => Promise<any>;
+}
+
+/**
+ * Collect every coin we can spend with the root key. The wallet and chain
+ * sources are best-effort; a failing source just contributes no coins.
+ */
+export async function gatherSpendableCoins(
+  sdk: any,
+  address: string,
+  hash160: number[] | Uint8Array,
+  poolUtxos: PoolUtxo[]
+): Promise<SpendableCoin[]> {
+  const coins = new Map<string, SpendableCoin>();
+  const rootScriptHex = new sdk.P2PKH().lock(hash160).toHex();
+
+  for (const utxo of poolUtxos) {
+    coins.set(`${utxo.txid}.${utxo.vout}`, {
+      txid: utxo.txid,
+      vout: utxo.vout,
+      satoshis: utxo.satoshis,
+      source: 'pool',
+      walletTracked: false,
+      sourceTx: null,
+      loadSourceTx: async () => loadPoolTx(sdk, utxo),
+    });
+  }
+
+  // Wallet-managed outputs locked to our root address
+  try {
+    const BSVAgentWallet = await getBSVAgentWallet();
+    const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
+    try {
+      const listed = await wallet._setup.wallet.listOutputs({
+        basket: 'default',
+        include: 'entire transactions',
+        limit: 1000,
+      });
+      const beef = listed.BEEF ? sdk.Beef.fromBinary(Array.from(listed.BEEF)) : null;
+      for (const out of listed.outputs || []) {
+        if (out.spendable === false) continue;
+        const [txid, voutStr] = String(out.outpoint).split('.');
+        const vout = parseInt(voutStr, 10);
+        const key = `${txid}.${vout}`;
+        if (coins.has(key) || !beef) continue;
+        const tx = beef.findAtomicTransaction(txid);
+        if (!tx || tx.outputs[vout]?.lockingScript.toHex() !== rootScriptHex) continue;
+        coins.set(key, {
+          txid,
+          vout,
+          satoshis: out.satoshis,
+          source: 'wallet',
+          walletTracked: true,
+          sourceTx: tx,
+          loadSourceTx: async () => tx,
+        });
+      }
+    } finally {
+      await wallet.destroy();
+    }
+  } catch {
+    // Wallet unavailable — chain UTXOs only
+  }
+
+  // Address UTXOs from the chain provider; BEEF is fetched only if selected
+  const chain = getChainProvider();
+  try {
+    for (const utxo of await chain.getUtxos(address)) {
+      const key = `${utxo.txid}.${utxo.vout}`;
+      if (coins.has(key)) continue;
+      const coin: SpendableCoin = {
+        txid: utxo.txid,
+        vout: utxo.vout,
+        satoshis: utxo.satoshis,
+        source: 'chain',
+        walletTracked: false,
+        sourceTx: null,
+        loadSourceTx: async () => {
+          const beefBytes = await chain.getBeef(utxo.txid);
+          const tx = beefBytes ? sdk.Beef.fromBinary(Array.from(beefBytes)).findAtomicTransaction(utxo.txid) : null;
+          if (!tx) {
+            throw new Error(`Cannot obtain BEEF for UTXO ${utxo.txid}. Transaction may be unconfirmed.`);
+          }
+          return tx;
+        },
+      };
+      coins.set(key, coin);
+    }
+  } catch {
+    // Chain provider unavailable — pool and wallet outputs only
+  }
+
+  return [...coins.values()];
+}
+
+/**
+ * Choose coins covering `targetFor(inputCount)`, which grows with the number
+ * of inputs as each one adds to the fee. Prefers the smallest single coin
+ * that covers the target, then accumulates largest-first. Returns null if
+ * all coins together fall short.
+ */
+export function selectCoins<T extends { satoshis: number }>(
+  coins: T[],
+  targetFor: (inputCount: number) => number
+): T[] | null {
+  const single = coins
+    .filter(c => c.satoshis >= targetFor(1))
+    .sort((a, b) => a.satoshis - b.satoshis)[0];
+  if (single) return [single];
+
+  const selected: T[] = [];
+  let total = 0;
+  for (const coin of [...coins].sort((a, b) => b.satoshis - a.satoshis)) {
+    selected.push(coin);
+    total += coin.satoshis;
+    if (total >= targetFor(selected.length)) return selected;
+  }
+  return null;
+}
+
+/**
+ * Select coins and load their source transactions. Coins whose ancestry
+ * can't be obtained are dropped and selection is retried without them.
+ */
+export async function selectAndLoadCoins(
+  coins: SpendableCoin[],
+  targetFor: (inputCount: number) => number
+): Promise<SpendableCoin[]> {
+  let candidates = [...coins];
+  let lastError: Error | null = null;
+
+  for (;;) {
+    const selected = selectCoins(candidates, targetFor);
+    if (!selected) {
+      const available = coins.reduce((sum, c) => sum + c.satoshis, 0);
+      const reason = lastError ? ` Last error: ${lastError.message}` : '';
+      throw new Error(`Insufficient spendable funds: need ≥ ${targetFor(1)} sats, have ${available} sats across ${coins.length} coin(s).${reason}`);
+    }
+
+    const failed: SpendableCoin[] = [];
+    for (const coin of selected) {
+      if (coin.sourceTx) continue;
+      try {
+        coin.sourceTx = await coin.loadSourceTx();
+      } catch (err: any) {
+        lastError = err;
+        failed.push(coin);
+      }
+    }
+    if (failed.length === 0) return selected;
+    candidates = candidates.filter(c => !failed.includes(c));
+  }
+}
+
+/**
+ * Tell the wallet that outputs it tracks were spent outside of it.
+ */
+export async function relinquishWalletOutputs(coins: SpendableCoin[]): Promise<void> {
+  const tracked = coins.filter(c => c.walletTracked);
+  if (tracked.length === 0) return;
+
+  const BSVAgentWallet = await getBSVAgentWallet();
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
+  try {
+    for (const coin of tracked) {
+      await wallet._setup.wallet.relinquishOutput({ basket: 'default', output: `${coin.txid}.${coin.vout}` });
+    }
+  } finally {
+    await wallet.destroy();
+  }
+}
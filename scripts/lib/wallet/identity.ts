@@ -3,7 +3,7 @@
  */
 
 import fs from 'node:fs';
-import { WALLET_DIR, PATHS } from '../config.js';
+import { CONFIG, PATHS } from '../config.js';
 import type { WalletIdentity } from '../types.js';
 
 // Dynamic import for @bsv/sdk
@@ -128,6 +128,69 @@ export async function verifyRelaySignature(
   }
 }
 
+/**
+ * JSON with object keys sorted at every level, so a record's signature
+ * doesn't depend on the key order it was serialized with.
+ */
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJson(v)}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hex SHA-256 of a value's canonical JSON, e.g. to bind a quote to the input
+ * it was issued for.
+ */
+export async function canonicalJsonHash(value: unknown): Promise<string> {
+  const sdk = await getSdk();
+  return sdk.Utils.toHex(sdk.Hash.sha256(Array.from(new TextEncoder().encode(canonicalJson(value)))));
+}
+
+/**
+ * Sign an overlay record payload with the identity key it names.
+ * @param privKey - Identity private key
+ * @returns The payload with a hex DER `recordSignature` over all of its fields
+ */
+export async function signOverlayPayload<T extends { identityKey?: string }>(
+  privKey: any,
+  payload: T
+): Promise<T & { recordSignature: string }> {
+  const sdk = await getSdk();
+  const msgHash = sdk.Hash.sha256(Array.from(new TextEncoder().encode(canonicalJson(payload))));
+  const sig = privKey.sign(msgHash);
+  return { ...payload, recordSignature: sdk.Utils.toHex(sig.toDER()) };
+}
+
+/**
+ * Verify that an overlay record payload was signed by the identity key it names.
+ * @returns valid: false with reason 'unsigned' for records without a signature
+ */
+export async function verifyOverlayPayload(
+  payload: Record<string, unknown>
+): Promise<{ valid: boolean; reason?: string }> {
+  const { recordSignature, ...fields } = payload;
+  if (typeof recordSignature !== 'string' || !recordSignature) return { valid: false, reason: 'unsigned' };
+  if (typeof fields.identityKey !== 'string') return { valid: false, reason: 'no identity key' };
+
+  try {
+    const sdk = await getSdk();
+    const msgHash = sdk.Hash.sha256(Array.from(new TextEncoder().encode(canonicalJson(fields))));
+    const sig = sdk.Signature.fromDER(sdk.Utils.toArray(recordSignature, 'hex'));
+    const pubKey = sdk.PublicKey.fromString(fields.identityKey);
+    return pubKey.verify(msgHash, sig) ? { valid: true } : { valid: false, reason: 'bad signature' };
+  } catch (err) {
+    return { valid: false, reason: String(err) };
+  }
+}
+
 /**
  * Derive wallet address components from a private key.
  */
@@ -137,12 +200,12 @@ export async function deriveWalletAddress(privKey: any): Promise<{
   pubKey: any;
 }> {
   const sdk = await getSdk();
-  const { NETWORK } = await import('../config.js');
+  const { CONFIG } = await import('../config.js');
 
   const pubKey = privKey.toPublicKey();
   const pubKeyBytes = pubKey.encode(true);
   const hash160 = sdk.Hash.hash160(pubKeyBytes);
-  const prefix = NETWORK === 'mainnet' ? 0x00 : 0x6f;
+  const prefix = CONFIG.NETWORK === 'mainnet' ? 0x00 : 0x6f;
   const addrPayload = new Uint8Array([prefix, ...hash160]);
   const checksum = sdk.Hash.hash256(Array.from(addrPayload)).slice(0, 4);
   const addressBytes = new Uint8Array([...addrPayload, ...checksum]);
@@ -5,3 +5,6 @@
 export * from './identity.js';
 export * from './setup.js';
 export * from './balance.js';
+export * from './auto-import.js';
+export * from './coins.js';
+export * from './utxo-pool.js';
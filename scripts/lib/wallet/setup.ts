@@ -3,8 +3,7 @@
  */
 
 import fs from 'node:fs';
-import { NETWORK, WALLET_DIR, OVERLAY_URL, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, PATHS } from '../config.js';
 import { loadWalletIdentity, deriveWalletAddress } from './identity.js';
 
 // Dynamic import for BSVAgentWallet
@@ -78,25 +77,25 @@ async function getSdk(): Promise<any> {
 /**
  * Setup command: create wallet and show identity.
  */
-export async function cmdSetup(): Promise<never> {
+export async function cmdSetup() {
   const BSVAgentWallet = await getBSVAgentWallet();
 
   if (fs.existsSync(PATHS.walletIdentity)) {
-    const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+    const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
     const identityKey = await wallet.getIdentityKey();
     await wallet.destroy();
 
-    return ok({
+    return {
       identityKey,
-      walletDir: WALLET_DIR,
-      network: NETWORK,
-      overlayUrl: OVERLAY_URL,
+      walletDir: CONFIG.WALLET_DIR,
+      network: CONFIG.NETWORK,
+      overlayUrl: CONFIG.OVERLAY_URL,
       alreadyExisted: true,
-    });
+    };
   }
 
-  fs.mkdirSync(WALLET_DIR, { recursive: true });
-  const wallet = await BSVAgentWallet.create({ network: NETWORK, storageDir: WALLET_DIR });
+  fs.mkdirSync(CONFIG.WALLET_DIR, { recursive: true });
+  const wallet = await BSVAgentWallet.create({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
   await wallet.destroy();
 
@@ -105,33 +104,33 @@ export async function cmdSetup(): Promise<never> {
     fs.chmodSync(PATHS.walletIdentity, 0o600);
   }
 
-  return ok({
+  return {
     identityKey,
-    walletDir: WALLET_DIR,
-    network: NETWORK,
-    overlayUrl: OVERLAY_URL,
+    walletDir: CONFIG.WALLET_DIR,
+    network: CONFIG.NETWORK,
+    overlayUrl: CONFIG.OVERLAY_URL,
     alreadyExisted: false,
-  });
+  };
 }
 
 /**
  * Identity command: show identity public key.
  */
-export async function cmdIdentity(): Promise<never> {
+export async function cmdIdentity() {
   const BSVAgentWallet = await getBSVAgentWallet();
-  const wallet = await BSVAgentWallet.load({ network: NETWORK, storageDir: WALLET_DIR });
+  const wallet = await BSVAgentWallet.load({ network: CONFIG.NETWORK, storageDir: CONFIG.WALLET_DIR });
   const identityKey = await wallet.getIdentityKey();
   await wallet.destroy();
 
-  return ok({ identityKey });
+  return { identityKey };
 }
 
 /**
  * Address command: show P2PKH receive address.
  */
-export async function cmdAddress(): Promise<never> {
+export async function cmdAddress() {
   if (!fs.existsSync(PATHS.walletIdentity)) {
-    return fail('Wallet not initialized. Run: setup');
+    throw new Error('Wallet not initialized. Run: setup');
   }
 
   const sdk = await getSdk();
@@ -139,12 +138,12 @@ export async function cmdAddress(): Promise<never> {
   const privKey = sdk.PrivateKey.fromHex(identity.rootKeyHex);
   const { address } = await deriveWalletAddress(privKey);
 
-  return ok({
+  return {
     address,
-    network: NETWORK,
+    network: CONFIG.NETWORK,
     identityKey: identity.identityKey,
-    note: NETWORK === 'mainnet'
+    note: CONFIG.NETWORK === 'mainnet'
       ? `Fund this address at an exchange — Explorer: https://whatsonchain.com/address/${address}`
       : `Fund via faucet: https://witnessonchain.com/faucet/tbsv — Explorer: https://test.whatsonchain.com/address/${address}`,
-  });
+  };
 }
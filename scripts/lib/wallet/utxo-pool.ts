@@ -0,0 +1,290 @@
+/**
+ * Local UTXO pool.
+ *
+ * Tracks the change outputs of the transactions we build and sign ourselves,
+ * each with the BEEF needed to spend it, so overlay transactions and refunds
+ * can chain off outputs that aren't mined yet. An output moves from
+ * unconfirmed to confirmed once it's mined (its BEEF is then replaced by the
+ * chain's, which carries the merkle proof), and to spent when one of our
+ * transactions consumes it or it drops out of the address UTXO set.
+ *
+ * Replaces the single-entry latest-change.json, which is migrated on first use.
+ */
+
+import fs from 'node:fs';
+import { CONFIG, PATHS } from '../config.js';
+import { getChainProvider } from '../chain/index.js';
+import type { ChainUtxo, ChainTxInfo } from '../chain/index.js';
+import { loadUtxoPool, updateUtxoPool, loadStoredChange, deleteStoredChange } from '../utils/storage.js';
+import { loadWalletIdentity, deriveWalletAddress } from './identity.js';
+import type { PoolUtxo, StoredChange } from '../types.js';
+
+/** Spent entries are kept this long for inspection, then pruned. */
+const SPENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * An unconfirmed output whose transaction the chain still doesn't know after
+ * this long was never broadcast or was dropped from the mempool.
+ */
+const UNCONFIRMED_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Dynamic import for @bsv/sdk
+let _sdk: any = null;
+
+async function getSdk(): Promise<any> {
+  if (_sdk) return _sdk;
+
+  try {
+    _sdk = await import('@bsv/sdk');
+    return _sdk;
+  } catch {
+    const { fileURLToPath } = await import('node:url');
+    const path = await import('node:path');
+    const os = await import('node:os');
+
+    const __dirname = path.dirname(fileURLToPath(import.meta.url));
+    const candidates = [
+      path.resolve(__dirname, '..', '..', '..', 'node_modules', '@bsv', 'sdk', 'dist', 'esm', 'mod.js'),
+      path.resolve(__dirname, '..', '..', '..', '..', '..', 'a2a-bsv', 'packages', 'core', 'node_modules', '@bsv', 'sdk', 'dist', 'esm', 'mod.js'),
+      path.resolve(os.homedir(), 'a2a-bsv', 'packages', 'core', 'node_modules', '@bsv', 'sdk', 'dist', 'esm', 'mod.js'),
+    ];
+
+    for (const p of candidates) {
+      try {
+        _sdk = await import(p);
+        return _sdk;
+      } catch {
+        // Try next
+      }
+    }
+    throw new Error('Cannot find @bsv/sdk. Run setup.sh first.');
+  }
+}
+
+function outpointKey(txid: string, vout: number): string {
+  return `${txid}.${vout}`;
+}
+
+/**
+ * Rebuild a legacy stored change transaction from its single-input source chain.
+ */
+function legacyChangeTx(sdk: any, stored: StoredChange): any {
+  if (stored.beefHex) {
+    return sdk.Transaction.fromHexBEEF(stored.beefHex, stored.txid);
+  }
+
+  const tx = sdk.Transaction.fromHex(stored.txHex);
+  let childTx = tx;
+  for (const entry of stored.sourceChain || []) {
+    const srcTx = sdk.Transaction.fromHex(entry.txHex);
+    if (entry.merklePathHex) {
+      srcTx.merklePath = sdk.MerklePath.fromHex(entry.merklePathHex);
+    }
+    childTx.inputs[0].sourceTransaction = srcTx;
+    childTx = srcTx;
+  }
+  return tx;
+}
+
+/**
+ * Move a legacy latest-change.json entry into the pool. Change that can't be
+ * rebuilt with its ancestry was unspendable already and is dropped.
+ */
+export async function migrateLegacyChange(): Promise<void> {
+  const stored = loadStoredChange();
+  if (!stored) return;
+
+  if (stored.satoshis > 0) {
+    try {
+      const sdk = await getSdk();
+      const beefHex = stored.beefHex || legacyChangeTx(sdk, stored).toHexBEEF();
+      await addPoolUtxos(stored.txid, beefHex, [{ vout: stored.vout, satoshis: stored.satoshis }]);
+    } catch (err: any) {
+      console.error(`[utxo-pool] Dropping unusable legacy change ${stored.txid}: ${err.message}`);
+    }
+  }
+  deleteStoredChange();
+}
+
+/**
+ * Add outputs of one of our transactions to the pool as unconfirmed.
+ * @param beefHex - BEEF of the transaction including its inputs' ancestry
+ */
+export async function addPoolUtxos(txid: string, beefHex: string, outputs: Array<{ vout: number; satoshis: number }>): Promise<void> {
+  const now = new Date().toISOString();
+  await updateUtxoPool(pool => {
+    for (const { vout, satoshis } of outputs) {
+      const key = outpointKey(txid, vout);
+      if (pool[key]) continue;
+      pool[key] = {
+        txid,
+        vout,
+        satoshis,
+        beefHex,
+        status: 'unconfirmed',
+        addedAt: now,
+        confirmedAt: null,
+        blockHeight: null,
+        spentAt: null,
+        spentBy: null,
+      };
+    }
+  });
+}
+
+/**
+ * Mark pool outputs as spent. Outpoints the pool doesn't track are ignored.
+ * @param spentBy - txid of the spending transaction, or null if spent out of band
+ */
+export async function markPoolSpent(outpoints: Array<{ txid: string; vout: number }>, spentBy: string | null): Promise<void> {
+  const now = new Date().toISOString();
+  await updateUtxoPool(pool => {
+    for (const { txid, vout } of outpoints) {
+      const entry = pool[outpointKey(txid, vout)];
+      if (!entry || entry.status === 'spent') continue;
+      entry.status = 'spent';
+      entry.spentAt = now;
+      entry.spentBy = spentBy;
+    }
+  });
+}
+
+/**
+ * Unspent pool outputs, oldest first.
+ */
+export function listPoolUtxos(): PoolUtxo[] {
+  return Object.values(loadUtxoPool())
+    .filter(u => u.status !== 'spent')
+    .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * Whether the pool tracks an outpoint (in any status).
+ */
+export function isPoolOutpoint(txid: string, vout: number): boolean {
+  return !!loadUtxoPool()[outpointKey(txid, vout)];
+}
+
+/**
+ * The transaction of a pool output, with the ancestry from its BEEF.
+ */
+export function loadPoolTx(sdk: any, utxo: PoolUtxo): any {
+  return sdk.Transaction.fromHexBEEF(utxo.beefHex, utxo.txid);
+}
+
+/**
+ * Bring the pool up to date with the chain: unconfirmed outputs that have
+ * been mined get the chain's BEEF with their merkle proof, and confirmed
+ * outputs missing from the address UTXO set are marked spent out of band.
+ * Unconfirmed outputs the chain still doesn't know after
+ * UNCONFIRMED_MAX_AGE_MS are marked spent too, so they aren't selected again.
+ * @param addressUtxos - Current UTXOs of our address, if the caller already has them
+ */
+export async function refreshUtxoPool(
+  address: string,
+  addressUtxos?: ChainUtxo[]
+): Promise<{ confirmed: number; spent: number; dropped: number; pruned: number }> {
+  const sdk = await getSdk();
+  const chain = getChainProvider();
+  const live = new Set((addressUtxos || await chain.getUtxos(address)).map(u => outpointKey(u.txid, u.vout)));
+
+  // Chain lookups happen outside the pool lock; only the results are applied under it
+  const confirmations = new Map<string, { beefHex: string; blockHeight: number | null }>();
+  const spent: string[] = [];
+  const unknown = new Set<string>();
+  const now = new Date();
+  for (const entry of listPoolUtxos()) {
+    const key = outpointKey(entry.txid, entry.vout);
+    if (entry.status === 'confirmed') {
+      if (!live.has(key)) spent.push(key);
+      continue;
+    }
+    if (confirmations.has(entry.txid)) continue;
+    let info: ChainTxInfo;
+    try {
+      info = await chain.getTxInfo(entry.txid);
+    } catch {
+      // The chain doesn't know the transaction (yet) — give up on it once it is
+      // long past any broadcast and the output isn't in the address UTXO set
+      const stale = now.getTime() - Date.parse(entry.addedAt) > UNCONFIRMED_MAX_AGE_MS;
+      if (stale && !live.has(key)) unknown.add(key);
+      continue;
+    }
+    if (info.confirmations <= 0) continue;
+    try {
+      const beef = await chain.getBeef(entry.txid);
+      if (!beef) continue;
+      const beefHex = sdk.Utils.toHex(Array.from(beef));
+      // Only take the chain's BEEF if our transaction can be rebuilt from it
+      sdk.Transaction.fromHexBEEF(beefHex, entry.txid);
+      confirmations.set(entry.txid, { beefHex, blockHeight: info.blockHeight });
+    } catch {
+      // Proof unavailable — try again next refresh
+    }
+  }
+
+  const result = { confirmed: 0, spent: 0, dropped: 0, pruned: 0 };
+  await updateUtxoPool(pool => {
+    for (const [key, entry] of Object.entries(pool)) {
+      if (entry.status === 'spent') {
+        if (entry.spentAt && now.getTime() - Date.parse(entry.spentAt) > SPENT_RETENTION_MS) {
+          delete pool[key];
+          result.pruned++;
+        }
+        continue;
+      }
+      const confirmation = confirmations.get(entry.txid);
+      if (entry.status === 'unconfirmed' && confirmation) {
+        entry.status = 'confirmed';
+        entry.beefHex = confirmation.beefHex;
+        entry.blockHeight = confirmation.blockHeight;
+        entry.confirmedAt = now.toISOString();
+        result.confirmed++;
+      } else if (entry.status === 'confirmed' && spent.includes(key)) {
+        entry.status = 'spent';
+        entry.spentAt = now.toISOString();
+        entry.spentBy = null;
+        result.spent++;
+      } else if (entry.status === 'unconfirmed' && unknown.has(key)) {
+        entry.status = 'spent';
+        entry.spentAt = now.toISOString();
+        entry.spentBy = null;
+        result.dropped++;
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * UTXO pool command: list unspent pool outputs (--all includes spent ones),
+ * after bringing the pool up to date with the chain when --refresh is given.
+ */
+export async function cmdUtxoPool(args: string[]) {
+  if (!fs.existsSync(PATHS.walletIdentity)) {
+    throw new Error('Wallet not initialized. Run: setup');
+  }
+
+  await migrateLegacyChange();
+  let refreshed: { confirmed: number; spent: number; pruned: number } | null = null;
+  if (args.includes('--refresh')) {
+    const sdk = await getSdk();
+    const privKey = sdk.PrivateKey.fromHex(loadWalletIdentity().rootKeyHex);
+    const { address } = await deriveWalletAddress(privKey);
+    refreshed = await refreshUtxoPool(address);
+  }
+
+  const all = Object.values(loadUtxoPool()).sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  const counts = { unconfirmed: 0, confirmed: 0, spent: 0 };
+  for (const utxo of all) counts[utxo.status]++;
+  const unspent = all.filter(u => u.status !== 'spent');
+
+  return {
+    // BEEF is bulky and only needed for spending
+    utxos: (args.includes('--all') ? all : unspent).map(({ beefHex, ...rest }) => rest),
+    counts,
+    spendableSats: unspent.reduce((sum, u) => sum + u.satoshis, 0),
+    refreshed,
+    network: CONFIG.NETWORK,
+  };
+}
@@ -3,13 +3,14 @@
  */
 
 import fs from 'node:fs';
-import { OVERLAY_URL, PROTOCOL_ID, TOPICS, LOOKUP_SERVICES, OVERLAY_STATE_DIR, PATHS } from '../config.js';
-import { ok, fail } from '../output.js';
+import { CONFIG, PROTOCOL_ID, TOPICS, LOOKUP_SERVICES, OVERLAY_STATE_DIR, PATHS } from '../config.js';
 import { loadIdentity, signRelayMessage } from '../wallet/identity.js';
-import { loadXVerifications, saveXVerifications, readJsonl, appendToJsonl, loadServices, ensureStateDir } from '../utils/storage.js';
+import { loadXVerifications, readJsonl, appendToJsonl, loadServices, ensureStateDir, writeFileAtomic, updateJsonFile, updateJsonl } from '../utils/storage.js';
+import type { XVerification } from '../types.js';
 import { buildRealOverlayTransaction, lookupOverlay } from '../overlay/transaction.js';
 import { verifyAndAcceptPayment } from '../messaging/handlers.js';
 import { fetchWithTimeout } from '../utils/woc.js';
+import type { FeeReport } from '../utils/fees.js';
 
 // Dynamic import for @bsv/sdk
 let _sdk: any = null;
@@ -47,9 +48,9 @@ async function getSdk(): Promise<any> {
 /**
  * Start X verification: generate a tweet with identity key and signature.
  */
-export async function cmdXVerifyStart(handleArg: string | undefined): Promise<never> {
+export async function cmdXVerifyStart(handleArg: string | undefined) {
   if (!handleArg) {
-    return fail('Usage: x-verify-start <@handle>');
+    throw new Error('Usage: x-verify-start <@handle>');
   }
 
   const sdk = await getSdk();
@@ -72,37 +73,37 @@ export async function cmdXVerifyStart(handleArg: string | undefined): Promise<ne
   };
 
   ensureStateDir();
-  fs.writeFileSync(PATHS.pendingXVerification, JSON.stringify(pending, null, 2));
+  writeFileAtomic(PATHS.pendingXVerification, JSON.stringify(pending, null, 2));
 
   // Build tweet text (under 280 chars)
   // Use shortened signature (first 40 chars) to fit in tweet
   const tweetText = `BSV Agent Verify: ${identityKey.slice(0, 10)}...${identityKey.slice(-10)} sig:${signatureHex.slice(0, 40)}`;
 
-  return ok({
+  return {
     tweetText,
     handle,
     identityKey,
     signature: signatureHex,
     note: `Post the tweet above from ${handle}, then run: x-verify-complete <tweet_url>`,
-  });
+  };
 }
 
 /**
  * Complete X verification by checking the posted tweet.
  */
-export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<never> {
-  if (!tweetUrl) return fail('Usage: x-verify-complete <tweet-url>');
+export async function cmdXVerifyComplete(tweetUrl: string | undefined) {
+  if (!tweetUrl) throw new Error('Usage: x-verify-complete <tweet-url>');
 
   // Load pending verification
   if (!fs.existsSync(PATHS.pendingXVerification)) {
-    return fail('No pending X verification. Run x-verify-start first.');
+    throw new Error('No pending X verification. Run x-verify-start first.');
   }
 
   const pending = JSON.parse(fs.readFileSync(PATHS.pendingXVerification, 'utf-8'));
 
   // Extract tweet ID from URL
   const tweetIdMatch = tweetUrl.match(/status\/(\d+)/);
-  if (!tweetIdMatch) return fail('Invalid tweet URL. Expected format: https://x.com/user/status/123456789');
+  if (!tweetIdMatch) throw new Error('Invalid tweet URL. Expected format: https://x.com/user/status/123456789');
   const tweetId = tweetIdMatch[1];
 
   // Fetch the tweet using bird CLI
@@ -115,17 +116,17 @@ export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<
     });
     tweetData = JSON.parse(birdOutput);
   } catch (err: any) {
-    return fail(`Failed to fetch tweet: ${err.message}. Make sure bird CLI is configured.`);
+    throw new Error(`Failed to fetch tweet: ${err.message}. Make sure bird CLI is configured.`);
   }
 
   // Verify the tweet contains our identity key and partial signature
   const tweetText = tweetData.text || tweetData.full_text || '';
   if (!tweetText.includes(pending.identityKey.slice(0, 10))) {
-    return fail('Tweet does not contain the expected identity key.');
+    throw new Error('Tweet does not contain the expected identity key.');
   }
   // Check for partial signature (first 40 chars)
   if (!tweetText.includes(pending.signature.slice(0, 40))) {
-    return fail('Tweet does not contain the expected verification signature prefix.');
+    throw new Error('Tweet does not contain the expected verification signature prefix.');
   }
 
   // Get the X user info from the tweet
@@ -133,7 +134,7 @@ export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<
   const xHandle = tweetData.user?.screen_name || tweetData.author?.username || tweetData.author?.name || pending.handle.replace('@', '');
 
   if (!xUserId) {
-    return fail('Could not extract X user ID from tweet data.');
+    throw new Error('Could not extract X user ID from tweet data.');
   }
 
   // Build on-chain verification record
@@ -150,7 +151,7 @@ export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<
   };
 
   // Submit to overlay (may fail if topic manager not deployed yet)
-  let result = { txid: null as string | null, funded: 'pending-server-support' };
+  let result = { txid: null as string | null, funded: 'pending-server-support', fee: null as FeeReport | null };
   let onChainStored = false;
   try {
     result = await buildRealOverlayTransaction(verificationPayload, TOPICS.X_VERIFICATION);
@@ -161,17 +162,15 @@ export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<
   }
 
   // Save verification locally
-  const verifications = loadXVerifications();
-  verifications.push({
-    ...verificationPayload,
-    txid: result.txid,
-  });
-  saveXVerifications(verifications);
+  await updateJsonFile<XVerification[]>(PATHS.xVerifications, [], verifications => [
+    ...verifications,
+    { ...verificationPayload, txid: result.txid },
+  ]);
 
   // Clean up pending
   fs.unlinkSync(PATHS.pendingXVerification);
 
-  return ok({
+  return {
     verified: true,
     identityKey: pending.identityKey,
     xHandle: `@${xHandle}`,
@@ -179,46 +178,47 @@ export async function cmdXVerifyComplete(tweetUrl: string | undefined): Promise<
     tweetId,
     txid: result.txid,
     funded: result.funded,
+    fee: result.fee,
     onChainStored,
     note: onChainStored ? undefined : 'Stored locally. On-chain anchoring pending server topic manager deployment.',
-  });
+  };
 }
 
 /**
  * List verified X accounts (local cache).
  */
-export async function cmdXVerifications(): Promise<never> {
+export async function cmdXVerifications() {
   const verifications = loadXVerifications();
-  return ok({ verifications, count: verifications.length });
+  return { verifications, count: verifications.length };
 }
 
 /**
  * Lookup X verifications from the overlay network.
  */
-export async function cmdXLookup(query: string | undefined): Promise<never> {
+export async function cmdXLookup(query: string | undefined) {
   try {
     const lookupQuery = query
       ? (query.startsWith('@') ? { xHandle: query } : { identityKey: query })
       : { type: 'list' };
 
     const response = await lookupOverlay(LOOKUP_SERVICES.X_VERIFICATIONS, lookupQuery);
-    return ok({ verifications: response.outputs || response || [], query: lookupQuery });
+    return { verifications: response.outputs || response || [], query: lookupQuery };
   } catch {
-    return ok({ verifications: [], query, note: 'X verification lookup service may not be deployed yet.' });
+    return { verifications: [], query, note: 'X verification lookup service may not be deployed yet.' };
   }
 }
 
 /**
  * List pending X engagement requests.
  */
-export async function cmdXEngagementQueue(): Promise<never> {
+export async function cmdXEngagementQueue() {
   if (!fs.existsSync(PATHS.xEngagementQueue)) {
-    return ok({ queue: [], count: 0 });
+    return { queue: [], count: 0 };
   }
 
   const queue = readJsonl<any>(PATHS.xEngagementQueue).filter(e => e.status === 'pending');
 
-  return ok({ queue, count: queue.length });
+  return { queue, count: queue.length };
 }
 
 /**
@@ -227,30 +227,28 @@ export async function cmdXEngagementQueue(): Promise<never> {
 export async function cmdXEngagementFulfill(
   requestId: string | undefined,
   proofUrl?: string
-): Promise<never> {
-  if (!requestId) return fail('Usage: x-engagement-fulfill <requestId> [proofUrl]');
+) {
+  if (!requestId) throw new Error('Usage: x-engagement-fulfill <requestId> [proofUrl]');
 
   if (!fs.existsSync(PATHS.xEngagementQueue)) {
-    return fail('No engagement queue found.');
-  }
-
-  const queue = readJsonl<any>(PATHS.xEngagementQueue);
-  const entryIndex = queue.findIndex(e => e.requestId === requestId);
-  if (entryIndex === -1) {
-    return fail(`Request ${requestId} not found in queue.`);
+    throw new Error('No engagement queue found.');
   }
 
   // Mark as fulfilled
-  queue[entryIndex].status = 'fulfilled';
-  queue[entryIndex].fulfilledAt = new Date().toISOString();
-  queue[entryIndex].proofUrl = proofUrl || null;
+  let fulfilled: any = null;
+  await updateJsonl<any>(PATHS.xEngagementQueue, e => {
+    if (e.requestId !== requestId) return e;
+    fulfilled = { ...e, status: 'fulfilled', fulfilledAt: new Date().toISOString(), proofUrl: proofUrl || null };
+    return fulfilled;
+  });
 
-  // Rewrite queue file
-  fs.writeFileSync(PATHS.xEngagementQueue, queue.map(e => JSON.stringify(e)).join('\n') + '\n');
+  if (!fulfilled) {
+    throw new Error(`Request ${requestId} not found in queue.`);
+  }
 
-  return ok({
+  return {
     fulfilled: true,
     requestId,
-    entry: queue[entryIndex],
-  });
+    entry: fulfilled,
+  };
 }
@@ -3,26 +3,30 @@
  * BSV Overlay CLI - TypeScript Entry Point
  *
  * This is the command dispatcher that routes commands to the appropriate modules.
- * All business logic is in the lib/ modules.
+ * All business logic is in the lib/ modules; commands return their result (or
+ * throw) and the dispatcher prints it in the { success, data/error } format.
  */
 
-import { fail } from './lib/output.js';
+import { ok, fail } from './lib/output.js';
 
 // Wallet commands
 import { cmdSetup, cmdIdentity, cmdAddress } from './lib/wallet/setup.js';
 import { cmdBalance, cmdImport, cmdRefund } from './lib/wallet/balance.js';
+import { cmdAutoImport } from './lib/wallet/auto-import.js';
+import { cmdUtxoPool } from './lib/wallet/utxo-pool.js';
 
 // Overlay registration commands
 import { cmdRegister, cmdUnregister } from './lib/overlay/registration.js';
 
 // Service commands
-import { cmdServices, cmdAdvertise, cmdRemove, cmdReadvertise } from './lib/overlay/services.js';
+import { cmdServices, cmdAdvertise, cmdRemove, cmdReadvertise, extractServiceArgs } from './lib/overlay/services.js';
 
 // Discovery commands
-import { cmdDiscover } from './lib/overlay/discover.js';
+import { cmdDiscover, settleDiscoveryRevalidations } from './lib/overlay/discover.js';
 
 // Payment commands
 import { cmdPay, cmdVerify, cmdAccept } from './lib/payment/commands.js';
+import { cmdReport } from './lib/payment/report.js';
 
 // Messaging commands
 import { cmdSend } from './lib/messaging/send.js';
@@ -34,6 +38,10 @@ import { cmdConnect } from './lib/messaging/connect.js';
 import { cmdRequestService } from './lib/services/request.js';
 import { cmdRespondService, cmdResearchRespond } from './lib/services/respond.js';
 import { cmdServiceQueue, cmdResearchQueue } from './lib/services/queue.js';
+import { cmdRefundRequest } from './lib/services/refund.js';
+import { cmdRequestQuote, cmdQuotes } from './lib/services/quotes.js';
+import { cmdMyRequests } from './lib/services/ledger.js';
+import { cmdReputation } from './lib/services/reputation.js';
 
 // X verification commands
 import {
@@ -52,122 +60,118 @@ async function main() {
     switch (command) {
       // Wallet
       case 'setup':
-        await cmdSetup();
-        break;
+        return ok(await cmdSetup());
       case 'identity':
-        await cmdIdentity();
-        break;
+        return ok(await cmdIdentity());
       case 'address':
-        await cmdAddress();
-        break;
+        return ok(await cmdAddress());
       case 'balance':
-        await cmdBalance();
-        break;
+        return ok(await cmdBalance());
       case 'import':
-        await cmdImport(args[0], args[1]);
-        break;
+        return ok(await cmdImport(args[0], args[1]));
       case 'refund':
-        await cmdRefund(args[0]);
-        break;
+        return ok(await cmdRefund(args[0]));
+      case 'auto-import':
+        return ok(await cmdAutoImport(args));
+      case 'utxo-pool':
+        return ok(await cmdUtxoPool(args));
 
       // Overlay registration
       case 'register':
-        await cmdRegister();
-        break;
+        return ok(await cmdRegister(args));
       case 'unregister':
-        await cmdUnregister();
-        break;
+        return ok(await cmdUnregister());
 
       // Services
       case 'services':
-        await cmdServices();
-        break;
-      case 'advertise':
-        await cmdAdvertise(args[0], args[1], args[2], args[3]);
-        break;
+        return ok(await cmdServices());
+      case 'advertise': {
+        const { args: rest, schemas, pricing, labels } = extractServiceArgs(args);
+        return ok(await cmdAdvertise(rest[0], rest[1], rest[2], rest[3], schemas, pricing, labels));
+      }
       case 'remove':
-        await cmdRemove(args[0]);
-        break;
-      case 'readvertise':
-        await cmdReadvertise(args[0], args[1], args[2], args.slice(3).join(' ') || undefined);
-        break;
+        return ok(await cmdRemove(args[0]));
+      case 'readvertise': {
+        const { args: rest, schemas, pricing, labels } = extractServiceArgs(args);
+        return ok(await cmdReadvertise(rest[0], rest[1], rest[2], rest.slice(3).join(' ') || undefined, schemas, pricing, labels));
+      }
 
       // Discovery
-      case 'discover':
-        await cmdDiscover(args);
-        break;
+      case 'discover': {
+        const result = await cmdDiscover(args);
+        await settleDiscoveryRevalidations();
+        return ok(result);
+      }
 
       // Payments
       case 'pay':
-        await cmdPay(args[0], args[1], args.slice(2).join(' ') || undefined);
-        break;
+        return ok(await cmdPay(args[0], args[1], args.slice(2).join(' ') || undefined));
       case 'verify':
-        await cmdVerify(args[0]);
-        break;
+        return ok(await cmdVerify(args[0]));
       case 'accept':
-        await cmdAccept(args[0], args[1], args[2], args[3], args.slice(4).join(' ') || undefined);
-        break;
+        return ok(await cmdAccept(args[0], args[1], args[2], args[3], args.slice(4).join(' ') || undefined));
+      case 'report':
+        return ok(await cmdReport(args));
 
       // Messaging (relay)
       case 'send':
-        await cmdSend(args[0], args[1], args[2]);
-        break;
+        return ok(await cmdSend(args[0], args[1], args[2]));
       case 'inbox':
-        await cmdInbox(args);
-        break;
+        return ok(await cmdInbox(args));
       case 'ack':
-        await cmdAck(args);
-        break;
+        return ok(await cmdAck(args));
       case 'poll':
-        await cmdPoll();
-        break;
+        return ok(await cmdPoll());
       case 'connect':
         await cmdConnect();
         break;
-      case 'request-service':
-        await cmdRequestService(args[0], args[1], args[2], args[3]);
-        break;
+      case 'request-service': {
+        const quoteIdx = args.indexOf('--quote');
+        const quoteId = quoteIdx >= 0 ? args[quoteIdx + 1] : undefined;
+        const rest = quoteIdx >= 0 ? [...args.slice(0, quoteIdx), ...args.slice(quoteIdx + 2)] : args;
+        return ok(await cmdRequestService(rest[0], rest[1], rest[2], rest[3], quoteId));
+      }
+      case 'request-quote':
+        return ok(await cmdRequestQuote(args[0], args[1], args[2]));
+      case 'quotes':
+        return ok(await cmdQuotes(args));
       case 'research-respond':
-        await cmdResearchRespond(args[0]);
-        break;
+        return ok(await cmdResearchRespond(args[0]));
       case 'research-queue':
-        await cmdResearchQueue();
-        break;
+        return ok(await cmdResearchQueue());
       case 'service-queue':
-        await cmdServiceQueue();
-        break;
+        return ok(await cmdServiceQueue());
       case 'respond-service':
-        await cmdRespondService(args[0], args[1], args[2], args.slice(3).join(' '));
-        break;
+        return ok(await cmdRespondService(args[0], args[1], args[2], args.slice(3).join(' ')));
+      case 'refund-request':
+        return ok(await cmdRefundRequest(args[0], args[1], args[2], args.slice(3).join(' ') || undefined));
+      case 'my-requests':
+        return ok(await cmdMyRequests(args));
+      case 'reputation':
+        return ok(await cmdReputation(args[0]));
 
       // X Account Verification
       case 'x-verify-start':
-        await cmdXVerifyStart(args[0]);
-        break;
+        return ok(await cmdXVerifyStart(args[0]));
       case 'x-verify-complete':
-        await cmdXVerifyComplete(args[0]);
-        break;
+        return ok(await cmdXVerifyComplete(args[0]));
       case 'x-verifications':
-        await cmdXVerifications();
-        break;
+        return ok(await cmdXVerifications());
       case 'x-lookup':
-        await cmdXLookup(args[0]);
-        break;
+        return ok(await cmdXLookup(args[0]));
 
       // X Engagement Service
       case 'x-engagement-queue':
-        await cmdXEngagementQueue();
-        break;
+        return ok(await cmdXEngagementQueue());
       case 'x-engagement-fulfill':
-        await cmdXEngagementFulfill(args[0], args[1]);
-        break;
+        return ok(await cmdXEngagementFulfill(args[0], args[1]));
 
       default:
         fail(
-          `Unknown command: ${command || '(none)'}. Commands: setup, identity, address, balance, import, refund, ` +
-            `register, unregister, services, advertise, readvertise, remove, discover, pay, verify, accept, ` +
-            `send, inbox, ack, poll, connect, request-service, research-queue, research-respond, ` +
-            `service-queue, respond-service, x-verify-start, x-verify-complete, x-verifications, x-lookup, ` +
+          `Unknown command: ${command || '(none)'}. Commands: setup, identity, address, balance, import, refund, auto-import, utxo-pool, ` +
+            `register, unregister, services, advertise, readvertise, remove, discover, pay, verify, accept, report, ` +
+            `send, inbox, ack, poll, connect, request-service, request-quote, quotes, research-queue, research-respond, ` +
+            `service-queue, respond-service, refund-request, my-requests, reputation, x-verify-start, x-verify-complete, x-verifications, x-lookup, ` +
             `x-engagement-queue, x-engagement-fulfill`
         );
     }